@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { roleExists, isLastAdmin, permissionsFor } = require("../utils/roles");
+const { canGrant } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { notify } = require("../utils/notify");
+const { endUserSessions } = require("../utils/sessions");
+const { lockedUntilByEmail } = require("../utils/loginThrottle");
+
+const MAX_NAME_LENGTH = 100;
+
+// A user as the admin pages show them: no secrets, and their role in the admin's organization
+const toAdminView = (user, orgId) => ({
+    _id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    role: user.membershipIn(orgId).role,
+    status: user.status,
+    requestedRole: user.requestedRole,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    emailVerified: user.emailVerified,
+    createdAt: user.createdAt,
+});
+
+// Only members of the admin's own organization can be seen or changed. The admin
+// routes name them by email, the organization routes by id.
+const findMember = async (req) => {
+    const { email, userId } = req.params;
+    if (userId !== undefined && !mongoose.isValidObjectId(userId)) return null;
+    return User.findOne({ ...(userId !== undefined ? { _id: userId } : { email }), "memberships.org": req.user.orgId });
+};
+
+// Users of the admin's organization, with their role in it
+const listUsers = async (req, res) => {
+    try {
+        const users = await User.find(
+            { "memberships.org": req.user.orgId },
+            "fullName email memberships status requestedRole twoFactor.enabled emailVerified createdAt"
+        );
+        const locks = await lockedUntilByEmail(users.map((user) => user.email));
+        res.json(users.map((user) => ({
+            ...toAdminView(user, req.user.orgId),
+            lockedUntil: locks.get(user.email) || null, // locked out after failed sign-ins until then
+        })));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Renames a member and/or changes their role in the organization
+const updateUser = async (req, res) => {
+    try {
+        const { fullName, role } = req.body;
+        if (fullName === undefined && role === undefined) {
+            return res.status(400).json({ message: "Nothing to update" });
+        }
+
+        const name = fullName === undefined ? undefined : String(fullName).trim();
+        if (name !== undefined && (!name || name.length > MAX_NAME_LENGTH)) {
+            return res.status(400).json({ message: `Full name must be 1-${MAX_NAME_LENGTH} characters` });
+        }
+        if (role !== undefined && (typeof role !== "string" || !(await roleExists(req.user.orgId, role)))) {
+            return res.status(400).json({ message: "Invalid role" });
+        }
+        if (role !== undefined && !canGrant(req.user, await permissionsFor(req.user.orgId, role))) {
+            return res.status(403).json({ message: "You cannot grant a role with permissions you don't have" });
+        }
+
+        const user = await findMember(req);
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        const membership = user.membershipIn(req.user.orgId);
+        if (!canGrant(req.user, await permissionsFor(req.user.orgId, membership.role))) {
+            return res.status(403).json({
+                message: "You cannot change a member whose role has permissions you don't have",
+            });
+        }
+        const changes = {};
+        if (name !== undefined && name !== user.fullName) {
+            changes.fullName = { from: user.fullName, to: name };
+            user.fullName = name;
+        }
+        if (role !== undefined && role !== membership.role) {
+            if (membership.role === "admin" && (await isLastAdmin(req.user.orgId, user._id))) {
+                return res.status(409).json({ message: "The organization's last admin cannot be demoted" });
+            }
+            changes.role = { from: membership.role, to: role };
+            membership.role = role;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            await user.save();
+            await recordAudit(req, "user.update", { target: user._id, details: { email: user.email, changes } });
+        }
+
+        res.json(toAdminView(user, req.user.orgId));
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Removes a member from the admin's organization, for both the admin and the
+// organization routes. The account itself stays, as it may belong to other organizations.
+const removeUser = async (req, res) => {
+    try {
+        const user = await findMember(req);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (String(user._id) === String(req.user.userId)) {
+            return res.status(400).json({ message: "You cannot remove yourself from the organization" });
+        }
+
+        const { role } = user.membershipIn(req.user.orgId);
+        if (!canGrant(req.user, await permissionsFor(req.user.orgId, role))) {
+            return res.status(403).json({
+                message: "You cannot remove a member whose role has permissions you don't have",
+            });
+        }
+        if (role === "admin" && (await isLastAdmin(req.user.orgId, user._id))) {
+            return res.status(409).json({ message: "The organization's last admin cannot be removed" });
+        }
+
+        await User.updateOne({ _id: user._id }, { $pull: { memberships: { org: req.user.orgId } } });
+        await endUserSessions(user._id, req.user.orgId, "revoked");
+        await recordAudit(req, "user.remove", { target: user._id, details: { email: user.email, role } });
+
+        res.json({ message: "User removed from the organization" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Sign-ups waiting for approval of the elevated role they asked for, oldest first
+const listApprovals = async (req, res) => {
+    try {
+        const users = await User.find(
+            { "memberships.org": req.user.orgId, status: "pending" },
+            "fullName email memberships status requestedRole emailVerified createdAt"
+        ).sort({ createdAt: 1 });
+        res.json(users.map((user) => toAdminView(user, req.user.orgId)));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const findPending = (req) =>
+    User.findOne({ email: req.params.email, "memberships.org": req.user.orgId, status: "pending" });
+
+// Activates a pending sign-up with the role they asked for
+const approveUser = async (req, res) => {
+    try {
+        const user = await findPending(req);
+        if (!user) return res.status(404).json({ message: "No pending registration for that user" });
+
+        const role = user.requestedRole;
+        if (!canGrant(req.user, await permissionsFor(req.user.orgId, role))) {
+            return res.status(403).json({ message: "You cannot grant a role with permissions you don't have" });
+        }
+
+        user.membershipIn(req.user.orgId).role = role;
+        user.status = "active";
+        user.requestedRole = null;
+        await user.save();
+
+        await recordAudit(req, "user.approve", { target: user._id, details: { email: user.email, role } });
+        await notify([user._id], {
+            org: req.user.orgId,
+            type: "approval.approved",
+            message: `Your registration as ${role} was approved`,
+        });
+
+        res.json(toAdminView(user, req.user.orgId));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Declines the elevated role; the account is activated as a regular user instead
+const rejectUser = async (req, res) => {
+    try {
+        const user = await findPending(req);
+        if (!user) return res.status(404).json({ message: "No pending registration for that user" });
+
+        const role = user.requestedRole;
+        user.status = "active";
+        user.requestedRole = null;
+        await user.save();
+
+        await recordAudit(req, "user.reject", { target: user._id, details: { email: user.email, role } });
+        await notify([user._id], {
+            org: req.user.orgId,
+            type: "approval.rejected",
+            message: `Your registration as ${role} was declined; you can use TaskFlow as a regular user`,
+        });
+
+        res.json(toAdminView(user, req.user.orgId));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listUsers, updateUser, removeUser, listApprovals, approveUser, rejectUser };
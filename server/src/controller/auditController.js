@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/AuditEvent");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const { verifyChain } = require("../utils/auditChain");
+const { DEFAULT_RETENTION_DAYS, retentionDays, archiveExpired } = require("../utils/auditRetention");
+const { recordAudit } = require("../utils/audit");
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Builds the query for GET /admin/audit from its filters:
+// action, outcome, user (id of actor or target), search (email, name or IP), from, to
+const buildFilter = async (req) => {
+    const { action, outcome, user, search, from, to } = req.query;
+    const filter = { org: req.user.orgId };
+
+    if (action) filter.action = String(action);
+    if (outcome) filter.outcome = String(outcome);
+    if (user) {
+        if (!mongoose.isValidObjectId(user)) return null;
+        filter.$or = [{ actor: user }, { target: user }];
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+        if (Object.values(filter.createdAt).some((date) => isNaN(date))) return null;
+    }
+    if (search && String(search).trim()) {
+        const pattern = new RegExp(escapeRegExp(String(search).trim()), "i");
+        const users = await User.find({ $or: [{ email: pattern }, { fullName: pattern }] }, "_id").limit(100);
+        const ids = users.map((u) => u._id);
+        filter.$and = [{
+            $or: [{ actor: { $in: ids } }, { target: { $in: ids } }, { email: pattern }, { ip: pattern }],
+        }];
+    }
+    return filter;
+};
+
+// Paginated audit events of the admin's organization, newest first
+const listAuditEvents = async (req, res) => {
+    try {
+        const filter = await buildFilter(req);
+        if (!filter) return res.status(400).json({ message: "Invalid filter" });
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [events, total] = await Promise.all([
+            AuditEvent.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("actor target", "fullName email"),
+            AuditEvent.countDocuments(filter),
+        ]);
+
+        res.json({ events, total, page, pages: Math.max(Math.ceil(total / limit), 1) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Walks the organization's hash chain (?includeArchive=true to start from the very first event)
+const verifyAudit = async (req, res) => {
+    try {
+        res.json(await verifyChain(req.user.orgId, { includeArchive: req.query.includeArchive === "true" }));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const getRetention = async (req, res) => {
+    try {
+        res.json({ days: await retentionDays(req.user.orgId), defaultDays: DEFAULT_RETENTION_DAYS });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Sets how long events stay in the live log; { days: null } restores the default
+const setRetention = async (req, res) => {
+    try {
+        const days = req.body.days === null ? null : Number(req.body.days);
+        if (days !== null && (!Number.isInteger(days) || days < 30)) {
+            return res.status(400).json({ message: "Retention must be a whole number of days, at least 30" });
+        }
+
+        const from = await retentionDays(req.user.orgId);
+        await Organization.updateOne({ _id: req.user.orgId }, { auditRetentionDays: days });
+        const to = await retentionDays(req.user.orgId);
+        await recordAudit(req, "audit.retention", { details: { from, to } });
+
+        res.json({ days: to, defaultDays: DEFAULT_RETENTION_DAYS });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Archives events past the retention now instead of waiting for the scheduled run
+const archiveAudit = async (req, res) => {
+    try {
+        const result = await archiveExpired(req.user.orgId, {
+            actor: req.user.userId,
+            ip: req.ip,
+            userAgent: req.get("User-Agent") || null,
+        });
+        res.json(result);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listAuditEvents, verifyAudit, getRetention, setRetention, archiveAudit };
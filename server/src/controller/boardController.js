@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const Board = require("../models/Board");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const { boardScope, canManageProject } = require("../utils/scope");
+const { validateWorkflow } = require("../utils/workflow");
+
+const findScopedBoard = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return Board.findOne({ _id: req.params.id, ...(await boardScope(req.user)) });
+};
+
+const listBoards = async (req, res) => {
+    try {
+        // Make sure the caller's personal board exists before listing
+        await Board.getDefaultFor(req.user.userId, req.user.orgId);
+
+        const filter = { ...(await boardScope(req.user)) };
+        if (req.query.project === "personal") filter.project = null;
+        else if (req.query.project) {
+            if (!mongoose.isValidObjectId(req.query.project)) return res.status(400).json({ message: "Invalid project" });
+            filter.project = req.query.project;
+        }
+
+        const boards = await Board.find(filter).sort({ isDefault: -1, createdAt: 1 });
+        res.json(boards);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const getBoard = async (req, res) => {
+    try {
+        const board = req.params.id === "default"
+            ? await Board.getDefaultFor(req.user.userId, req.user.orgId)
+            : await findScopedBoard(req);
+        if (!board) return res.status(404).json({ message: "Board not found" });
+
+        res.json(board);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Replaces a board's workflow definition: its columns (statuses, in display
+// order, with names and WIP limits), transitions and WIP enforcement. Statuses
+// that still hold tasks can't be removed, and tasks follow any change to their
+// status's category. A project's board is changed by whoever may change the project.
+const updateWorkflow = async (req, res) => {
+    try {
+        const board = await findScopedBoard(req);
+        if (!board) return res.status(404).json({ message: "Board not found" });
+        if (board.project) {
+            const project = await Project.findById(board.project, "owner");
+            if (!project || !canManageProject(req.user, project)) {
+                return res.status(403).json({ message: "Only the project owner can change its workflow" });
+            }
+        }
+
+        const definition = {
+            statuses: req.body.statuses ?? board.statuses,
+            transitions: req.body.transitions ?? board.transitions,
+            initialStatus: req.body.initialStatus ?? board.initialStatus,
+            wipEnforcement: req.body.wipEnforcement ?? board.wipEnforcement,
+        };
+        const invalid = validateWorkflow(definition);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const keys = definition.statuses.map((status) => status.key);
+        const orphaned = await Task.distinct("status", { board: board._id, status: { $nin: keys } });
+        if (orphaned.length > 0) {
+            return res.status(409).json({
+                message: `Move the tasks out of ${orphaned.map((key) => `"${key}"`).join(", ")} before removing it`,
+            });
+        }
+
+        board.set(definition);
+        await board.save();
+
+        await Task.bulkWrite(board.statuses.map((status) => ({
+            updateMany: {
+                filter: { board: board._id, status: status.key, statusCategory: { $ne: status.category } },
+                update: { $set: { statusCategory: status.category } },
+            },
+        })));
+
+        res.json(board);
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listBoards, getBoard, updateWorkflow };
@@ -37,22 +37,28 @@
 
 // module.exports = { forgotPassword };
 
-const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
-const User = require("../models/User"); 
-require("dotenv").config();
-
-const SECRET_KEY = process.env.JWT_SECRET;
-
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+const crypto = require("crypto");
+const User = require("../models/User");
+const { CLIENT_URL, sendMail } = require("../utils/mailer");
+const { policyForUser, passwordProblems, setPassword } = require("../utils/passwordPolicy");
+const { hitRateLimit } = require("../utils/rateLimit");
+const { clearAccountFailures } = require("../utils/loginThrottle");
+const { endOtherSessions } = require("../utils/sessions");
+const { pickMembership } = require("../utils/tenancy");
+const { recordAudit } = require("../utils/audit");
+const { notify } = require("../utils/notify");
+
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Reset emails per address and reset requests per IP in an hour
+const REQUESTS_PER_EMAIL = 3;
+const REQUESTS_PER_IP = 20;
+// Uses of reset links per IP in a quarter of an hour
+const ATTEMPTS_PER_IP = 20;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// The same answer whether or not the email belongs to an account
+const RESET_REQUESTED_MESSAGE = "If an account exists for this email, we sent it a link to reset the password.";
 
 // 📌 **Forgot Password Controller**
 // const forgotPassword = async (req, res) => {
@@ -108,54 +114,131 @@ const transporter = nodemailer.createTransport({
 //     res.status(400).json({ message: "Invalid or expired token." });
 //   }
 // };
+
+// Reset tokens are random and stored only as their hash, like refresh tokens
+const hashResetToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const findByResetToken = (token) => {
+    if (typeof token !== "string" || !token) return null;
+    return User.findOne({ resetToken: hashResetToken(token), resetTokenExpires: { $gt: new Date() } });
+};
+
+const tooManyRequests = (res, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message: "Too many requests. Please try again later.", retryAfter });
+};
+
+// Emails a link to reset the password. A new link replaces the previous one.
 const forgotPassword = async (req, res) => {
     try {
-      const { email } = req.body;
-      const user = await User.findOne({ email });
-  
-      if (!user) return res.status(404).json({ message: "User not found." });
-  
-      const token = jwt.sign({ email: user.email }, SECRET_KEY, { expiresIn: "15m" });
-  
-      user.resetToken = token;
-      user.resetTokenExpires = Date.now() + 15 * 60 * 1000; // 15 minutes expiry
-      await user.save();
-  
-      const resetLink = `http://localhost:5173/reset-password?token=${token}`;
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: user.email,
-        subject: "Reset Your Password",
-        text: `Click the link to reset your password: ${resetLink}`,
-      });
-  
-      res.json({ message: "Password reset link sent to your email." });
+        const email = String(req.body.email || "").trim();
+        if (!email) return res.status(400).json({ message: "Email is required." });
+
+        const retryAfter = (await hitRateLimit(`reset-request:ip:${req.ip}`, REQUESTS_PER_IP, HOUR_MS))
+            || (await hitRateLimit(`reset-request:email:${email}`, REQUESTS_PER_EMAIL, HOUR_MS));
+        if (retryAfter) return tooManyRequests(res, retryAfter);
+
+        const user = await User.findOne({ email });
+        await recordAudit(req, "auth.password_reset_request", {
+            actor: user && user._id,
+            org: user && (pickMembership(user) || {}).org,
+            email,
+            outcome: user ? "success" : "failure",
+            details: user ? {} : { reason: "unknown_email" },
+        });
+
+        if (user) {
+            const token = crypto.randomBytes(32).toString("base64url");
+            user.resetToken = hashResetToken(token);
+            user.resetTokenExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+            await user.save();
+
+            // Not awaited, so answering takes about as long for unknown emails
+            sendMail({
+                to: user.email,
+                user,
+                template: "passwordReset",
+                data: {
+                    name: user.fullName,
+                    url: `${CLIENT_URL}/reset-password?token=${token}`,
+                    minutes: RESET_TOKEN_TTL_MS / 60000,
+                },
+            }).catch((error) => console.error("Failed to queue the reset email:", error));
+        }
+
+        res.json({ message: RESET_REQUESTED_MESSAGE });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+// Sets a new password with a reset link. The link stops working, and every
+// session of the account ends, as whoever knew the old password may be signed in.
+const resetPassword = async (req, res) => {
+    try {
+        const retryAfter = await hitRateLimit(`reset-attempt:ip:${req.ip}`, ATTEMPTS_PER_IP, ATTEMPT_WINDOW_MS);
+        if (retryAfter) return tooManyRequests(res, retryAfter);
+
+        const { token, password } = req.body;
+        const user = await findByResetToken(token);
+        if (!user) {
+            await recordAudit(req, "auth.password_reset", { outcome: "failure", details: { reason: "invalid_token" } });
+            return res.status(400).json({ message: "Invalid or expired token." });
+        }
+
+        const problems = await passwordProblems(password, await policyForUser(user), user);
+        if (problems.length > 0) return res.status(400).json({ message: problems[0], problems });
+
+        // Using up the token in the same step that checks it, so it works once even for concurrent requests
+        const claimed = await User.updateOne(
+            { _id: user._id, resetToken: user.resetToken },
+            { resetToken: null, resetTokenExpires: null }
+        );
+        if (claimed.modifiedCount === 0) return res.status(400).json({ message: "Invalid or expired token." });
+
+        await setPassword(user, password);
+        user.resetToken = null;
+        user.resetTokenExpires = null;
+        await user.save();
+
+        const endedSessions = await endOtherSessions(user._id, null, "password_change");
+        // Proving access to the mailbox lifts a lockout, as the unlock link would
+        await clearAccountFailures(user.email);
+        const org = (pickMembership(user) || {}).org;
+        await recordAudit(req, "auth.password_reset", {
+            actor: user._id,
+            org,
+            email: user.email,
+            details: { endedSessions },
+        });
+        await notify([user._id], {
+            org,
+            type: "auth.password_reset",
+            message: "Your password was reset with an emailed link, and all your sessions were signed out.",
+        });
+
+        res.json({ message: "Password reset successful!" });
     } catch (error) {
-      //console.error("Forgot Password Error:", error); // 🔍 Log error
-      res.status(500).json({ message: "Server error, please try again." });
+        console.error(error);
+        res.status(500).json({ message: "Server error, please try again." });
     }
-  };
-  
-  const resetPassword = async (req, res) => {
+};
+
+// Password rules the account behind a reset token must meet, for the strength meter
+const getResetPasswordPolicy = async (req, res) => {
     try {
-      const { token, password } = req.body;
-  
-      const user = await User.findOne({ resetToken: token, resetTokenExpires: { $gt: Date.now() } });
-  
-      if (!user) return res.status(400).json({ message: "Invalid or expired token." });
-  
-      const hashedPassword = await bcrypt.hash(password, 10);
-      user.password = hashedPassword;
-  
-      user.resetToken = null;
-      user.resetTokenExpires = null;
-      await user.save();
-  
-      res.json({ message: "Password reset successful!" });
+        const retryAfter = await hitRateLimit(`reset-attempt:ip:${req.ip}`, ATTEMPTS_PER_IP, ATTEMPT_WINDOW_MS);
+        if (retryAfter) return tooManyRequests(res, retryAfter);
+
+        const user = await findByResetToken(req.query.token);
+        if (!user) return res.status(400).json({ message: "Invalid or expired token." });
+
+        res.json(await policyForUser(user));
     } catch (error) {
-     // console.error("Reset Password Error:", error); // 🔍 Log error
-      res.status(500).json({ message: "Server error, please try again." });
+        console.error(error);
+        res.status(500).json({ message: "Server error, please try again." });
     }
-  };
-  
-module.exports = { forgotPassword, resetPassword };
+};
+
+module.exports = { forgotPassword, resetPassword, getResetPasswordPolicy };
@@ -0,0 +1,348 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const Invitation = require("../models/Invitation");
+const Organization = require("../models/Organization");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const { permissionsFor, roleExists } = require("../utils/roles");
+const { canGrant } = require("../utils/permissions");
+const { policyOf, passwordProblems } = require("../utils/passwordPolicy");
+const { startSession } = require("../utils/sessions");
+const { tokenFields } = require("../utils/authCookies");
+const { CLIENT_URL, sendMail } = require("../utils/mailer");
+const { hitRateLimit } = require("../utils/rateLimit");
+const { recordAudit } = require("../utils/audit");
+const { notify } = require("../utils/notify");
+
+const INVITATION_TTL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const RESENDS_PER_HOUR = 3;
+const ATTEMPTS_PER_IP = 20;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVALID_LINK_MESSAGE = "This invitation is invalid, was revoked or has expired";
+
+const hashInvitationToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// A fresh token for an invitation: the hash to store and the token to email
+const newInvitationToken = () => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * DAY_MS);
+    return { token, tokenHash: hashInvitationToken(token), expiresAt };
+};
+
+const findByToken = (token) => {
+    if (typeof token !== "string" || !token) return null;
+    return Invitation.findOne({
+        tokenHash: hashInvitationToken(token),
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+const tooManyRequests = (res, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message: "Too many requests. Please try again later.", retryAfter });
+};
+
+const sendInvitationEmail = async (invitation, token, inviter) => {
+    const [org, recipient] = await Promise.all([
+        Organization.findById(invitation.org, "name"),
+        User.findOne({ email: invitation.email }, "preferences"),
+    ]);
+    await sendMail({
+        to: invitation.email,
+        user: recipient,
+        template: "invitation",
+        data: {
+            inviterName: inviter.fullName,
+            orgName: org.name,
+            url: `${CLIENT_URL}/accept-invite?token=${token}`,
+            days: INVITATION_TTL_DAYS,
+        },
+    });
+};
+
+const toAdminView = (invitation) => ({
+    _id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    projects: invitation.projects,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    expired: invitation.expiresAt <= new Date(),
+    sentCount: invitation.sentCount,
+    lastSentAt: invitation.lastSentAt,
+    createdAt: invitation.createdAt,
+});
+
+// Works on queries and documents alike
+const populateInvitation = (target) => target.populate([
+    { path: "invitedBy", select: "fullName email" },
+    { path: "projects", select: "name" },
+]);
+
+const findPending = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return Invitation.findOne({ _id: req.params.id, org: req.user.orgId, status: "pending" });
+};
+
+// Invitations of the admin's organization that weren't accepted or revoked yet, newest first
+const listInvitations = async (req, res) => {
+    try {
+        const invitations = await populateInvitation(
+            Invitation.find({ org: req.user.orgId, status: "pending" }).sort({ createdAt: -1 })
+        );
+        res.json(invitations.map(toAdminView));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Invites someone by email to join the organization with a role and, optionally, projects
+const createInvitation = async (req, res) => {
+    try {
+        const email = String(req.body.email || "").trim();
+        const role = req.body.role || "user";
+        const projects = req.body.projects || [];
+        if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ message: "Enter a valid email address" });
+        if (!(await roleExists(req.user.orgId, role))) return res.status(400).json({ message: "Invalid role" });
+        if (!canGrant(req.user, await permissionsFor(req.user.orgId, role))) {
+            return res.status(403).json({ message: "You cannot grant a role with permissions you don't have" });
+        }
+        if (!Array.isArray(projects) || !projects.every((id) => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: "Invalid projects" });
+        }
+        const found = await Project.countDocuments({ _id: { $in: projects }, org: req.user.orgId });
+        if (found !== new Set(projects.map(String)).size) return res.status(400).json({ message: "Invalid projects" });
+
+        const existing = await User.findOne({ email }, "memberships emailVerified");
+        if (existing && existing.membershipIn(req.user.orgId)) {
+            return res.status(409).json({ message: "Already a member" });
+        }
+        if (existing && !existing.emailVerified) {
+            return res.status(409).json({ message: "That user hasn't verified their email yet" });
+        }
+
+        const pending = await Invitation.findOne({ org: req.user.orgId, email, status: "pending" });
+        if (pending && pending.expiresAt > new Date()) {
+            return res.status(409).json({ message: "This email already has a pending invitation; resend it instead" });
+        }
+        if (pending) {
+            pending.status = "revoked";
+            await pending.save();
+        }
+
+        const { token, tokenHash, expiresAt } = newInvitationToken();
+        const invitation = await Invitation.create({
+            org: req.user.orgId,
+            email,
+            role,
+            projects,
+            invitedBy: req.user.userId,
+            tokenHash,
+            expiresAt,
+        });
+        const inviter = await User.findById(req.user.userId, "fullName");
+        await sendInvitationEmail(invitation, token, inviter);
+        await recordAudit(req, "invite.create", {
+            target: invitation._id,
+            details: { email, role, projects: projects.length },
+        });
+
+        await populateInvitation(invitation);
+        res.status(201).json(toAdminView(invitation));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Emails a pending invitation again with a new link; the old link stops working
+// and the invitation runs for another week
+const resendInvitation = async (req, res) => {
+    try {
+        const invitation = await findPending(req);
+        if (!invitation) return res.status(404).json({ message: "Invitation not found" });
+
+        const retryAfter = await hitRateLimit(`invite-resend:${invitation._id}`, RESENDS_PER_HOUR, HOUR_MS);
+        if (retryAfter) return tooManyRequests(res, retryAfter);
+
+        const { token, tokenHash, expiresAt } = newInvitationToken();
+        invitation.tokenHash = tokenHash;
+        invitation.expiresAt = expiresAt;
+        invitation.sentCount += 1;
+        invitation.lastSentAt = new Date();
+        await invitation.save();
+
+        const inviter = await User.findById(req.user.userId, "fullName");
+        await sendInvitationEmail(invitation, token, inviter);
+        await recordAudit(req, "invite.resend", { target: invitation._id, details: { email: invitation.email } });
+
+        await populateInvitation(invitation);
+        res.json(toAdminView(invitation));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await findPending(req);
+        if (!invitation) return res.status(404).json({ message: "Invitation not found" });
+
+        invitation.status = "revoked";
+        await invitation.save();
+        await recordAudit(req, "invite.revoke", { target: invitation._id, details: { email: invitation.email } });
+
+        res.json({ message: "Invitation revoked" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// What the accept page shows for ?token: who invited the person where, and the
+// password rules when they still need an account
+const getInvitation = async (req, res) => {
+    try {
+        const retryAfter = await hitRateLimit(`invite-attempt:ip:${req.ip}`, ATTEMPTS_PER_IP, ATTEMPT_WINDOW_MS);
+        if (retryAfter) return tooManyRequests(res, retryAfter);
+
+        const invitation = await findByToken(req.query.token);
+        if (!invitation) return res.status(400).json({ message: INVALID_LINK_MESSAGE });
+
+        const [org, inviter, existingAccount] = await Promise.all([
+            Organization.findById(invitation.org),
+            User.findById(invitation.invitedBy, "fullName"),
+            User.exists({ email: invitation.email }),
+        ]);
+        res.json({
+            email: invitation.email,
+            role: invitation.role,
+            org: { name: org.name },
+            invitedBy: inviter ? inviter.fullName : null,
+            expiresAt: invitation.expiresAt,
+            existingAccount: Boolean(existingAccount),
+            passwordPolicy: existingAccount ? null : policyOf(org),
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+/**
+ * Accepts an invitation. People without an account set their name and password
+ * and are signed in; accounts that already exist join the organization and can
+ * switch to it. The link proves the address, so either way it counts as verified.
+ */
+const acceptInvitation = async (req, res) => {
+    try {
+        const retryAfter = await hitRateLimit(`invite-attempt:ip:${req.ip}`, ATTEMPTS_PER_IP, ATTEMPT_WINDOW_MS);
+        if (retryAfter) return tooManyRequests(res, retryAfter);
+
+        const invitation = await findByToken(req.body.token);
+        if (!invitation) return res.status(400).json({ message: INVALID_LINK_MESSAGE });
+        const org = await Organization.findById(invitation.org);
+        let user = await User.findOne({ email: invitation.email });
+        const newAccount = !user;
+
+        const fullName = String(req.body.fullName || "").trim();
+        if (newAccount) {
+            if (!fullName || fullName.length > MAX_NAME_LENGTH) {
+                return res.status(400).json({ message: `Full name must be 1-${MAX_NAME_LENGTH} characters` });
+            }
+            const problems = await passwordProblems(req.body.password, policyOf(org));
+            if (problems.length > 0) return res.status(400).json({ message: problems[0], problems });
+        }
+
+        // Claimed at most once, even if the link is used twice at the same time
+        const claimed = await Invitation.updateOne(
+            { _id: invitation._id, status: "pending", tokenHash: invitation.tokenHash },
+            { $set: { status: "accepted", acceptedAt: new Date() } }
+        );
+        if (claimed.modifiedCount === 0) return res.status(400).json({ message: INVALID_LINK_MESSAGE });
+
+        const membership = { org: invitation.org, role: invitation.role };
+        if (newAccount) {
+            try {
+                user = await User.create({
+                    fullName,
+                    email: invitation.email,
+                    password: await bcrypt.hash(req.body.password, 10),
+                    memberships: [membership],
+                    lastOrg: invitation.org,
+                    emailVerified: true,
+                    emailVerifiedAt: new Date(),
+                });
+            } catch (error) {
+                // The link stays usable, e.g. when the account was created in the meantime
+                await Invitation.updateOne({ _id: invitation._id }, { $set: { status: "pending", acceptedAt: null } });
+                if (error.code === 11000) {
+                    return res.status(409).json({
+                        message: "An account with this email exists now; open the link again",
+                    });
+                }
+                throw error;
+            }
+        } else {
+            if (!user.membershipIn(invitation.org)) user.memberships.push(membership);
+            if (!user.emailVerified) {
+                user.emailVerified = true;
+                user.emailVerifiedAt = new Date();
+            }
+            await user.save();
+        }
+
+        await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedBy: user._id } });
+        await Project.updateMany(
+            { _id: { $in: invitation.projects }, org: invitation.org },
+            { $addToSet: { members: user._id } }
+        );
+        await recordAudit(req, "invite.accept", {
+            actor: user._id,
+            org: invitation.org,
+            email: user.email,
+            target: invitation._id,
+            details: { role: invitation.role, newAccount },
+        });
+        await notify([invitation.invitedBy], {
+            org: invitation.org,
+            type: "invite.accepted",
+            message: `${user.fullName} (${user.email}) accepted your invitation to ${org.name}`,
+        });
+
+        if (!newAccount) {
+            return res.json({ message: `You joined ${org.name}. Log in to switch to it.`, existingAccount: true });
+        }
+
+        const tokens = await startSession(req, user, membership);
+        res.status(201).json({
+            message: `Welcome to ${org.name}`,
+            ...tokenFields(req, res, tokens),
+            role: membership.role,
+            permissions: await permissionsFor(org._id, membership.role),
+            org: { id: org._id, name: org.name },
+            emailVerified: true,
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = {
+    listInvitations,
+    createInvitation,
+    resendInvitation,
+    revokeInvitation,
+    getInvitation,
+    acceptInvitation,
+};
@@ -0,0 +1,96 @@
+const Invitation = require("../models/Invitation");
+const MailMessage = require("../models/MailMessage");
+const User = require("../models/User");
+const { LOCALES, listTemplates, previewTemplate } = require("../utils/mailTemplates");
+const { TRANSPORT_NAME, OUTBOX_BROWSABLE, listOutbox, readOutbox } = require("../utils/mailTransports");
+
+const RECENT_MESSAGES = 50;
+
+// Reset, unlock, verification and invitation links sign whoever opens them in, so
+// the outbox shows them without their token
+const TOKEN_PARAM = /([?&]token=)[^&\s"'<]+/g;
+const redactLinks = (content) => (content ? content.replace(TOKEN_PARAM, "$1[redacted]") : content);
+
+// Addresses of the organization's members and the people it invited. Admins only
+// see mail sent to them, as the queue and the outbox are shared by every organization.
+const memberEmails = async (orgId) => {
+    const [members, invited] = await Promise.all([
+        User.find({ "memberships.org": orgId }).distinct("email"),
+        Invitation.find({ org: orgId }).distinct("email"),
+    ]);
+    return [...new Set([...members, ...invited])];
+};
+
+// The email templates and the locales they come in
+const getTemplates = async (req, res) => {
+    try {
+        res.json({ templates: listTemplates(), locales: LOCALES, transport: TRANSPORT_NAME });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// A template rendered with sample data, in ?locale (default English)
+const getTemplatePreview = async (req, res) => {
+    try {
+        const preview = previewTemplate(req.params.name, req.query.locale);
+        if (!preview) return res.status(404).json({ message: "Template not found" });
+        res.json(preview);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// How many of the members' messages are in each state, and the latest that are
+// still waiting or gave up
+const getQueue = async (req, res) => {
+    try {
+        const emails = await memberEmails(req.user.orgId);
+        const totals = await MailMessage.aggregate([
+            { $match: { to: { $in: emails } } },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]);
+        const pending = await MailMessage.find(
+            { to: { $in: emails }, status: { $in: ["queued", "sending", "failed"] } },
+            "to template subject status attempts nextAttemptAt lastError createdAt"
+        )
+            .sort({ createdAt: -1 })
+            .limit(RECENT_MESSAGES);
+
+        const counts = { queued: 0, sending: 0, sent: 0, failed: 0 };
+        for (const { _id, count } of totals) counts[_id] = count;
+        res.json({ counts, pending });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Messages in the development outbox sent to members, newest first
+const getOutbox = async (req, res) => {
+    try {
+        if (!OUTBOX_BROWSABLE) return res.json({ transport: TRANSPORT_NAME, browsable: false, messages: [] });
+        const emails = new Set(await memberEmails(req.user.orgId));
+        const messages = await listOutbox((to) => emails.has(to), RECENT_MESSAGES);
+        res.json({ transport: TRANSPORT_NAME, browsable: true, messages });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const getOutboxMessage = async (req, res) => {
+    try {
+        const message = OUTBOX_BROWSABLE ? await readOutbox(req.params.id) : null;
+        const emails = message ? await memberEmails(req.user.orgId) : [];
+        if (!message || !emails.includes(message.to)) return res.status(404).json({ message: "Message not found" });
+        res.json({ ...message, text: redactLinks(message.text), html: redactLinks(message.html) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { getTemplates, getTemplatePreview, getQueue, getOutbox, getOutboxMessage };
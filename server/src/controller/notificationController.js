@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+
+const PAGE_SIZE = 50;
+
+// The caller's notifications in the organization they are signed in to, plus
+// those about their account as a whole (no organization)
+const ownScope = (req) => ({ user: req.user.userId, org: { $in: [req.user.orgId, null] } });
+
+// The caller's latest notifications, newest first
+const listNotifications = async (req, res) => {
+    try {
+        const notifications = await Notification.find(ownScope(req))
+            .sort({ createdAt: -1 })
+            .limit(PAGE_SIZE);
+        res.json(notifications);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const markRead = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Notification not found" });
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, ...ownScope(req) },
+            { read: true },
+            { new: true }
+        );
+        if (!notification) return res.status(404).json({ message: "Notification not found" });
+
+        res.json(notification);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listNotifications, markRead };
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const { pickMembership } = require("../utils/tenancy");
+const { startSession, endSession } = require("../utils/sessions");
+const { tokenFields } = require("../utils/authCookies");
+const { roleExists, permissionsFor } = require("../utils/roles");
+const { canGrant } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+
+// Organizations the caller belongs to, with their role in each
+const listOrgs = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId, "memberships");
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        const orgs = await Organization.find({ _id: { $in: user.memberships.map((m) => m.org) } }).sort({ name: 1 });
+        res.json(orgs.map((org) => ({
+            id: org.id,
+            name: org.name,
+            role: user.membershipIn(org._id).role,
+            current: String(org._id) === String(req.user.orgId),
+        })));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Admins can start a new organization; they become its first admin
+const createOrg = async (req, res) => {
+    try {
+        const name = String(req.body.name || "").trim();
+        if (!name) return res.status(400).json({ message: "Name is required" });
+
+        const org = await Organization.create({ name, createdBy: req.user.userId });
+        await User.updateOne({ _id: req.user.userId }, { $push: { memberships: { org: org._id, role: "admin" } } });
+        await recordAudit(req, "org.create", { org: org._id, details: { name: org.name } });
+
+        res.status(201).json({ id: org.id, name: org.name, role: "admin", current: false });
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Issues a token for another organization the caller belongs to
+const switchOrg = async (req, res) => {
+    try {
+        const { orgId } = req.body;
+        if (!mongoose.isValidObjectId(orgId)) return res.status(400).json({ message: "Invalid organization" });
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        const membership = pickMembership(user, orgId);
+        if (!membership) return res.status(403).json({ message: "You are not a member of that organization" });
+
+        user.lastOrg = membership.org;
+        await user.save();
+        const org = await Organization.findById(orgId, "name");
+        await recordAudit(req, "auth.switch_org", { org: membership.org, details: { from: req.user.orgId } });
+
+        // Sessions belong to one organization: switching ends this one and starts another
+        await endSession(req.user.sid, "switch");
+        const tokens = await startSession(req, user, membership);
+
+        res.json({
+            ...tokenFields(req, res, tokens),
+            role: membership.role,
+            permissions: await permissionsFor(org._id, membership.role),
+            org: { id: org.id, name: org.name },
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Adds an existing account to the admin's current organization
+const addOrgMember = async (req, res) => {
+    try {
+        const email = String(req.body.email || "").trim();
+        const role = req.body.role || "user";
+        if (!email) return res.status(400).json({ message: "Email is required" });
+        if (!(await roleExists(req.user.orgId, role))) return res.status(400).json({ message: "Invalid role" });
+        if (!canGrant(req.user, await permissionsFor(req.user.orgId, role))) {
+            return res.status(403).json({ message: "You cannot grant a role with permissions you don't have" });
+        }
+
+        const user = await User.findOne({ email });
+        if (!user) return res.status(404).json({ message: "No user with that email" });
+        if (user.membershipIn(req.user.orgId)) return res.status(409).json({ message: "Already a member" });
+        if (!user.emailVerified) return res.status(409).json({ message: "That user hasn't verified their email yet" });
+
+        user.memberships.push({ org: req.user.orgId, role });
+        await user.save();
+        await recordAudit(req, "user.add", { target: user._id, details: { email: user.email, role } });
+
+        res.status(201).json({ _id: user._id, fullName: user.fullName, email: user.email, role, createdAt: user.createdAt });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listOrgs, createOrg, switchOrg, addOrgMember };
@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Board = require("../models/Board");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { projectScope, canManageProject } = require("../utils/scope");
+const { DEFAULT_WORKFLOW, validateWorkflow } = require("../utils/workflow");
+
+const EDITABLE_FIELDS = ["name", "description", "color"];
+
+const findScopedProject = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return Project.findOne({ _id: req.params.id, ...projectScope(req.user) });
+};
+
+const populateProject = (project) => project.populate("owner members", "fullName email");
+
+const listProjects = async (req, res) => {
+    try {
+        const projects = await Project.find(projectScope(req.user))
+            .sort({ createdAt: 1 })
+            .populate("owner members", "fullName email");
+        res.json(projects);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const getProject = async (req, res) => {
+    try {
+        const project = await findScopedProject(req);
+        if (!project) return res.status(404).json({ message: "Project not found" });
+
+        await populateProject(project);
+        res.json(project);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Creates a project together with its board. The board starts from the
+// workflow in the body ({ statuses, transitions, initialStatus }) or the default one.
+const createProject = async (req, res) => {
+    try {
+        const { name, description, color, workflow } = req.body;
+        if (!name || !String(name).trim()) return res.status(400).json({ message: "Name is required" });
+
+        const definition = workflow || DEFAULT_WORKFLOW;
+        const invalid = validateWorkflow(definition);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        const project = new Project({ name, description, color, org: req.user.orgId, owner: req.user.userId });
+        await project.validate();
+
+        const board = await Board.create({
+            name,
+            org: project.org,
+            owner: req.user.userId,
+            project: project._id,
+            statuses: definition.statuses,
+            transitions: definition.transitions || [],
+            initialStatus: definition.initialStatus,
+        });
+        project.board = board._id;
+        await project.save();
+        await populateProject(project);
+
+        res.status(201).json(project);
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const updateProject = async (req, res) => {
+    try {
+        const project = await findScopedProject(req);
+        if (!project) return res.status(404).json({ message: "Project not found" });
+        if (!canManageProject(req.user, project)) {
+            return res.status(403).json({ message: "Only the project owner can change it" });
+        }
+
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) project[field] = req.body[field];
+        });
+        await project.save();
+
+        // The project's board is named after it
+        if (req.body.name !== undefined) await Board.updateOne({ _id: project.board }, { name: project.name });
+
+        await populateProject(project);
+        res.json(project);
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Adds a member of the project's organization to the project by email
+const addMember = async (req, res) => {
+    try {
+        const project = await findScopedProject(req);
+        if (!project) return res.status(404).json({ message: "Project not found" });
+        if (!canManageProject(req.user, project)) {
+            return res.status(403).json({ message: "Only the project owner can add members" });
+        }
+
+        const email = String(req.body.email || "").trim();
+        if (!email) return res.status(400).json({ message: "Email is required" });
+
+        const user = await User.findOne({ email, "memberships.org": project.org }, "_id emailVerified");
+        if (!user) return res.status(404).json({ message: "No user with that email in this organization" });
+        if (!user.emailVerified) return res.status(409).json({ message: "That user hasn't verified their email yet" });
+
+        if (!project.isMember(user._id)) {
+            project.members.push(user._id);
+            await project.save();
+        }
+
+        await populateProject(project);
+        res.json(project);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Owners remove members; members may remove themselves (leave the project)
+const removeMember = async (req, res) => {
+    try {
+        const project = await findScopedProject(req);
+        if (!project) return res.status(404).json({ message: "Project not found" });
+
+        const leaving = String(req.params.userId) === String(req.user.userId);
+        if (!leaving && !canManageProject(req.user, project)) {
+            return res.status(403).json({ message: "Only the project owner can remove members" });
+        }
+
+        project.members = project.members.filter((member) => String(member) !== String(req.params.userId));
+        await project.save();
+
+        await populateProject(project);
+        res.json(project);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Deletes an empty project and its board. Tasks are never deleted implicitly.
+const deleteProject = async (req, res) => {
+    try {
+        const project = await findScopedProject(req);
+        if (!project) return res.status(404).json({ message: "Project not found" });
+        if (!canManageProject(req.user, project)) {
+            return res.status(403).json({ message: "Only the project owner can delete it" });
+        }
+
+        if (await Task.exists({ project: project._id })) {
+            return res.status(409).json({ message: "Delete the project's tasks before deleting it" });
+        }
+
+        await Board.deleteMany({ project: project._id });
+        await project.deleteOne();
+
+        res.json({ message: "Project deleted" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listProjects, getProject, createProject, updateProject, addMember, removeMember, deleteProject };
@@ -0,0 +1,111 @@
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole, canGrant } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+
+const slugify = (name) => String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+
+// Returns an error message when a permission list names unknown permissions
+const invalidPermissions = (permissions) => {
+    if (!Array.isArray(permissions)) return "permissions must be a list";
+    const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+    return unknown.length > 0 ? `Unknown permission(s): ${unknown.join(", ")}` : null;
+};
+
+const listPermissions = (req, res) => {
+    res.json(Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })));
+};
+
+// Built-in roles first, then the organization's own
+const listRoles = async (req, res) => {
+    try {
+        const custom = await Role.find({ org: req.user.orgId }).sort({ name: 1 });
+        res.json([
+            ...Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({ key, ...role, builtIn: true })),
+            ...custom.map((role) => ({ key: role.key, name: role.name, permissions: role.permissions, builtIn: false })),
+        ]);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const createRole = async (req, res) => {
+    try {
+        const { name, permissions = [] } = req.body;
+        if (!name || !String(name).trim()) return res.status(400).json({ message: "Name is required" });
+
+        const key = slugify(req.body.key || name);
+        if (!key) return res.status(400).json({ message: "Role key may only contain letters, digits and underscores" });
+        if (isBuiltInRole(key)) return res.status(409).json({ message: `"${key}" is a built-in role` });
+
+        const invalid = invalidPermissions(permissions);
+        if (invalid) return res.status(400).json({ message: invalid });
+        if (!canGrant(req.user, permissions)) {
+            return res.status(403).json({ message: "You cannot grant permissions you don't have" });
+        }
+
+        const role = await Role.create({ org: req.user.orgId, key, name, permissions });
+        await recordAudit(req, "role.create", { details: { key, permissions: role.permissions } });
+        res.status(201).json({ key: role.key, name: role.name, permissions: role.permissions, builtIn: false });
+    } catch (error) {
+        if (error.code === 11000) return res.status(409).json({ message: "A role with that key already exists" });
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const updateRole = async (req, res) => {
+    try {
+        if (isBuiltInRole(req.params.key)) return res.status(400).json({ message: "Built-in roles cannot be changed" });
+        // Otherwise an admin could grant themselves more through their own role
+        if (req.params.key === req.user.role) return res.status(403).json({ message: "You cannot change your own role" });
+
+        const role = await Role.findOne({ org: req.user.orgId, key: req.params.key });
+        if (!role) return res.status(404).json({ message: "Role not found" });
+        // Nor can they weaken a role that holds more than they do
+        if (!canGrant(req.user, role.permissions)) {
+            return res.status(403).json({ message: "You cannot change a role with permissions you don't have" });
+        }
+
+        if (req.body.permissions !== undefined) {
+            const invalid = invalidPermissions(req.body.permissions);
+            if (invalid) return res.status(400).json({ message: invalid });
+            if (!canGrant(req.user, req.body.permissions)) {
+                return res.status(403).json({ message: "You cannot grant permissions you don't have" });
+            }
+            role.permissions = req.body.permissions;
+        }
+        if (req.body.name !== undefined) role.name = req.body.name;
+        await role.save();
+        await recordAudit(req, "role.update", { details: { key: role.key, name: role.name, permissions: role.permissions } });
+
+        res.json({ key: role.key, name: role.name, permissions: role.permissions, builtIn: false });
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Roles still held by members can't be deleted
+const deleteRole = async (req, res) => {
+    try {
+        if (isBuiltInRole(req.params.key)) return res.status(400).json({ message: "Built-in roles cannot be deleted" });
+
+        const inUse = await User.exists({ memberships: { $elemMatch: { org: req.user.orgId, role: req.params.key } } });
+        if (inUse) return res.status(409).json({ message: "Give its members another role before deleting it" });
+
+        const result = await Role.deleteOne({ org: req.user.orgId, key: req.params.key });
+        if (result.deletedCount === 0) return res.status(404).json({ message: "Role not found" });
+        await recordAudit(req, "role.delete", { details: { key: req.params.key } });
+
+        res.json({ message: "Role deleted" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listPermissions, listRoles, createRole, updateRole, deleteRole };
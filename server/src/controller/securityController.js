@@ -0,0 +1,144 @@
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const { permissionsFor } = require("../utils/roles");
+const { canGrant } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { notify } = require("../utils/notify");
+const { unlockAccount } = require("../utils/loginThrottle");
+const { normalizePolicy, policyOf } = require("../utils/passwordPolicy");
+
+// Public sign-up only applies to the default organization, where sign-ups land;
+// null for the others
+const settingsOf = (org) => ({
+    requireAdminTwoFactor: org.requireAdminTwoFactor,
+    passwordPolicy: policyOf(org),
+    allowPublicSignup: org.isDefault ? org.allowPublicSignup : null,
+});
+
+// Sign-in security policies of the admin's organization
+const getSecuritySettings = async (req, res) => {
+    try {
+        const org = await Organization.findById(
+            req.user.orgId,
+            "requireAdminTwoFactor passwordPolicy isDefault allowPublicSignup"
+        );
+        if (!org) return res.status(404).json({ message: "Organization not found" });
+        res.json(settingsOf(org));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const updateSecuritySettings = async (req, res) => {
+    try {
+        const { requireAdminTwoFactor, passwordPolicy, allowPublicSignup } = req.body;
+        if (requireAdminTwoFactor === undefined && passwordPolicy === undefined && allowPublicSignup === undefined) {
+            return res.status(400).json({ message: "Nothing to update" });
+        }
+        if (requireAdminTwoFactor !== undefined && typeof requireAdminTwoFactor !== "boolean") {
+            return res.status(400).json({ message: "requireAdminTwoFactor must be true or false" });
+        }
+        if (allowPublicSignup !== undefined && typeof allowPublicSignup !== "boolean") {
+            return res.status(400).json({ message: "allowPublicSignup must be true or false" });
+        }
+
+        // Requiring it without having it would lock the admin out of their own change
+        if (requireAdminTwoFactor && req.user.role === "admin") {
+            const self = await User.findById(req.user.userId, "twoFactor.enabled");
+            if (!self || !(self.twoFactor && self.twoFactor.enabled)) {
+                return res.status(409).json({ message: "Set up two-factor authentication yourself first" });
+            }
+        }
+
+        const org = await Organization.findById(req.user.orgId);
+        if (!org) return res.status(404).json({ message: "Organization not found" });
+
+        const changes = {};
+        if (requireAdminTwoFactor !== undefined && requireAdminTwoFactor !== org.requireAdminTwoFactor) {
+            changes.requireAdminTwoFactor = { from: org.requireAdminTwoFactor, to: requireAdminTwoFactor };
+            org.requireAdminTwoFactor = requireAdminTwoFactor;
+        }
+        if (allowPublicSignup !== undefined && allowPublicSignup !== org.allowPublicSignup) {
+            if (!org.isDefault) {
+                return res.status(400).json({ message: "Only the default organization takes sign-ups" });
+            }
+            changes.allowPublicSignup = { from: org.allowPublicSignup, to: allowPublicSignup };
+            org.allowPublicSignup = allowPublicSignup;
+        }
+        if (passwordPolicy !== undefined) {
+            const current = policyOf(org);
+            const { policy, error } = normalizePolicy(passwordPolicy, current);
+            if (error) return res.status(400).json({ message: error });
+            for (const key of Object.keys(policy)) {
+                if (policy[key] !== current[key]) changes[`passwordPolicy.${key}`] = { from: current[key], to: policy[key] };
+            }
+            org.passwordPolicy = policy;
+        }
+        await org.save();
+        if (Object.keys(changes).length > 0) await recordAudit(req, "security.update", { details: { changes } });
+
+        res.json(settingsOf(org));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Turns off a member's two-factor authentication, e.g. after they lost their
+// phone and recovery codes; they can log in with their password and set it up again
+const resetUserTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.params.email, "memberships.org": req.user.orgId });
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (!user.twoFactor.enabled) return res.status(409).json({ message: "Two-factor authentication is already off" });
+        const { role } = user.membershipIn(req.user.orgId);
+        if (!canGrant(req.user, await permissionsFor(req.user.orgId, role))) {
+            return res.status(403).json({ message: "You cannot reset a member whose role has permissions you don't have" });
+        }
+        // The account protects the user's other organizations too, which this admin doesn't run
+        if (user.memberships.some((membership) => String(membership.org) !== String(req.user.orgId))) {
+            return res.status(403).json({
+                message: "That account belongs to other organizations too; only its owner can turn off two-factor authentication",
+            });
+        }
+
+        user.twoFactor = {};
+        await user.save();
+        await recordAudit(req, "2fa.reset", { target: user._id });
+        await notify([user._id], {
+            org: req.user.orgId,
+            type: "2fa.reset",
+            message: "An admin turned off your two-factor authentication. Set it up again from your profile.",
+        });
+
+        res.json({ message: "Two-factor authentication reset" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Lifts a member's lockout after too many failed sign-ins, e.g. when the unlock
+// email didn't reach them
+const unlockUser = async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.params.email, "memberships.org": req.user.orgId }, "email");
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (!(await unlockAccount(user.email))) return res.status(409).json({ message: "The account isn't locked" });
+
+        await recordAudit(req, "auth.unlock", { target: user._id, details: { via: "admin" } });
+        await notify([user._id], {
+            org: req.user.orgId,
+            type: "auth.unlock",
+            message: "An admin unlocked your account. You can log in again.",
+        });
+
+        res.json({ message: "Account unlocked" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { getSecuritySettings, updateSecuritySettings, resetUserTwoFactor, unlockUser };
@@ -0,0 +1,228 @@
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { endSession } = require("../utils/sessions");
+const { recordAudit } = require("../utils/audit");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 92;
+const MAX_SESSIONS = 1000;
+
+// Reads ?from&to (ISO dates), defaulting to the last week. Null when invalid.
+const parseRange = (query) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (isNaN(from) || isNaN(to) || from > to || to - from > MAX_RANGE_DAYS * DAY_MS) return null;
+    return { from, to };
+};
+
+// Sessions of the organization that overlap the range
+const overlapping = (orgId, { from, to }) => ({
+    org: orgId,
+    startedAt: { $lte: to },
+    $or: [{ endedAt: null }, { endedAt: { $gte: from } }],
+});
+
+// Sessions in a time range, optionally of one user (?user=<id>), oldest first
+const listSessions = async (req, res) => {
+    try {
+        const range = parseRange(req.query);
+        if (!range) return res.status(400).json({ message: `Invalid range (at most ${MAX_RANGE_DAYS} days)` });
+
+        const filter = overlapping(req.user.orgId, range);
+        if (req.query.user) {
+            if (!mongoose.isValidObjectId(req.query.user)) return res.status(400).json({ message: "Invalid user" });
+            filter.user = req.query.user;
+        }
+
+        await Session.closeExpired();
+        const sessions = await Session.find(filter)
+            .sort({ startedAt: 1 })
+            .limit(MAX_SESSIONS)
+            .populate("user", "fullName email");
+
+        res.json(sessions);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+/**
+ * Totals per day over a time range: sessions started, distinct users signed in,
+ * and time spent signed in (sessions spanning midnight count towards both days).
+ * Days follow the client's time zone, given as ?tzOffset in minutes
+ * (Date#getTimezoneOffset, so UTC+5:30 is -330).
+ */
+const dailyTotals = async (req, res) => {
+    try {
+        const range = parseRange(req.query);
+        if (!range) return res.status(400).json({ message: `Invalid range (at most ${MAX_RANGE_DAYS} days)` });
+        const offset = (Number(req.query.tzOffset) || 0) * 60 * 1000;
+
+        await Session.closeExpired();
+        const sessions = await Session.find(overlapping(req.user.orgId, range), "user startedAt endedAt");
+
+        // Local midnight (as a UTC timestamp) of the day containing `time`
+        const dayStart = (time) => Math.floor((time - offset) / DAY_MS) * DAY_MS + offset;
+        const days = new Map();
+        const dayFor = (start) => {
+            if (!days.has(start)) days.set(start, { sessions: 0, users: new Set(), duration: 0 });
+            return days.get(start);
+        };
+
+        const now = Date.now();
+        for (const session of sessions) {
+            const start = Math.max(session.startedAt.getTime(), range.from.getTime());
+            const end = Math.min((session.endedAt || new Date(now)).getTime(), range.to.getTime());
+            if (session.startedAt >= range.from) dayFor(dayStart(session.startedAt.getTime())).sessions += 1;
+
+            for (let day = dayStart(start); day < end; day += DAY_MS) {
+                const totals = dayFor(day);
+                totals.users.add(String(session.user));
+                totals.duration += Math.min(end, day + DAY_MS) - Math.max(start, day);
+            }
+        }
+
+        res.json([...days.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([day, totals]) => ({
+                day: new Date(day),
+                sessions: totals.sessions,
+                users: totals.users.size,
+                duration: totals.duration,
+            })));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// A signed-in device as the session lists show it; `current` marks the caller's own session
+const toActiveView = (session, currentSid) => ({
+    id: session._id,
+    org: session.org,
+    device: session.device,
+    ip: session.ip,
+    createdAt: session.startedAt,
+    lastSeenAt: session.lastSeenAt,
+    current: String(session._id) === String(currentSid),
+});
+
+// Sessions still open, most recently used first. Revoking one ends it; its
+// tokens are then refused by `protect` and the refresh route.
+const activeSessions = async (filter) => {
+    await Session.closeExpired();
+    return Session.find({ ...filter, endedAt: null })
+        .sort({ lastSeenAt: -1 })
+        .populate("org", "name");
+};
+
+const revokeSessions = async (req, filter, target) => {
+    const sessions = await Session.find({ ...filter, endedAt: null }, "_id");
+    await Promise.all(sessions.map((session) => endSession(session._id, "revoked")));
+    await recordAudit(req, "session.revoke", {
+        target,
+        details: { sessions: sessions.map((session) => session._id) },
+    });
+    return sessions.length;
+};
+
+// The caller's open sessions in every organization they belong to
+const listOwnSessions = async (req, res) => {
+    try {
+        const sessions = await activeSessions({ user: req.user.userId });
+        res.json(sessions.map((session) => toActiveView(session, req.user.sid)));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Ends one of the caller's sessions; ending the current one is a logout
+const revokeOwnSession = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Session not found" });
+        if (String(req.params.id) === String(req.user.sid)) {
+            return res.status(400).json({ message: "Log out to end the current session" });
+        }
+
+        const revoked = await revokeSessions(req, { _id: req.params.id, user: req.user.userId }, req.user.userId);
+        if (!revoked) return res.status(404).json({ message: "Session not found" });
+        res.json({ revoked });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Ends every session of the caller except the current one
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req, { user: req.user.userId, _id: { $ne: req.user.sid } }, req.user.userId);
+        res.json({ revoked });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Admins only see and end sessions inside their own organization
+const findMemberSessions = async (req) => {
+    const user = await User.findOne({ email: req.params.email, "memberships.org": req.user.orgId }, "_id");
+    return user && { user: user._id, org: req.user.orgId };
+};
+
+const listUserSessions = async (req, res) => {
+    try {
+        const filter = await findMemberSessions(req);
+        if (!filter) return res.status(404).json({ message: "User not found" });
+
+        const sessions = await activeSessions(filter);
+        res.json(sessions.map((session) => toActiveView(session, req.user.sid)));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const revokeUserSession = async (req, res) => {
+    try {
+        const filter = await findMemberSessions(req);
+        if (!filter) return res.status(404).json({ message: "User not found" });
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Session not found" });
+
+        const revoked = await revokeSessions(req, { ...filter, _id: req.params.id }, filter.user);
+        if (!revoked) return res.status(404).json({ message: "Session not found" });
+        res.json({ revoked });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Ends all of a member's sessions in the organization, except the admin's own
+const revokeUserSessions = async (req, res) => {
+    try {
+        const filter = await findMemberSessions(req);
+        if (!filter) return res.status(404).json({ message: "User not found" });
+
+        const revoked = await revokeSessions(req, { ...filter, _id: { $ne: req.user.sid } }, filter.user);
+        res.json({ revoked });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = {
+    listSessions,
+    dailyTotals,
+    listOwnSessions,
+    revokeOwnSession,
+    revokeOtherSessions,
+    listUserSessions,
+    revokeUserSession,
+    revokeUserSessions,
+};
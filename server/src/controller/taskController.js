@@ -0,0 +1,398 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const Board = require("../models/Board");
+const User = require("../models/User");
+const { taskScope, boardScope } = require("../utils/scope");
+const { findStatus, canTransition, resolveTarget, mapLegacyStatus } = require("../utils/workflow");
+const { MAX_RANK_LENGTH, rankBetween, initialRanks } = require("../utils/ranking");
+const { hasPermission } = require("../utils/permissions");
+
+// Fields a client is allowed to set directly. Owner always comes from the token,
+// and status only changes through the workflow (see moveTask).
+const EDITABLE_FIELDS = ["title", "description", "priority", "progress", "dueDate", "assignee", "labels"];
+
+// Fields a card can change by being dropped into another swimlane
+const LANE_FIELDS = ["assignee", "priority", "labels"];
+
+const pickEditable = (body, fields = EDITABLE_FIELDS) => {
+    const updates = {};
+    fields.forEach((field) => {
+        if (body[field] !== undefined) updates[field] = body[field];
+    });
+    return updates;
+};
+
+// Tasks can only be assigned to members of the caller's organization, and only
+// to someone else with task.assign, who has verified their email. Returns
+// { status, message } or null.
+const checkAssignee = async (req, updates) => {
+    if (!updates.assignee) return null;
+    if (!mongoose.isValidObjectId(updates.assignee)) return { status: 400, message: "Invalid assignee" };
+    if (String(updates.assignee) !== String(req.user.userId) && !hasPermission(req.user, "task.assign")) {
+        return { status: 403, message: "You are not allowed to assign tasks to others" };
+    }
+    const member = await User.findOne({ _id: updates.assignee, "memberships.org": req.user.orgId }, "emailVerified");
+    if (!member) return { status: 400, message: "The assignee is not a member of this organization" };
+    if (!member.emailVerified && String(updates.assignee) !== String(req.user.userId)) {
+        return { status: 409, message: "The assignee hasn't verified their email yet" };
+    }
+    return null;
+};
+
+const findScopedTask = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return Task.findOne({ _id: req.params.id, ...(await taskScope(req.user)) });
+};
+
+// The board a new task goes on: the one requested (if the user can see it),
+// else the board of the requested project, otherwise the user's default board
+const boardForNewTask = async (req, { board: boardId, project: projectId }) => {
+    if (boardId) {
+        if (!mongoose.isValidObjectId(boardId)) return null;
+        return Board.findOne({ _id: boardId, ...(await boardScope(req.user)) });
+    }
+    if (projectId) {
+        if (!mongoose.isValidObjectId(projectId)) return null;
+        return Board.findOne({ project: projectId, ...(await boardScope(req.user)) });
+    }
+    return Board.getDefaultFor(req.user.userId, req.user.orgId);
+};
+
+// Puts a task into a status and keeps the derived fields in line with it
+const applyStatus = (task, board, key) => {
+    const category = board.categoryOf(key);
+    task.status = key;
+    task.statusCategory = category;
+    if (category === "done") task.progress = 100;
+};
+
+// Re-spaces the ranks of every card in a column. Already ranked cards keep their
+// order and never-ranked ones (imported or pre-ordering tasks) go last, oldest first.
+const rebalanceColumn = async (boardId, status) => {
+    const cards = await Task.find({ board: boardId, status }, "rank createdAt");
+    cards.sort((a, b) => {
+        if (a.rank && b.rank) return a.rank < b.rank ? -1 : 1;
+        if (a.rank || b.rank) return a.rank ? -1 : 1;
+        return a.createdAt - b.createdAt;
+    });
+
+    const ranks = initialRanks(cards.length);
+    await Task.bulkWrite(cards.map((card, i) => ({
+        updateOne: { filter: { _id: card._id }, update: { $set: { rank: ranks[i] } } },
+    })));
+};
+
+const ensureColumnRanked = async (boardId, status) => {
+    if (await Task.exists({ board: boardId, status, rank: null })) await rebalanceColumn(boardId, status);
+};
+
+// Rank for a card placed at the bottom of a column
+const rankAtEnd = async (boardId, status, excludeId) => {
+    const last = await Task.findOne({ board: boardId, status, _id: { $ne: excludeId }, rank: { $ne: null } })
+        .sort({ rank: -1 })
+        .select("rank");
+    const rank = rankBetween(last ? last.rank : null, null);
+    if (rank.length <= MAX_RANK_LENGTH) return rank;
+
+    await rebalanceColumn(boardId, status);
+    return rankAtEnd(boardId, status, excludeId);
+};
+
+// Returns an error message when moving into `key` breaks a blocking WIP limit
+const checkWipLimit = async (task, board, key) => {
+    const status = findStatus(board, key);
+    if (!status || !status.wipLimit || key === task.status) return null;
+    if (board.wipEnforcement !== "block") return null;
+
+    const count = await Task.countDocuments({ board: board._id, status: key });
+    if (count < status.wipLimit) return null;
+    return `"${status.name}" is at its WIP limit of ${status.wipLimit}`;
+};
+
+// Validates and applies a workflow move, placing the card at the bottom of its
+// new column. Returns an error message or null.
+const moveTask = async (task, board, target) => {
+    const key = resolveTarget(board, target, task.status);
+    if (!key) {
+        const wanted = target.status || target.category;
+        return `"${wanted}" is not a status this task can move to`;
+    }
+    if (key === task.status) return null;
+    if (!canTransition(board, task.status, key)) {
+        return `Cannot move a task from "${task.status}" to "${key}"`;
+    }
+
+    const wipError = await checkWipLimit(task, board, key);
+    if (wipError) return wipError;
+
+    task.rank = await rankAtEnd(board._id, key, task._id);
+    applyStatus(task, board, key);
+    return null;
+};
+
+const populateTask = (task) => task.populate("owner assignee", "fullName email");
+
+const listTasks = async (req, res) => {
+    try {
+        const filter = { ...(await taskScope(req.user)) };
+        // ?project=<id> for one project's tasks, ?project=personal for tasks on personal boards
+        if (req.query.project === "personal") filter.project = null;
+        else if (req.query.project) {
+            if (!mongoose.isValidObjectId(req.query.project)) return res.status(400).json({ message: "Invalid project" });
+            filter.project = req.query.project;
+        }
+        if (req.query.board) {
+            if (!mongoose.isValidObjectId(req.query.board)) return res.status(400).json({ message: "Invalid board" });
+            filter.board = req.query.board;
+        }
+
+        const tasks = await Task.find(filter)
+            .sort({ createdAt: -1 })
+            .populate("owner assignee", "fullName email");
+        res.json(tasks);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const getTask = async (req, res) => {
+    try {
+        const task = await findScopedTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        await populateTask(task);
+        res.json(task);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const createTask = async (req, res) => {
+    try {
+        const fields = pickEditable(req.body);
+        if (!fields.title || !String(fields.title).trim()) {
+            return res.status(400).json({ message: "Title is required" });
+        }
+
+        const assigneeError = await checkAssignee(req, fields);
+        if (assigneeError) return res.status(assigneeError.status).json({ message: assigneeError.message });
+
+        const board = await boardForNewTask(req, req.body);
+        if (!board) return res.status(404).json({ message: "Board not found" });
+
+        const status = req.body.status || board.initialStatus;
+        if (!findStatus(board, status)) return res.status(400).json({ message: `Unknown status "${status}"` });
+
+        const wipError = await checkWipLimit({ status: null }, board, status);
+        if (wipError) return res.status(409).json({ message: wipError });
+
+        const task = new Task({
+            ...fields,
+            org: board.org,
+            board: board._id,
+            project: board.project,
+            owner: req.user.userId,
+            assignee: fields.assignee || req.user.userId,
+            rank: await rankAtEnd(board._id, status),
+        });
+        applyStatus(task, board, status);
+        await task.save();
+        await populateTask(task);
+
+        res.status(201).json(task);
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const updateTask = async (req, res) => {
+    try {
+        const task = await findScopedTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const updates = pickEditable(req.body);
+        const assigneeError = await checkAssignee(req, updates);
+        if (assigneeError) return res.status(assigneeError.status).json({ message: assigneeError.message });
+
+        task.set(updates);
+
+        // Status changes sent along with an edit go through the same checks as /transition
+        if (req.body.status !== undefined && req.body.status !== task.status) {
+            const board = await Board.findById(task.board);
+            const moveError = await moveTask(task, board, { status: req.body.status });
+            if (moveError) return res.status(409).json({ message: moveError });
+        }
+
+        await task.save();
+        await populateTask(task);
+
+        res.json(task);
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Moves a task to another status. The body names either an exact status key
+// ({ status: "in_review" }) or a category ({ category: "done" }), in which case
+// the first status of that category the workflow allows is used.
+const transitionTask = async (req, res) => {
+    try {
+        const { status, category } = req.body;
+        if (!status && !category) return res.status(400).json({ message: "status or category is required" });
+
+        const task = await findScopedTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const board = await Board.findById(task.board);
+        const moveError = await moveTask(task, board, { status, category });
+        if (moveError) return res.status(409).json({ message: moveError });
+
+        await task.save();
+        await populateTask(task);
+
+        res.json(task);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Drops a card at a position on the board: into `status` (defaults to its current
+// column) between the cards `prevId` (above) and `nextId` (below). Only the moved
+// card's rank is written, unless its column has never been ordered before.
+// A drop into another swimlane also sends the lane's field (see LANE_FIELDS).
+const positionTask = async (req, res) => {
+    try {
+        const task = await findScopedTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        const board = await Board.findById(task.board);
+        const status = req.body.status || task.status;
+        if (!findStatus(board, status)) return res.status(400).json({ message: `Unknown status "${status}"` });
+
+        if (status !== task.status) {
+            if (!canTransition(board, task.status, status)) {
+                return res.status(409).json({ message: `Cannot move a task from "${task.status}" to "${status}"` });
+            }
+            const wipError = await checkWipLimit(task, board, status);
+            if (wipError) return res.status(409).json({ message: wipError });
+        }
+
+        await ensureColumnRanked(board._id, status);
+
+        const loadNeighbour = async (id) => {
+            if (!id) return null;
+            if (!mongoose.isValidObjectId(id)) return undefined;
+            const neighbour = await Task.findOne({ _id: id, board: board._id, status }, "rank");
+            return neighbour || undefined;
+        };
+        let prev = await loadNeighbour(req.body.prevId);
+        let next = await loadNeighbour(req.body.nextId);
+        if (prev === undefined || next === undefined || (prev && next && prev.rank >= next.rank)) {
+            return res.status(409).json({ message: "The board has changed, reload and try again" });
+        }
+
+        let rank = rankBetween(prev ? prev.rank : null, next ? next.rank : null);
+        if (rank.length > MAX_RANK_LENGTH) {
+            await rebalanceColumn(board._id, status);
+            prev = prev && await Task.findById(prev._id, "rank");
+            next = next && await Task.findById(next._id, "rank");
+            rank = rankBetween(prev ? prev.rank : null, next ? next.rank : null);
+        }
+
+        const laneUpdates = pickEditable(req.body, LANE_FIELDS);
+        const assigneeError = await checkAssignee(req, laneUpdates);
+        if (assigneeError) return res.status(assigneeError.status).json({ message: assigneeError.message });
+
+        task.set(laneUpdates);
+        task.rank = rank;
+        applyStatus(task, board, status);
+        await task.save();
+        await populateTask(task);
+
+        res.json(task);
+    } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const deleteTask = async (req, res) => {
+    try {
+        const task = await findScopedTask(req);
+        if (!task) return res.status(404).json({ message: "Task not found" });
+
+        await task.deleteOne();
+        res.json({ message: "Task deleted successfully" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+const MAX_IMPORT = 1000;
+
+// Bulk import of tasks migrated from the browser's legacy localStorage data.
+// Each entry is validated on its own so one bad record doesn't sink the batch,
+// and entries whose legacyId this owner already imported into the organization are skipped.
+const importTasks = async (req, res) => {
+    try {
+        const { tasks } = req.body;
+        if (!Array.isArray(tasks)) return res.status(400).json({ message: "tasks must be an array" });
+        if (tasks.length > MAX_IMPORT) {
+            return res.status(400).json({ message: `Cannot import more than ${MAX_IMPORT} tasks at once` });
+        }
+
+        const owner = req.user.userId;
+        const board = await Board.getDefaultFor(owner, req.user.orgId);
+        const legacyIds = tasks.map((task) => task && task.legacyId).filter(Boolean).map(String);
+        const existing = await Task.find({ org: req.user.orgId, owner, legacyId: { $in: legacyIds } }, "legacyId");
+        const seen = new Set(existing.map((task) => task.legacyId));
+
+        const imported = [];
+        const skipped = [];
+        const docs = [];
+
+        tasks.forEach((entry, index) => {
+            const legacyId = entry && entry.legacyId ? String(entry.legacyId) : null;
+            if (!entry || typeof entry !== "object") {
+                skipped.push({ index, legacyId, reason: "Not a task object" });
+                return;
+            }
+            if (legacyId && seen.has(legacyId)) {
+                skipped.push({ index, legacyId, reason: "Already imported" });
+                return;
+            }
+
+            const doc = new Task({ ...pickEditable(entry), org: board.org, board: board._id, owner, assignee: owner, legacyId });
+            applyStatus(doc, board, mapLegacyStatus(board, entry.status));
+            const validationError = doc.validateSync();
+            if (validationError) {
+                skipped.push({ index, legacyId, reason: validationError.message });
+                return;
+            }
+
+            if (legacyId) seen.add(legacyId);
+            docs.push({ index, legacyId, doc });
+        });
+
+        if (docs.length > 0) {
+            await Task.insertMany(docs.map(({ doc }) => doc));
+        }
+        docs.forEach(({ index, legacyId, doc }) => imported.push({ index, legacyId, id: doc.id }));
+
+        res.status(201).json({ imported, skipped });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { listTasks, getTask, createTask, updateTask, transitionTask, positionTask, deleteTask, importTasks };
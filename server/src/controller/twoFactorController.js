@@ -0,0 +1,115 @@
+const User = require("../models/User");
+const { generateSecret, verifyCode, otpauthUrl, hashRecoveryCode, generateRecoveryCodes } = require("../utils/totp");
+const { consumeSecondFactor, isTwoFactorRequired } = require("../utils/twoFactor");
+const { recordAudit } = require("../utils/audit");
+
+// Fresh recovery codes: the plain ones go to the user once, the hashes are stored
+const replaceRecoveryCodes = (user) => {
+    const codes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+};
+
+const getTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId, "twoFactor");
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        res.json({
+            enabled: user.twoFactor.enabled,
+            recoveryCodesLeft: user.twoFactor.recoveryCodes.length,
+            required: await isTwoFactorRequired(req.user.orgId, req.user.role),
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// First step of enrollment: a new secret for the authenticator app, shown as a QR code
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (user.twoFactor.enabled) return res.status(409).json({ message: "Two-factor authentication is already on" });
+
+        user.twoFactor.pendingSecret = generateSecret();
+        await user.save();
+
+        res.json({ secret: user.twoFactor.pendingSecret, otpauthUrl: otpauthUrl(user.twoFactor.pendingSecret, user.email) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Second step: a code from the app proves it holds the secret. Returns the recovery codes.
+const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (user.twoFactor.enabled) return res.status(409).json({ message: "Two-factor authentication is already on" });
+        if (!user.twoFactor.pendingSecret) return res.status(400).json({ message: "Start the setup first" });
+
+        const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) return res.status(400).json({ message: "Invalid authentication code" });
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = null;
+        user.twoFactor.enabled = true;
+        user.twoFactor.lastUsedStep = step;
+        const recoveryCodes = replaceRecoveryCodes(user);
+        await user.save();
+        await recordAudit(req, "2fa.enable");
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Turning it off takes a current code or a recovery code, and isn't allowed where it's required
+const disableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (!user.twoFactor.enabled) return res.status(409).json({ message: "Two-factor authentication is off" });
+        if (await isTwoFactorRequired(req.user.orgId, req.user.role)) {
+            return res.status(409).json({ message: "Your organization requires two-factor authentication for your role" });
+        }
+        if (!consumeSecondFactor(user, req.body)) return res.status(400).json({ message: "Invalid authentication code" });
+
+        user.twoFactor = {};
+        await user.save();
+        await recordAudit(req, "2fa.disable");
+
+        res.json({ enabled: false });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// New recovery codes replace all old ones; needs a current code from the app
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (!user.twoFactor.enabled) return res.status(409).json({ message: "Two-factor authentication is off" });
+        if (!consumeSecondFactor(user, { code: req.body.code })) {
+            return res.status(400).json({ message: "Invalid authentication code" });
+        }
+
+        const recoveryCodes = replaceRecoveryCodes(user);
+        await user.save();
+        await recordAudit(req, "2fa.recovery_codes");
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+module.exports = { getTwoFactor, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes };
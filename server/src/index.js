@@ -2,18 +2,38 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const User = require("./models/User");
 const bodyParser = require("body-parser");
 const authRoutes = require('./routes/authRoutes');
 const forgotPassRoutes = require("./routes/forgetPasswordRoute");
+const taskRoutes = require("./routes/taskRoutes");
+const boardRoutes = require("./routes/boardRoutes");
+const projectRoutes = require("./routes/projectRoutes");
+const orgRoutes = require("./routes/orgRoutes");
+const roleRoutes = require("./routes/roleRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const invitationRoutes = require("./routes/invitationRoutes");
+const { COOKIE_MODE } = require("./utils/authCookies");
+const { startMailQueue } = require("./utils/mailer");
 const app = express();
+// Number of proxies in front of the API (e.g. 1 on Render), so req.ip is the client's address
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || 0);
 app.use(express.json());
-app.use(cors());
+// Cookie sessions need credentialed CORS, which only works for listed origins
+app.use(COOKIE_MODE
+    ? cors({ origin: (process.env.CORS_ORIGIN || "http://localhost:5173").split(","), credentials: true })
+    : cors());
 app.use(bodyParser.json());
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use("/api", forgotPassRoutes);
+app.use("/api/tasks", taskRoutes);
+app.use("/api/boards", boardRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/orgs", orgRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/invitations", invitationRoutes);
 const PORT = process.env.PORT || 5000;
 
 const mongoURI = process.env.MONGO_URI;
@@ -25,7 +45,10 @@ app.listen(PORT,()=>{
     console.log("server started");
 })
 mongoose.connect(mongoURI)
-    .then(() => console.log(" Connected to MongoDB!"))
+    .then(() => {
+        console.log(" Connected to MongoDB!");
+        startMailQueue();
+    })
     .catch(err => console.error(" Database connection failed:", err));
 
 app.get("/",(req,res)=>{
@@ -34,41 +57,7 @@ app.get("/",(req,res)=>{
 const adminRoutes = require("./routes/admindash");
 app.use("/admin", adminRoutes);
 
-app.delete("/admin/users/:email", async (req, res) => {
-    try {
-      const { email } = req.params;
-  
-      const result = await User.deleteOne({ email });
-  
-      if (result.deletedCount === 0) {
-        return res.status(404).json({ error: "User not found" });
-      }
-  
-      res.status(200).json({ message: "User deleted successfully" });
-    } catch (error) {
-    
-      res.status(500).json({ error: "Failed to delete user" });
-    }
-  });
-
   app.use((req, res, next) => {
     console.log(`Incoming request: ${req.method} ${req.url}`);
     next();
   });
-  app.put("/admin/users/:email", async (req, res) => {
-    const { email } = req.params;
-    const { fullName, role } = req.body;
-    
-    console.log("Received Update:", { fullName, role });
-  
-    const user = await User.findOneAndUpdate(
-      { email },
-      { fullName, role },
-      { new: true } // Ensure it returns updated data
-    );
-  
-    if (!user) return res.status(404).json({ message: "User not found" });
-  
-    res.json(user);
-  });
-  
\ No newline at end of file
@@ -1,24 +1,78 @@
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { permissionsFor } = require('../utils/roles');
+const { hasPermission } = require('../utils/permissions');
+const { accessCookie, hasValidCsrf } = require('../utils/authCookies');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
-// General Authentication Middleware
-const protect = (req, res, next) => {
-    const token = req.header("Authorization");
+// How often a session's last-seen time is written while it's in use
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// General Authentication Middleware. Also resolves the user's current role and
+// its permissions, so role changes and removals apply on the next request, and
+// rejects tokens of sessions that were logged out or revoked. In cookie mode
+// the token may come from the access cookie instead (see utils/authCookies.js).
+const protect = async (req, res, next) => {
+    // Accept both "Bearer <token>" and the bare token older clients send
+    const header = req.header("Authorization") || "";
+    const bearer = header.startsWith("Bearer ") ? header.slice(7) : header;
+    const token = bearer || accessCookie(req);
     if (!token) return res.status(401).json({ message: "Unauthorized access" });
 
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ message: "Invalid token" });
+    }
+    // Tokens issued before organizations (or sessions) existed carry no tenant (or session)
+    if (!decoded.orgId || !decoded.sid) return res.status(401).json({ message: "Session expired, please log in again" });
+    // Browsers send cookies along with any request, so those must prove they come from our client
+    const cookieAuth = !bearer;
+    if (cookieAuth && !hasValidCsrf(req, decoded.sid)) return res.status(403).json({ message: "Invalid CSRF token" });
+
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        const [user, session] = await Promise.all([
+            User.findById(decoded.userId, "memberships twoFactor.enabled"),
+            Session.findById(decoded.sid, "endedAt lastSeenAt"),
+        ]);
+        if (!session || session.endedAt) return res.status(401).json({ message: "Session expired, please log in again" });
+        if (Date.now() - (session.lastSeenAt || 0) >= LAST_SEEN_INTERVAL_MS) {
+            await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+        }
+        const membership = user && user.membershipIn(decoded.orgId);
+        if (!membership) return res.status(401).json({ message: "You are no longer a member of this organization" });
+
+        // Until they set up a required second factor, users can only reach the
+        // account routes (/api/auth), where the setup happens
+        const twoFactorEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+        const twoFactorSetupRequired = !twoFactorEnabled && (await isTwoFactorRequired(decoded.orgId, membership.role));
+        if (twoFactorSetupRequired && req.baseUrl !== "/api/auth") {
+            return res.status(403).json({ message: "Set up two-factor authentication to continue", twoFactorSetupRequired });
+        }
+
+        req.user = {
+            ...decoded,
+            role: membership.role,
+            permissions: await permissionsFor(decoded.orgId, membership.role),
+            twoFactorSetupRequired,
+        };
+        req.cookieAuth = cookieAuth;
         next();
     } catch (error) {
-        res.status(401).json({ message: "Invalid token" });
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
     }
 };
 
-// Admin Authorization Middleware
-const adminOnly = (req, res, next) => {
-    if (req.user.role !== "admin") return res.status(403).json({ message: "Access denied" });
+// Permission Authorization Middleware: the user's role must grant every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!permissions.every((permission) => hasPermission(req.user, permission))) {
+        return res.status(403).json({ message: "Access denied" });
+    }
     next();
 };
 
-module.exports = { protect, adminOnly };
\ No newline at end of file
+module.exports = { protect, requirePermission };
\ No newline at end of file
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('./AuditEvent');
+
+// Audit events moved out of AuditEvent by retention archival, unchanged and still
+// chained, so the whole history stays verifiable. Append-only like the live log.
+module.exports = mongoose.model('AuditArchive', AuditEvent.schema.clone());
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One recorded auth or admin event: who did what to whom, from where, and whether
+// it succeeded. Written by utils/audit.js only.
+//
+// Events are append-only and hash-chained per organization: each carries its
+// position (`seq`) and the hash of the one before it (see utils/auditChain.js).
+// Old events leave this collection only by retention archival into AuditArchive.
+const AuditEventSchema = new mongoose.Schema({
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", default: null },
+    seq: { type: Number, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    email: { type: String, default: null }, // as typed, for failed logins of unknown accounts
+    action: { type: String, required: true }, // e.g. "auth.login", "user.update"
+    outcome: { type: String, enum: ["success", "failure"], default: "success" },
+    target: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    createdAt: { type: Date, required: true },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true },
+}, { minimize: false }); // keep empty details: the hash covers them
+
+AuditEventSchema.index({ org: 1, seq: 1 }, { unique: true });
+AuditEventSchema.index({ org: 1, createdAt: -1 });
+AuditEventSchema.index({ org: 1, action: 1, createdAt: -1 });
+
+// Refuse every update and delete made through the model
+const refuse = function () {
+    throw new Error("Audit events are append-only");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+    "deleteOne", "deleteMany", "findOneAndDelete"].forEach((operation) => {
+    AuditEventSchema.pre(operation, { document: false, query: true }, refuse);
+});
+AuditEventSchema.pre("deleteOne", { document: true, query: false }, refuse);
+AuditEventSchema.pre("save", function () {
+    if (!this.isNew) throw new Error("Audit events are append-only");
+});
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { CATEGORIES, DEFAULT_WORKFLOW } = require('../utils/workflow');
+
+const StatusSchema = new mongoose.Schema({
+    key: { type: String, required: true, match: /^[a-z0-9_]+$/ },
+    name: { type: String, required: true, trim: true },
+    category: { type: String, enum: CATEGORIES, required: true },
+    color: { type: String, default: "#9CA3AF" },
+    wipLimit: { type: Number, min: 1, default: null }, // max cards in the column, null for no limit
+}, { _id: false });
+
+const TransitionSchema = new mongoose.Schema({
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+}, { _id: false });
+
+const BoardSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true, index: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // Set on project boards; personal boards belong to their owner alone
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", default: null, index: true },
+    isDefault: { type: Boolean, default: false },
+    statuses: { type: [StatusSchema], default: () => DEFAULT_WORKFLOW.statuses },
+    transitions: { type: [TransitionSchema], default: () => DEFAULT_WORKFLOW.transitions },
+    initialStatus: { type: String, default: DEFAULT_WORKFLOW.initialStatus },
+    // "warn" lets a drop over a column's WIP limit through, "block" rejects it
+    wipEnforcement: { type: String, enum: ["warn", "block"], default: "warn" },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// One default board per user in each organization
+BoardSchema.index({ org: 1, owner: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Every user gets a personal board in an organization the first time one is needed
+BoardSchema.statics.getDefaultFor = async function (userId, orgId) {
+    const query = { org: orgId, owner: userId, isDefault: true };
+    const existing = await this.findOne(query);
+    if (existing) return existing;
+
+    try {
+        return await this.create({ name: "My Board", ...query });
+    } catch (error) {
+        // Another request created it first
+        if (error.code === 11000) return this.findOne(query);
+        throw error;
+    }
+};
+
+BoardSchema.methods.categoryOf = function (key) {
+    const status = this.statuses.find((s) => s.key === key);
+    return status ? status.category : null;
+};
+
+module.exports = mongoose.model('Board', BoardSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// An admin's invitation to join an organization with a given role and projects.
+// Only the SHA-256 of the emailed token is stored; resending issues a new token.
+const InvitationSchema = new mongoose.Schema({
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    email: { type: String, required: true, trim: true },
+    role: { type: String, required: true },
+    projects: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Project" }], default: [] },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    status: { type: String, enum: ["pending", "accepted", "revoked"], default: "pending" },
+    sentCount: { type: Number, default: 1 },
+    lastSentAt: { type: Date, default: Date.now },
+    acceptedAt: { type: Date, default: null },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+InvitationSchema.index({ org: 1, status: 1, email: 1 });
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
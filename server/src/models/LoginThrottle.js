@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Recent failed sign-in attempts against one account or from one client IP, which
+// slow down and eventually lock further attempts (see utils/loginThrottle.js).
+// Forgotten a while after the last failure, or when the lockout ends.
+const LoginThrottleSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // "account:<email>" or "ip:<address>"
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    unlockTokenHash: { type: String, default: null }, // SHA-256 of the token in the unlock email
+    expiresAt: { type: Date, required: true },
+});
+
+LoginThrottleSchema.index({ unlockTokenHash: 1 });
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// An email in the send queue (see utils/mailer.js). Failed sends are retried
+// with growing delays. Bodies are dropped once sent, as they can carry sign-in
+// links, and sent messages are forgotten after a month.
+const MailMessageSchema = new mongoose.Schema({
+    to: { type: String, required: true },
+    template: { type: String, default: null }, // e.g. "passwordReset"
+    subject: { type: String, required: true },
+    text: { type: String, default: null },
+    html: { type: String, default: null },
+    status: { type: String, enum: ["queued", "sending", "sent", "failed"], default: "queued" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+}, { timestamps: true });
+
+MailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+MailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('MailMessage', MailMessageSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// An in-app message for one user, shown on their notifications page
+const NotificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", default: null },
+    type: { type: String, required: true }, // e.g. "approval.requested"
+    message: { type: String, required: true },
+    read: { type: Boolean, default: false },
+}, { timestamps: true });
+
+NotificationSchema.index({ user: 1, org: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Tenancy boundary: every task, board and project belongs to one organization
+// and users only see data of the organization they are signed in to.
+const OrganizationSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    // New sign-ups and records that predate organizations land in the default one
+    isDefault: { type: Boolean, default: false },
+    // Whether anyone can sign up; when off, people join by invitation only. Sign-ups
+    // land in the default organization, so only its setting matters.
+    allowPublicSignup: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Days audit events stay in the live log before archival; null uses AUDIT_RETENTION_DAYS
+    auditRetentionDays: { type: Number, default: null, min: 30 },
+    // Admins must set up two-factor authentication before they can use the app
+    requireAdminTwoFactor: { type: Boolean, default: false },
+    // Password policy of its members; null uses the defaults (see utils/passwordPolicy.js)
+    passwordPolicy: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+OrganizationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+OrganizationSchema.statics.getDefault = async function () {
+    const existing = await this.findOne({ isDefault: true });
+    if (existing) return existing;
+
+    try {
+        return await this.create({ name: "Default", isDefault: true });
+    } catch (error) {
+        // Another request created it first
+        if (error.code === 11000) return this.findOne({ isDefault: true });
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
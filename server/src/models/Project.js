@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A project groups a team's work: it owns one board (with the project's
+// workflow) and every member can see and work on the tasks on it.
+const ProjectSchema = new mongoose.Schema({
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    color: { type: String, default: "#3B82F6" },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    members: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], default: [], index: true },
+    board: { type: mongoose.Schema.Types.ObjectId, ref: "Board", default: null },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+ProjectSchema.methods.isMember = function (userId) {
+    return String(this.owner._id || this.owner) === String(userId)
+        || this.members.some((member) => String(member._id || member) === String(userId));
+};
+
+module.exports = mongoose.model('Project', ProjectSchema);
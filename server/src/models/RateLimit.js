@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Requests counted against a key (e.g. "reset-request:ip:<address>") in the
+// current window; MongoDB drops the counter when the window is over
+const RateLimitSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+});
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A refresh token of a session, stored as its SHA-256 hash. Each refresh uses up
+// the presented token and issues the next one; presenting a used token again
+// means it was stolen, and ends the whole session (see utils/sessions.js).
+const RefreshTokenSchema = new mongoose.Schema({
+    session: { type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    hash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+RefreshTokenSchema.index({ session: 1 });
+// Expired tokens are useless, used ones included, so MongoDB may drop them
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// A custom role defined by an organization. Built-in roles (admin, manager,
+// user, viewer) live in utils/permissions.js and are not stored.
+const RoleSchema = new mongoose.Schema({
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    key: { type: String, required: true, match: /^[a-z0-9_]+$/ },
+    name: { type: String, required: true, trim: true },
+    permissions: { type: [{ type: String, enum: Object.keys(PERMISSIONS) }], default: [] },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+RoleSchema.index({ org: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A signed-in period of one user in one organization: from the login (or sign-up,
+// or switch into the organization) to its logout, expiry, revocation or switch away.
+// The session id travels in the access token as `sid`; the session is also the
+// family its rotating refresh tokens belong to (see models/RefreshToken.js).
+const SessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }, // when its refresh token runs out, pushed back on every refresh
+    lastSeenAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null },
+    endReason: {
+        type: String,
+        enum: ["logout", "expiry", "revoked", "switch", "password_change", null],
+        default: null,
+    },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    device: { type: String, default: null }, // e.g. "Chrome on Windows"
+}, { toJSON: { virtuals: true } });
+
+SessionSchema.index({ org: 1, startedAt: -1 });
+SessionSchema.index({ user: 1, startedAt: -1 });
+SessionSchema.index({ endedAt: 1, expiresAt: 1 });
+
+// Milliseconds from start to end; open sessions count up to now
+SessionSchema.virtual("duration").get(function () {
+    return (this.endedAt || new Date()) - this.startedAt;
+});
+
+// Closes sessions whose refresh token ran out without a logout, as ended when
+// they were last used (sessions from before refresh tokens, at their expiry)
+SessionSchema.statics.closeExpired = function () {
+    return this.updateMany(
+        { endedAt: null, expiresAt: { $lte: new Date() } },
+        [{ $set: { endedAt: { $ifNull: ["$lastSeenAt", "$expiresAt"] }, endReason: "expiry" } }]
+    );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
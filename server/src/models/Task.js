@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { CATEGORIES } = require('../utils/workflow');
+
+// Labels are free-form tags: trimmed, de-duplicated and never empty
+const normalizeLabels = (labels) => [...new Set((labels || []).map((label) => String(label).trim()).filter(Boolean))];
+
+const TaskSchema = new mongoose.Schema({
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    priority: { type: String, enum: ["High", "Medium", "Low"], default: "Medium" },
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true, index: true },
+    board: { type: mongoose.Schema.Types.ObjectId, ref: "Board", required: true, index: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", default: null, index: true }, // copied from the board
+    // Key of one of the board's statuses; statusCategory is copied from the board
+    // so lists and stats can tell done from not-done without loading every board
+    status: { type: String, required: true },
+    statusCategory: { type: String, enum: CATEGORIES, required: true },
+    // Fractional rank of the card inside its column (see utils/ranking.js);
+    // null for tasks that have never been placed
+    rank: { type: String, default: null },
+    progress: { type: Number, min: 0, max: 100, default: 0 },
+    dueDate: { type: Date, default: null },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    labels: { type: [String], default: [], set: normalizeLabels },
+    legacyId: { type: String, default: null }, // id the task had in localStorage before the import
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+TaskSchema.index({ board: 1, status: 1, rank: 1 });
+
+module.exports = mongoose.model('Task', TaskSchema);
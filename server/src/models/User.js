@@ -1,12 +1,45 @@
 const mongoose = require('mongoose');
 
+// A user's place in an organization; the role applies inside that organization only.
+// It names a built-in role or one of the organization's custom roles.
+const MembershipSchema = new mongoose.Schema({
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    role: { type: String, default: "user" },
+}, { _id: false });
+
+// Optional TOTP second factor (see utils/totp.js)
+const TwoFactorSchema = new mongoose.Schema({
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null }, // generated at setup, becomes `secret` once a code confirms it
+    lastUsedStep: { type: Number, default: 0 }, // time step of the last accepted code, so codes can't be replayed
+    recoveryCodes: { type: [String], default: [] }, // SHA-256 hashes; each works once
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
     fullName: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["user", "admin"], default: "user" },
-    resetToken: { type: String, default: null },
+    passwordHistory: { type: [String], default: [] }, // hashes of earlier passwords, newest first
+    role: { type: String, enum: ["user", "admin"], default: "user" }, // role given at sign-up, seeds the first membership
+    memberships: { type: [MembershipSchema], default: [] },
+    // Sign-ups asking for an elevated role wait for an admin; they can't log in until then
+    status: { type: String, enum: ["active", "pending"], default: "active" },
+    // Sign-ups start unverified; accounts from before email verification count as verified
+    emailVerified: { type: Boolean, default: true },
+    emailVerifiedAt: { type: Date, default: null },
+    requestedRole: { type: String, default: null },
+    lastOrg: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", default: null }, // signed in to on next login
+    twoFactor: { type: TwoFactorSchema, default: () => ({}) },
+    preferences: { type: mongoose.Schema.Types.Mixed, default: () => ({}) }, // client settings, e.g. { theme: "dark" }
+    resetToken: { type: String, default: null }, // SHA-256 of the emailed reset token, cleared once used
     resetTokenExpires: { type: Date, default: null }, // New field
 }, { timestamps: true });
 
+UserSchema.index({ "memberships.org": 1 });
+
+UserSchema.methods.membershipIn = function (orgId) {
+    return this.memberships.find((membership) => String(membership.org) === String(orgId)) || null;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -1,10 +1,10 @@
 const express = require('express');
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Example: Admin-only route
-router.get('/dashboard', protect, adminOnly, (req, res) => {
+router.get('/dashboard', protect, requirePermission('user.view'), (req, res) => {
     res.json({ message: "Welcome to the admin dashboard" });
 });
 
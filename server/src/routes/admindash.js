@@ -1,16 +1,84 @@
 // routes/admin.js
 const express = require("express");
 const router = express.Router();
-const User = require("../models/User"); 
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const {
+  listUsers,
+  updateUser,
+  removeUser,
+  listApprovals,
+  approveUser,
+  rejectUser,
+} = require("../controller/adminController");
+const {
+  listAuditEvents,
+  verifyAudit,
+  getRetention,
+  setRetention,
+  archiveAudit,
+} = require("../controller/auditController");
+const {
+  listSessions,
+  dailyTotals,
+  listUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+} = require("../controller/sessionController");
+const {
+  getSecuritySettings,
+  updateSecuritySettings,
+  resetUserTwoFactor,
+  unlockUser,
+} = require("../controller/securityController");
+const {
+  getTemplates,
+  getTemplatePreview,
+  getQueue,
+  getOutbox,
+  getOutboxMessage,
+} = require("../controller/mailController");
+const {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+} = require("../controller/invitationController");
 
+router.use(protect);
 
-router.get("/users", async (req, res) => {
-  try {
-    const users = await User.find({}, "-password"); 
-    res.json(users);
-  } catch (err) {
-    res.status(500).json({ error: "Server error" });
-  }
-});
+router.get("/users", requirePermission("user.view"), listUsers);
+router.put("/users/:email", requirePermission("user.manage"), updateUser);
+router.delete("/users/:email", requirePermission("user.manage"), removeUser);
+router.get("/users/:email/sessions", requirePermission("user.manage"), listUserSessions);
+router.delete("/users/:email/sessions", requirePermission("user.manage"), revokeUserSessions);
+router.delete("/users/:email/sessions/:id", requirePermission("user.manage"), revokeUserSession);
+router.delete("/users/:email/2fa", requirePermission("security.manage"), resetUserTwoFactor);
+router.delete("/users/:email/lockout", requirePermission("security.manage"), unlockUser);
 
-module.exports = router;
\ No newline at end of file
+router.get("/invitations", requirePermission("user.manage"), listInvitations);
+router.post("/invitations", requirePermission("user.manage"), createInvitation);
+router.post("/invitations/:id/resend", requirePermission("user.manage"), resendInvitation);
+router.delete("/invitations/:id", requirePermission("user.manage"), revokeInvitation);
+
+router.get("/approvals", requirePermission("user.manage"), listApprovals);
+router.post("/approvals/:email/approve", requirePermission("user.manage"), approveUser);
+router.post("/approvals/:email/reject", requirePermission("user.manage"), rejectUser);
+
+router.get("/audit", requirePermission("logs.view"), listAuditEvents);
+router.get("/audit/verify", requirePermission("logs.view"), verifyAudit);
+router.get("/audit/retention", requirePermission("logs.view"), getRetention);
+router.put("/audit/retention", requirePermission("audit.manage"), setRetention);
+router.post("/audit/archive", requirePermission("audit.manage"), archiveAudit);
+router.get("/sessions", requirePermission("logs.view"), listSessions);
+router.get("/sessions/daily", requirePermission("logs.view"), dailyTotals);
+
+router.get("/security", requirePermission("security.manage"), getSecuritySettings);
+router.put("/security", requirePermission("security.manage"), updateSecuritySettings);
+
+router.get("/mail/templates", requirePermission("mail.manage"), getTemplates);
+router.get("/mail/templates/:name", requirePermission("mail.manage"), getTemplatePreview);
+router.get("/mail/queue", requirePermission("mail.manage"), getQueue);
+router.get("/mail/outbox", requirePermission("mail.manage"), getOutbox);
+router.get("/mail/outbox/:id", requirePermission("mail.manage"), getOutboxMessage);
+
+module.exports = router;
@@ -26,10 +26,110 @@
 const express = require("express");
 const User = require("../models/User");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const Organization = require("../models/Organization");
+const { ensureMembership, pickMembership, issueToken } = require("../utils/tenancy");
+const {
+    startSession,
+    endSession,
+    endOtherSessions,
+    rotateRefreshToken,
+    findRefreshSession,
+} = require("../utils/sessions");
+const { permissionsFor, usersWithPermission } = require("../utils/roles");
+const { isBuiltInRole, isElevatedRole } = require("../utils/permissions");
+const { issueChallenge, readChallenge, consumeSecondFactor } = require("../utils/twoFactor");
+const {
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearAccountFailures,
+    unlockWithToken,
+} = require("../utils/loginThrottle");
+const { CLIENT_URL, sendMail } = require("../utils/mailer");
+const { signupPolicy, policyForUser, passwordProblems, setPassword } = require("../utils/passwordPolicy");
+const { readVerificationToken, sendVerificationEmail } = require("../utils/emailVerification");
+const { hitRateLimit } = require("../utils/rateLimit");
+const { notify } = require("../utils/notify");
+const { recordAudit } = require("../utils/audit");
+const { protect } = require("../middleware/authMiddleware");
+const {
+    COOKIE_MODE,
+    csrfTokenFor,
+    hasValidCsrf,
+    tokenFields,
+    clearAuthCookies,
+    presentedRefreshToken,
+} = require("../utils/authCookies");
+const { listOwnSessions, revokeOwnSession, revokeOtherSessions } = require("../controller/sessionController");
+const {
+    getTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+} = require("../controller/twoFactorController");
 
 const router = express.Router();
 
+// Failed logins are recorded against the account's usual organization, so its
+// admins see them. Attempts on unknown emails belong to no organization.
+const auditLoginFailure = (req, user, reason) => recordAudit(req, "auth.login", {
+    outcome: "failure",
+    actor: user && user._id,
+    org: user && (pickMembership(user) || {}).org,
+    email: String(req.body.email || ""),
+    details: { reason },
+});
+
+// Refuses an attempt on a locked account or IP, or one made too soon after the
+// last failure (see utils/loginThrottle.js)
+const refuseThrottled = async (req, res, user, email) => {
+    const blocked = await checkLoginAllowed(req, email);
+    if (!blocked) return false;
+    await auditLoginFailure(req, user, blocked.reason);
+    res.set("Retry-After", String(blocked.retryAfter));
+    res.status(blocked.status).json({ message: blocked.message, retryAfter: blocked.retryAfter });
+    return true;
+};
+
+// Counts a wrong password or code towards a lockout. The owner of an account
+// that gets locked is notified and emailed a link that unlocks it.
+const countLoginFailure = async (req, user, email) => {
+    const lockouts = await recordLoginFailure(req, email);
+    const org = user && (pickMembership(user) || {}).org;
+    for (const [scope, { lockedUntil }] of Object.entries(lockouts)) {
+        await recordAudit(req, "auth.lockout", {
+            outcome: "failure",
+            actor: user && user._id,
+            org,
+            email,
+            details: { scope, lockedUntil },
+        });
+    }
+    if (!lockouts.account || !user) return;
+
+    const minutes = Math.ceil((lockouts.account.lockedUntil - Date.now()) / 60000);
+    await notify([user._id], {
+        org,
+        type: "auth.lockout",
+        message: `Your account was locked for ${minutes} minutes after too many failed sign-in attempts. ` +
+            "If that wasn't you, change your password once you're back in.",
+    });
+    try {
+        await sendMail({
+            to: user.email,
+            user,
+            template: "accountLocked",
+            data: {
+                name: user.fullName,
+                minutes,
+                url: `${CLIENT_URL}/unlock-account?token=${lockouts.account.unlockToken}`,
+            },
+        });
+    } catch (error) {
+        console.error("Failed to queue the unlock email:", error);
+    }
+};
+
 // Register Route
 // router.post("/register", async (req, res) => {
 //     try {
@@ -52,66 +152,460 @@ const router = express.Router();
 //         res.status(500).json({ message: "Server error", error });
 //     }
 // });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SIGNUP_CLOSED_MESSAGE = "Sign-up is closed. Ask an admin to invite you.";
+
 // Register Route
 // Register Route
 router.post("/register", async (req, res) => {
     try {
-        const { fullName, email, password, role } = req.body;
+        const { fullName, password } = req.body;
+        const email = String(req.body.email || "").trim();
+        const role = req.body.role || "user";
+        if (!isBuiltInRole(role)) return res.status(400).json({ message: "Invalid role" });
+        if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ message: "Enter a valid email address" });
+
+        const org = await Organization.getDefault();
+        if (!org.allowPublicSignup) return res.status(403).json({ message: SIGNUP_CLOSED_MESSAGE });
 
         // Check if user already exists
         let user = await User.findOne({ email });
         if (user) return res.status(400).json({ message: "User already exists" });
 
+        const problems = await passwordProblems(password, await signupPolicy());
+        if (problems.length > 0) return res.status(400).json({ message: problems[0], problems });
+
         // Hash password before saving
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Create new user
-        user = new User({ fullName, email, password: hashedPassword, role: role || "user" });
+        // Create new user; sign-ups join the default organization. Elevated roles
+        // wait for someone who manages its users, unless nobody does yet (first admin).
+        const approvers = isElevatedRole(role) ? await usersWithPermission(org._id, "user.manage") : [];
+        const pending = approvers.length > 0;
+        user = new User({
+            fullName,
+            email,
+            password: hashedPassword,
+            memberships: [{ org: org._id, role: pending ? "user" : role }],
+            lastOrg: org._id,
+            status: pending ? "pending" : "active",
+            requestedRole: pending ? role : null,
+            emailVerified: false,
+        });
         await user.save();
+        await recordAudit(req, "auth.signup", {
+            actor: user._id,
+            org: org._id,
+            email,
+            details: { role, pending },
+        });
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error("Failed to queue the verification email:", error);
+        }
+
+        if (pending) {
+            await notify(approvers, {
+                org: org._id,
+                type: "approval.requested",
+                message: `${fullName} (${email}) signed up as ${role} and is waiting for approval`,
+            });
+            return res.status(202).json({
+                message: "Registration received. An admin must approve your account before you can log in.",
+                pending: true,
+            });
+        }
 
         // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
+        const membership = user.memberships[0];
+        const tokens = await startSession(req, user, membership);
 
-        res.status(201).json({ message: "User registered successfully", token });
+        res.status(201).json({
+            message: "User registered successfully",
+            ...tokenFields(req, res, tokens),
+            role: membership.role,
+            permissions: await permissionsFor(org._id, membership.role),
+            org: { id: org._id, name: org.name },
+            emailVerified: false,
+        });
     } catch (error) {
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
         console.error(error);
         res.status(500).json({ message: "Server error", error });
     }
 });
 
+// Signs a user whose credentials checked out in to the organization picked for them
+const completeLogin = async (req, res, user, membership) => {
+    user.lastOrg = membership.org;
+    await user.save();
+    await clearAccountFailures(user.email);
+    await recordAudit(req, "auth.login", {
+        actor: user._id,
+        org: membership.org,
+        email: user.email,
+        details: { role: membership.role },
+    });
+    const org = await Organization.findById(membership.org, "name");
+
+    // Generate JWT token
+    const tokens = await startSession(req, user, membership);
+
+    res.json({
+        message: "Login successful",
+        ...tokenFields(req, res, tokens),
+        role: membership.role,
+        permissions: await permissionsFor(membership.org, membership.role),
+        org: { id: membership.org, name: org && org.name },
+    });
+};
+
 // Login Route
 router.post("/login", async (req, res) => {
     try {
-        const { email, password,role} = req.body;
+        const { password,role} = req.body;
+        // A string, as /register stores it: objects like { $gt: "" } must not reach the query or the throttle keys
+        const email = String(req.body.email || "").trim();
        // console.log(req.body);
        // console.log("Login attempt:", { email, password,role });
         // Find user
         const user = await User.findOne({ email });
-        if (!user) return res.status(400).json({ message: "Invalid email or password" });
+        if (await refuseThrottled(req, res, user, email)) return;
+        if (!user) {
+            await auditLoginFailure(req, null, "unknown_email");
+            await countLoginFailure(req, null, email);
+            return res.status(400).json({ message: "Invalid email or password" });
+        }
 
         // Check password using bcrypt
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ message: "Invalid email or password" });
-        if(role&&user.role!=role)
+        if (!isMatch) {
+            await auditLoginFailure(req, user, "wrong_password");
+            await countLoginFailure(req, user, email);
+            return res.status(400).json({ message: "Invalid email or password" });
+        }
+        if (user.status === "pending") {
+            await auditLoginFailure(req, user, "pending_approval");
+            return res.status(403).json({ message: "Your account is awaiting admin approval" });
+        }
+
+        // Sign in to the organization used last time
+        await ensureMembership(user);
+        const membership = pickMembership(user);
+        if(role&&membership.role!=role)
         {
+            await auditLoginFailure(req, user, "role_mismatch");
             return res.status(403).json({message:"Unauthorized login attempt"});
         }
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
 
-        res.json({ message: "Login successful", token, role: user.role });
+        // The second factor comes in a separate request (see /login/2fa)
+        if (user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, challenge: issueChallenge(user) });
+        }
+
+        await completeLogin(req, res, user, membership);
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: "Server error", error });
     }
 });
 
+// Second step of a login with two-factor authentication: the challenge from
+// /login plus a code from the authenticator app, or a recovery code
+router.post("/login/2fa", async (req, res) => {
+    try {
+        const { challenge, code, recoveryCode } = req.body;
+        const userId = readChallenge(challenge);
+        if (!userId) return res.status(401).json({ message: "Login expired, please start again" });
+
+        const user = await User.findById(userId);
+        if (!user || !user.twoFactor.enabled) return res.status(401).json({ message: "Login expired, please start again" });
+        if (await refuseThrottled(req, res, user, user.email)) return;
+
+        if (!consumeSecondFactor(user, { code, recoveryCode })) {
+            await auditLoginFailure(req, user, "wrong_second_factor");
+            await countLoginFailure(req, user, user.email);
+            return res.status(400).json({ message: "Invalid authentication code" });
+        }
+
+        await completeLogin(req, res, user, pickMembership(user));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Lifts a lockout with the link emailed when the account was locked
+router.post("/unlock", async (req, res) => {
+    try {
+        const email = req.body.token && (await unlockWithToken(req.body.token));
+        if (!email) return res.status(400).json({ message: "This unlock link is invalid or has expired" });
+
+        const user = await User.findOne({ email });
+        const org = user && (pickMembership(user) || {}).org;
+        await recordAudit(req, "auth.unlock", { actor: user && user._id, org, email, details: { via: "email" } });
+        if (user) {
+            await notify([user._id], {
+                org,
+                type: "auth.unlock",
+                message: "Your account was unlocked with the link we emailed you.",
+            });
+        }
+
+        res.json({ message: "Your account is unlocked. You can log in again." });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Confirms an email address with the link emailed at sign-up
+router.post("/verify-email", async (req, res) => {
+    try {
+        const claim = readVerificationToken(req.body.token);
+        const user = claim && (await User.findOne({ _id: claim.userId, email: claim.email }));
+        if (!user) return res.status(400).json({ message: "This verification link is invalid or has expired" });
+        if (user.emailVerified) return res.json({ message: "Your email is already verified." });
+
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+        await recordAudit(req, "auth.email_verify", {
+            actor: user._id,
+            org: (pickMembership(user) || {}).org,
+            email: user.email,
+        });
+
+        res.json({ message: "Thanks, your email is verified." });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+const RESENDS_PER_HOUR = 3;
+
+// Emails the signed-in user a new verification link
+router.post("/verify-email/resend", protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (user.emailVerified) return res.status(409).json({ message: "Your email is already verified" });
+
+        const retryAfter = await hitRateLimit(`verify-resend:${user._id}`, RESENDS_PER_HOUR, 60 * 60 * 1000);
+        if (retryAfter) {
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({ message: "Too many verification emails. Please try again later." });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ message: `We sent a new verification link to ${user.email}.` });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Exchanges a refresh token for a new access token and the next refresh token.
+// Presenting a refresh token twice ends its session (see rotateRefreshToken).
+router.post("/refresh", async (req, res) => {
+    try {
+        const refreshToken = presentedRefreshToken(req);
+        if (!refreshToken) return res.status(401).json({ message: "Session expired, please log in again" });
+        // A refresh cookie is sent along by the browser, so rotating it needs the CSRF token too
+        const cookieSession = !req.body.refreshToken && (await findRefreshSession(refreshToken));
+        if (cookieSession && !cookieSession.endedAt && !hasValidCsrf(req, cookieSession._id)) {
+            return res.status(403).json({ message: "Invalid CSRF token" });
+        }
+
+        const result = await rotateRefreshToken(refreshToken);
+        if (result.error === "reused") {
+            await recordAudit(req, "auth.refresh_reuse", {
+                actor: result.session && result.session.user,
+                org: result.session && result.session.org,
+                outcome: "failure",
+                details: { session: result.session && result.session._id },
+            });
+        }
+        if (result.error) return res.status(401).json({ message: "Session expired, please log in again" });
+
+        // Role changes and removals apply to the new access token
+        const { session } = result;
+        const user = await User.findById(session.user);
+        const membership = user && user.membershipIn(session.org);
+        if (!membership) {
+            await endSession(session._id, "revoked");
+            return res.status(401).json({ message: "You are no longer a member of this organization" });
+        }
+
+        res.json(tokenFields(req, res, {
+            token: issueToken(user, membership, session._id),
+            refreshToken: result.refreshToken,
+            sessionId: session._id,
+        }));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// The CSRF token of the refresh cookie's session, for clients that lost theirs to a
+// page reload while the access cookie had expired. CORS keeps other sites from reading it.
+router.get("/csrf", async (req, res) => {
+    try {
+        const refreshToken = COOKIE_MODE && presentedRefreshToken(req);
+        const session = refreshToken && (await findRefreshSession(refreshToken));
+        if (!session || session.endedAt) return res.status(401).json({ message: "Session expired, please log in again" });
+        res.json({ csrfToken: csrfTokenFor(session._id) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Ends the refresh token's session, so neither it nor the session's access
+// tokens work any more, and records the logout. Missing or unknown tokens are ignored.
+router.post("/logout", async (req, res) => {
+    try {
+        const refreshToken = presentedRefreshToken(req);
+        const session = refreshToken && (await findRefreshSession(refreshToken));
+        // A refresh cookie is sent along by the browser, so ending its session needs the CSRF token too
+        if (session && !session.endedAt && !req.body.refreshToken && !hasValidCsrf(req, session._id)) {
+            return res.status(403).json({ message: "Invalid CSRF token" });
+        }
+        clearAuthCookies(res);
+        if (session && !session.endedAt) {
+            await endSession(session._id, "logout");
+            await recordAudit(req, "auth.logout", { actor: session.user, org: session.org });
+        }
+        res.json({ message: "Logged out" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Whether the signup form is open, or people join by invitation only
+router.get("/signup", async (req, res) => {
+    try {
+        const org = await Organization.getDefault();
+        res.json({ open: org.allowPublicSignup, message: org.allowPublicSignup ? null : SIGNUP_CLOSED_MESSAGE });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Password rules for sign-ups, for the strength meter of the signup form
+router.get("/password-policy", async (req, res) => {
+    try {
+        res.json(await signupPolicy());
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Password rules of the signed-in user's account, for the change-password form
+router.get("/change-password/policy", protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId, "memberships");
+        if (!user) return res.status(401).json({ message: "Session expired, please log in again" });
+        res.json(await policyForUser(user));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Changes the signed-in user's password, given the current one. Their other
+// sessions end, so whoever else knew the old password is signed out too, and
+// the owner is told by notification and email in case it wasn't them.
+router.post("/change-password", protect, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(401).json({ message: "Session expired, please log in again" });
+
+        // Guessing the current password from a stolen session counts like guessing it at login
+        if (await refuseThrottled(req, res, user, user.email)) return;
+        if (typeof currentPassword !== "string" || !(await bcrypt.compare(currentPassword, user.password))) {
+            await recordAudit(req, "auth.password_change", { outcome: "failure", details: { reason: "wrong_password" } });
+            await countLoginFailure(req, user, user.email);
+            return res.status(400).json({ message: "Current password is incorrect" });
+        }
+
+        const problems = await passwordProblems(newPassword, await policyForUser(user), user);
+        if (problems.length > 0) return res.status(400).json({ message: problems[0], problems });
+
+        await setPassword(user, newPassword);
+        await user.save();
+        const endedSessions = await endOtherSessions(user._id, req.user.sid, "password_change");
+        await recordAudit(req, "auth.password_change", { details: { endedSessions } });
+        await notify([user._id], {
+            org: req.user.orgId,
+            type: "auth.password_change",
+            message: "Your password was changed and your other sessions were signed out.",
+        });
+        try {
+            await sendMail({
+                to: user.email,
+                user,
+                template: "passwordChanged",
+                data: { name: user.fullName, changedAt: new Date() },
+            });
+        } catch (error) {
+            console.error("Failed to queue the password change email:", error);
+        }
+
+        res.json({ message: "Password changed", endedSessions });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// The signed-in user as the client should know them: who they are, their role
+// and permissions in the current organization, and their preferences
+router.get("/me", protect, async (req, res) => {
+    try {
+        const [user, org] = await Promise.all([
+            User.findById(req.user.userId, "fullName email emailVerified preferences"),
+            Organization.findById(req.user.orgId, "name"),
+        ]);
+        if (!user) return res.status(401).json({ message: "Session expired, please log in again" });
+
+        res.json({
+            id: user._id,
+            fullName: user.fullName,
+            email: user.email,
+            emailVerified: user.emailVerified,
+            role: req.user.role,
+            permissions: req.user.permissions,
+            preferences: user.preferences || {},
+            twoFactorSetupRequired: req.user.twoFactorSetupRequired,
+            org: { id: req.user.orgId, name: org && org.name },
+            // Lets a reloaded page recover the CSRF token it kept in memory
+            ...(req.cookieAuth && { csrfToken: csrfTokenFor(req.user.sid) }),
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Where the signed-in user is logged in, and ending those sessions remotely
+router.get("/sessions", protect, listOwnSessions);
+router.delete("/sessions", protect, revokeOtherSessions);
+router.delete("/sessions/:id", protect, revokeOwnSession);
+
+// Two-factor authentication of the signed-in user
+router.get("/2fa", protect, getTwoFactor);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listBoards, getBoard, updateWorkflow } = require("../controller/boardController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", requirePermission("task.view"), listBoards);
+router.get("/:id", requirePermission("task.view"), getBoard);
+router.put("/:id/workflow", requirePermission("board.manage"), updateWorkflow);
+
+module.exports = router;
@@ -63,10 +63,11 @@
 // module.exports = router;
 
 const express = require("express");
-const { forgotPassword, resetPassword } = require("../controller/forgotPasswordController");
+const { forgotPassword, resetPassword, getResetPasswordPolicy } = require("../controller/forgotPasswordController");
 const router = express.Router();
 
 router.post("/forgot-password", forgotPassword);
 router.post("/reset-password", resetPassword);
+router.get("/reset-password/policy", getResetPasswordPolicy);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const { getInvitation, acceptInvitation } = require("../controller/invitationController");
+
+const router = express.Router();
+
+// Public: the invitee has no account yet, the emailed token is their credential
+router.get("/", getInvitation);
+router.post("/accept", acceptInvitation);
+
+module.exports = router;
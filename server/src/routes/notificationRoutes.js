@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const { listNotifications, markRead } = require("../controller/notificationController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", listNotifications);
+router.post("/:id/read", markRead);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listOrgs, createOrg, switchOrg, addOrgMember } = require("../controller/orgController");
+const { removeUser } = require("../controller/adminController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", listOrgs);
+router.post("/", requirePermission("org.create"), createOrg);
+router.post("/switch", switchOrg);
+router.post("/current/members", requirePermission("user.manage"), addOrgMember);
+router.delete("/current/members/:userId", requirePermission("user.manage"), removeUser);
+
+module.exports = router;
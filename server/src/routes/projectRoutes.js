@@ -0,0 +1,26 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const {
+    listProjects,
+    getProject,
+    createProject,
+    updateProject,
+    addMember,
+    removeMember,
+    deleteProject,
+} = require("../controller/projectController");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Changing a project is further limited to its owner (see canManageProject in utils/scope)
+router.get("/", requirePermission("task.view"), listProjects);
+router.post("/", requirePermission("project.create"), createProject);
+router.get("/:id", requirePermission("task.view"), getProject);
+router.put("/:id", requirePermission("task.view"), updateProject);
+router.delete("/:id", requirePermission("task.view"), deleteProject);
+router.post("/:id/members", requirePermission("task.view"), addMember);
+router.delete("/:id/members/:userId", requirePermission("task.view"), removeMember);
+
+module.exports = router;
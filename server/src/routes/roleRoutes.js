@@ -0,0 +1,15 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listPermissions, listRoles, createRole, updateRole, deleteRole } = require("../controller/roleController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/permissions", requirePermission("role.manage"), listPermissions);
+router.get("/", requirePermission("user.view"), listRoles);
+router.post("/", requirePermission("role.manage"), createRole);
+router.put("/:key", requirePermission("role.manage"), updateRole);
+router.delete("/:key", requirePermission("role.manage"), deleteRole);
+
+module.exports = router;
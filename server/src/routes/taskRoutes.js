@@ -0,0 +1,18 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listTasks, getTask, createTask, updateTask, transitionTask, positionTask, deleteTask, importTasks } = require("../controller/taskController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", requirePermission("task.view"), listTasks);
+router.post("/", requirePermission("task.create"), createTask);
+router.post("/import", requirePermission("task.create"), importTasks);
+router.get("/:id", requirePermission("task.view"), getTask);
+router.put("/:id", requirePermission("task.edit"), updateTask);
+router.post("/:id/transition", requirePermission("task.edit"), transitionTask);
+router.post("/:id/move", requirePermission("task.edit"), positionTask);
+router.delete("/:id", requirePermission("task.delete"), deleteTask);
+
+module.exports = router;
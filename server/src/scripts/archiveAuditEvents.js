@@ -0,0 +1,23 @@
+// Moves audit events past each organization's retention into the archive.
+// Meant to run on a schedule (e.g. a daily cron job).
+// Usage: npm run audit:archive (from the server directory)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { archiveExpired } = require('../utils/auditRetention');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    for (const org of await AuditEvent.distinct("org")) {
+        const { archived, throughSeq } = await archiveExpired(org);
+        if (archived > 0) console.log(`${org}: archived ${archived} event(s) through #${throughSeq}`);
+    }
+};
+
+run()
+    .catch((err) => {
+        console.error("Audit archival failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
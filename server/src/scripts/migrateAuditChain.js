@@ -0,0 +1,46 @@
+// One-off migration: chains audit events recorded before the log was hash-chained,
+// in the order they were written, so they verify like newer ones.
+// Run it once, before the server records new events.
+// Usage: npm run migrate:audit (from the server directory)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { GENESIS_HASH, hashEvent } = require('../utils/auditChain');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Raw access: the documents predate the chain fields, and the model refuses updates
+    const orgs = await AuditEvent.collection.distinct("org", { hash: { $exists: false } });
+    for (const org of orgs) {
+        if (await AuditEvent.collection.countDocuments({ org, hash: { $exists: true } }) > 0) {
+            throw new Error(`Organization ${org} already has chained events; chain it by hand`);
+        }
+
+        const events = await AuditEvent.collection.find({ org }).sort({ createdAt: 1, _id: 1 }).toArray();
+        let prevHash = GENESIS_HASH;
+        for (const [index, event] of events.entries()) {
+            const chained = {
+                ...event,
+                seq: index + 1,
+                details: event.details || {},
+                outcome: event.outcome || "success",
+                email: event.email || null,
+                prevHash,
+            };
+            chained.hash = hashEvent(chained);
+            await AuditEvent.collection.replaceOne({ _id: event._id }, chained);
+            prevHash = chained.hash;
+        }
+        console.log(`${org}: chained ${events.length} event(s)`);
+    }
+
+    await AuditEvent.syncIndexes();
+};
+
+run()
+    .catch((err) => {
+        console.error("Audit chain migration failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// One-off migration: puts every user, task, board and project that predates
+// organizations into the default organization. Users keep their global role as
+// their role there. Also replaces the old one-default-board-per-user index.
+// Usage: npm run migrate:orgs (from the server directory)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const Project = require('../models/Project');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const org = await Organization.getDefault();
+
+    // Raw updates: the documents predate the fields the models now require
+    const users = await User.collection.find({ $or: [{ memberships: { $exists: false } }, { memberships: { $size: 0 } }] }).toArray();
+    for (const user of users) {
+        await User.collection.updateOne(
+            { _id: user._id },
+            { $set: { memberships: [{ org: org._id, role: user.role || "user" }], lastOrg: org._id } }
+        );
+    }
+    console.log(`Added ${users.length} user(s) to "${org.name}"`);
+
+    for (const Model of [Task, Board, Project]) {
+        const result = await Model.collection.updateMany({ org: { $exists: false } }, { $set: { org: org._id } });
+        console.log(`Moved ${result.modifiedCount} ${Model.modelName.toLowerCase()}(s) into "${org.name}"`);
+    }
+
+    await Board.syncIndexes();
+};
+
+run()
+    .catch((err) => {
+        console.error("Organization migration failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
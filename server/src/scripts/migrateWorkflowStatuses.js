@@ -0,0 +1,42 @@
+// One-off migration: moves tasks created before workflows existed onto their
+// owner's default board and maps "complete"/"incomplete" onto its statuses.
+// Usage: npm run migrate:workflow (from the server directory)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const Organization = require('../models/Organization');
+const { mapLegacyStatus } = require('../utils/workflow');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Read raw documents: these predate the board/statusCategory fields
+    const legacy = await Task.collection.find({ board: { $exists: false } }).toArray();
+    const defaultOrg = await Organization.getDefault();
+    const boards = new Map();
+    let migrated = 0;
+
+    for (const task of legacy) {
+        const org = task.org || defaultOrg._id;
+        const boardKey = `${org}:${task.owner}`;
+        if (!boards.has(boardKey)) boards.set(boardKey, await Board.getDefaultFor(task.owner, org));
+        const board = boards.get(boardKey);
+
+        const status = mapLegacyStatus(board, task.status);
+        await Task.collection.updateOne(
+            { _id: task._id },
+            { $set: { org, board: board._id, status, statusCategory: board.categoryOf(status) } }
+        );
+        migrated += 1;
+    }
+
+    console.log(`Migrated ${migrated} task(s) onto workflow boards`);
+};
+
+run()
+    .catch((err) => {
+        console.error("Workflow migration failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
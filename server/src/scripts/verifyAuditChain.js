@@ -0,0 +1,35 @@
+// Verifies the audit hash chain of every organization, archived events included,
+// and reports the first broken link of each. Exits with 1 if any chain is broken.
+// Usage: npm run audit:verify (from the server directory)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const AuditArchive = require('../models/AuditArchive');
+const { verifyChain } = require('../utils/auditChain');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const orgs = new Set([
+        ...(await AuditEvent.distinct("org")),
+        ...(await AuditArchive.distinct("org")),
+    ].map(String));
+
+    for (const org of orgs) {
+        const orgId = org === "null" ? null : org;
+        const result = await verifyChain(orgId, { includeArchive: true });
+        if (result.ok) {
+            console.log(`${org}: OK (${result.checked} events)`);
+        } else {
+            console.error(`${org}: BROKEN at event #${result.broken.seq} (${result.broken.id}): ${result.broken.reason}`);
+            process.exitCode = 1;
+        }
+    }
+};
+
+run()
+    .catch((err) => {
+        console.error("Audit verification failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+const { appendEvent } = require("./auditChain");
+
+/**
+ * Records an audit event with the request's client IP and user agent, appending
+ * it to the organization's hash chain.
+ * Failures are logged and swallowed: the audited action has already happened.
+ *
+ * @param {Object} req - Express request; actor and organization default to req.user
+ * @param {string} action - What happened, e.g. "auth.login" or "user.update"
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Id of the acting user, when req.user isn't set yet
+ * @param {string} [options.org] - Organization the event belongs to, likewise
+ * @param {string} [options.email] - Email the actor used, e.g. in a failed login
+ * @param {string} [options.outcome] - "success" (default) or "failure"
+ * @param {string} [options.target] - Id of the user the action applied to
+ * @param {Object} [options.details] - Action-specific data, e.g. the changed fields
+ */
+const recordAudit = async (req, action, options = {}) => {
+    const { outcome = "success", email = null, target = null, details = {} } = options;
+    try {
+        await appendEvent({
+            org: options.org || (req.user && req.user.orgId) || null,
+            actor: options.actor || (req.user && req.user.userId) || null,
+            email,
+            action,
+            outcome,
+            target,
+            details,
+            ip: req.ip,
+            userAgent: req.get("User-Agent") || null,
+        });
+    } catch (error) {
+        console.error("Failed to record audit event:", error);
+    }
+};
+
+module.exports = { recordAudit };
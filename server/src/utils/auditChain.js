@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const AuditEvent = require("../models/AuditEvent");
+const AuditArchive = require("../models/AuditArchive");
+
+// prevHash of the first event in an organization's chain
+const GENESIS_HASH = "0".repeat(64);
+const APPEND_ATTEMPTS = 5;
+
+// The fields a hash covers, in a fixed order
+const HASHED_FIELDS = ["org", "seq", "actor", "email", "action", "outcome", "target", "details",
+    "ip", "userAgent", "createdAt", "prevHash"];
+
+// JSON with object keys sorted at every level, so equal data always hashes the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Plain JSON values as they come back from the database: ids as strings, dates as ISO strings
+const normalize = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+const hashEvent = (event) => {
+    const data = {};
+    HASHED_FIELDS.forEach((field) => { data[field] = normalize(event[field]); });
+    return crypto.createHash("sha256").update(canonicalJson(data)).digest("hex");
+};
+
+/**
+ * Appends an event to its organization's chain. Concurrent appends race for the
+ * same seq; the unique index lets one win and the others retry on the new tail.
+ *
+ * @param {Object} data - Event fields (org, actor, action, details, ...)
+ * @returns {Promise<Object>} The stored event
+ */
+const appendEvent = async (data) => {
+    const org = data.org || null;
+    for (let attempt = 1; ; attempt++) {
+        const tail = await AuditEvent.findOne({ org }, "seq hash").sort({ seq: -1 })
+            || await AuditArchive.findOne({ org }, "seq hash").sort({ seq: -1 });
+
+        const event = new AuditEvent({
+            ...data,
+            org,
+            details: normalize(data.details || {}),
+            seq: tail ? tail.seq + 1 : 1,
+            createdAt: new Date(),
+            prevHash: tail ? tail.hash : GENESIS_HASH,
+            hash: "pending",
+        });
+        event.hash = hashEvent(event);
+
+        try {
+            return await event.save();
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= APPEND_ATTEMPTS) throw error;
+        }
+    }
+};
+
+// Checks one event against the one before it; returns what is wrong, or null
+const checkLink = (event, previous) => {
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (event.seq !== expectedSeq) return `expected event #${expectedSeq}, found #${event.seq}`;
+    if (event.prevHash !== (previous ? previous.hash : GENESIS_HASH)) return "does not follow the previous event";
+    if (event.hash !== hashEvent(event)) return "contents do not match its hash";
+    return null;
+};
+
+/**
+ * Walks an organization's chain in order and reports the first broken link.
+ * Without `includeArchive` the walk starts at the oldest live event, checked
+ * against the last archived one.
+ *
+ * @param {string|null} org - Organization id; null for events of no organization
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchive] - Also walk the archived events
+ * @returns {Promise<{ ok: boolean, checked: number, broken?: { seq, id, reason } }>}
+ */
+const verifyChain = async (org, { includeArchive = false } = {}) => {
+    let previous = null;
+    let checked = 0;
+
+    const walk = async (Model, filter) => {
+        const cursor = Model.find(filter).sort({ seq: 1 }).lean().cursor();
+        for await (const event of cursor) {
+            const reason = checkLink(event, previous);
+            if (reason) return { seq: event.seq, id: event._id, reason };
+            previous = event;
+            checked += 1;
+        }
+        return null;
+    };
+
+    let broken = null;
+    if (includeArchive) {
+        broken = await walk(AuditArchive, { org });
+    } else {
+        const first = await AuditEvent.findOne({ org }, "seq").sort({ seq: 1 }).lean();
+        if (first && first.seq > 1) {
+            previous = await AuditArchive.findOne({ org, seq: first.seq - 1 }).lean();
+            if (!previous) broken = { seq: first.seq, id: first._id, reason: `event #${first.seq - 1} is missing from the archive` };
+        }
+    }
+    if (!broken) broken = await walk(AuditEvent, { org });
+
+    return broken ? { ok: false, checked, broken } : { ok: true, checked };
+};
+
+module.exports = { GENESIS_HASH, hashEvent, appendEvent, verifyChain };
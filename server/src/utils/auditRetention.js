@@ -0,0 +1,66 @@
+const AuditEvent = require("../models/AuditEvent");
+const AuditArchive = require("../models/AuditArchive");
+const Organization = require("../models/Organization");
+const { appendEvent } = require("./auditChain");
+
+const DEFAULT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 365;
+const BATCH_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention of an organization's audit log in days; null org (events of no organization) uses the default
+const retentionDays = async (orgId) => {
+    const org = orgId ? await Organization.findById(orgId, "auditRetentionDays") : null;
+    return (org && org.auditRetentionDays) || DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Moves audit events older than the organization's retention into the archive,
+ * oldest first, then records the archival itself in the chain.
+ *
+ * Events are copied before they are removed, so an interrupted run leaves
+ * duplicates (skipped on the next run) rather than gaps.
+ *
+ * @param {string|null} orgId - Organization whose log to archive
+ * @param {Object} [by] - Who started the run: { actor, ip, userAgent }; empty for scheduled runs
+ * @returns {Promise<{ archived: number, throughSeq: number|null, cutoff: Date }>}
+ */
+const archiveExpired = async (orgId, by = {}) => {
+    const days = await retentionDays(orgId);
+    const cutoff = new Date(Date.now() - days * DAY_MS);
+    let archived = 0;
+    let throughSeq = null;
+
+    for (;;) {
+        const batch = await AuditEvent.find({ org: orgId, createdAt: { $lt: cutoff } })
+            .sort({ seq: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+        if (batch.length === 0) break;
+
+        try {
+            await AuditArchive.insertMany(batch, { ordered: false });
+        } catch (error) {
+            // Already archived by an earlier, interrupted run
+            if (!(error.writeErrors || []).every((writeError) => writeError.code === 11000)) throw error;
+        }
+        // The model refuses deletes; archival is the one place allowed to remove events
+        await AuditEvent.collection.deleteMany({ _id: { $in: batch.map((event) => event._id) } });
+
+        archived += batch.length;
+        throughSeq = batch[batch.length - 1].seq;
+    }
+
+    if (archived > 0) {
+        await appendEvent({
+            org: orgId,
+            actor: by.actor || null,
+            action: "audit.archive",
+            details: { archived, throughSeq, cutoff, retentionDays: days },
+            ip: by.ip || null,
+            userAgent: by.userAgent || null,
+        });
+    }
+    return { archived, throughSeq, cutoff };
+};
+
+module.exports = { DEFAULT_RETENTION_DAYS, retentionDays, archiveExpired };
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS } = require("./tenancy");
+
+/**
+ * How the API hands out tokens, chosen with AUTH_MODE:
+ * - "bearer" (default): in response bodies, sent back in the Authorization header.
+ * - "cookie": as HttpOnly cookies that scripts can't read. Requests authenticated
+ *   by cookie that change state, refreshes included, must send the session's CSRF
+ *   token (returned at sign-in, refresh, GET /api/auth/me and GET /api/auth/csrf)
+ *   in the X-CSRF-Token header.
+ * Bearer tokens are accepted in both modes, without CSRF checks; in cookie mode
+ * clients get them in the body by sending `X-Auth-Mode: bearer`.
+ * COOKIE_SAMESITE (default "lax") and COOKIE_SECURE (default: on in production)
+ * tune the cookies; a frontend on another site needs "none" and HTTPS.
+ */
+const COOKIE_MODE = process.env.AUTH_MODE === "cookie";
+
+const ACCESS_COOKIE = "tf_access";
+const REFRESH_COOKIE = "tf_refresh";
+// The refresh token is only sent to the routes that use it
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const cookieOptions = (path) => ({
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === "true" : process.env.NODE_ENV === "production",
+    sameSite: process.env.COOKIE_SAMESITE || "lax",
+    path,
+});
+
+// Value of a cookie in the request's Cookie header, or null
+const readCookie = (req, name) => {
+    const cookies = (req.get("Cookie") || "").split(";");
+    for (const cookie of cookies) {
+        const separator = cookie.indexOf("=");
+        if (separator > 0 && cookie.slice(0, separator).trim() === name) {
+            return decodeURIComponent(cookie.slice(separator + 1).trim());
+        }
+    }
+    return null;
+};
+
+// CSRF tokens are bound to the session, so they need no storage of their own
+const csrfTokenFor = (sessionId) =>
+    crypto.createHmac("sha256", process.env.JWT_SECRET).update(`csrf:${sessionId}`).digest("base64url");
+
+// Whether a request passes the CSRF check for the session its cookie belongs to
+const hasValidCsrf = (req, sessionId) => {
+    if (SAFE_METHODS.includes(req.method)) return true;
+    const sent = Buffer.from(String(req.get("X-CSRF-Token") || ""));
+    const expected = Buffer.from(csrfTokenFor(sessionId));
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+};
+
+const wantsCookies = (req) => COOKIE_MODE && req.get("X-Auth-Mode") !== "bearer";
+
+/**
+ * Hands a session's tokens to the client: as cookies plus the CSRF token in
+ * cookie mode, otherwise in the response body.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response the cookies are set on
+ * @param {Object} tokens - { token, refreshToken, sessionId }
+ * @returns {Object} Fields to add to the response body
+ */
+const tokenFields = (req, res, { token, refreshToken, sessionId }) => {
+    if (!wantsCookies(req)) return { token, refreshToken };
+
+    res.cookie(ACCESS_COOKIE, token, { ...cookieOptions("/"), maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 });
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...cookieOptions(REFRESH_COOKIE_PATH),
+        maxAge: REFRESH_TOKEN_TTL_SECONDS * 1000,
+    });
+    return { csrfToken: csrfTokenFor(sessionId) };
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions("/"));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions(REFRESH_COOKIE_PATH));
+};
+
+// The access token of a request authenticated by cookie, or null
+const accessCookie = (req) => (COOKIE_MODE ? readCookie(req, ACCESS_COOKIE) : null);
+
+// The refresh token a client presents: in the body, or in its cookie
+const presentedRefreshToken = (req) =>
+    (req.body && req.body.refreshToken) || (COOKIE_MODE ? readCookie(req, REFRESH_COOKIE) : null);
+
+module.exports = {
+    COOKIE_MODE,
+    csrfTokenFor,
+    hasValidCsrf,
+    tokenFields,
+    clearAuthCookies,
+    accessCookie,
+    presentedRefreshToken,
+};
@@ -0,0 +1,30 @@
+// Short description of the browser and OS in a User-Agent header, e.g. "Chrome on Windows".
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari.
+const BROWSERS = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Firefox\//, "Firefox"],
+    [/Chrome\//, "Chrome"],
+    [/Safari\//, "Safari"],
+    [/PostmanRuntime/, "Postman"],
+    [/curl\//, "curl"],
+];
+
+const SYSTEMS = [
+    [/Windows/, "Windows"],
+    [/Android/, "Android"],
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+];
+
+const match = (list, userAgent) => (list.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+
+const describeDevice = (userAgent) => {
+    if (!userAgent) return null;
+    const browser = match(BROWSERS, userAgent) || "Unknown browser";
+    const system = match(SYSTEMS, userAgent);
+    return system ? `${browser} on ${system}` : browser;
+};
+
+module.exports = { describeDevice };
@@ -0,0 +1,36 @@
+const jwt = require("jsonwebtoken");
+const { CLIENT_URL, sendMail } = require("./mailer");
+
+const VERIFICATION_TTL_HOURS = 24;
+
+// Verification links carry a signed token naming the user and the address being
+// confirmed, so a link stops working if the address changes.
+const issueVerificationToken = (user) => jwt.sign(
+    { userId: user._id, email: user.email, purpose: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${VERIFICATION_TTL_HOURS}h` }
+);
+
+// { userId, email } a token was issued for, or null when it is invalid or expired
+const readVerificationToken = (token) => {
+    try {
+        const decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET);
+        return decoded.purpose === "verify-email" ? { userId: decoded.userId, email: decoded.email } : null;
+    } catch {
+        return null;
+    }
+};
+
+// Queues an email with a fresh verification link
+const sendVerificationEmail = (user) => sendMail({
+    to: user.email,
+    user,
+    template: "emailVerification",
+    data: {
+        name: user.fullName,
+        url: `${CLIENT_URL}/verify-email?token=${issueVerificationToken(user)}`,
+        hours: VERIFICATION_TTL_HOURS,
+    },
+});
+
+module.exports = { readVerificationToken, sendVerificationEmail };
@@ -0,0 +1,165 @@
+const crypto = require("crypto");
+const LoginThrottle = require("../models/LoginThrottle");
+
+/**
+ * Brute-force protection for sign-ins. Wrong passwords and codes count against
+ * the account tried and against the client's IP. After a few free attempts each
+ * further one has to wait twice as long as the last (up to a minute), and at the
+ * threshold the account or IP is locked for LOGIN_LOCKOUT_MINUTES. Counts are
+ * forgotten an hour after the last failure, on a successful sign-in (account
+ * only), and when a lockout ends or is lifted.
+ *
+ * The IP allows many more attempts, as several people can share one address.
+ */
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_BACKOFF_SECONDS = 60;
+
+const SCOPES = {
+    account: { threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10, freeAttempts: 3 },
+    ip: { threshold: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50, freeAttempts: 20 },
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const accountKey = (email) => `account:${email}`;
+
+// The throttle keys an attempt counts against, by scope
+const keysFor = (req, email) => ({ account: accountKey(String(email || "")), ip: `ip:${req.ip}` });
+
+// Seconds to wait after the last failure before the next attempt
+const backoffSeconds = (failures, { freeAttempts }) =>
+    failures <= freeAttempts ? 0 : Math.min(2 ** (failures - freeAttempts), MAX_BACKOFF_SECONDS);
+
+/**
+ * Whether a sign-in attempt may go ahead, checked before the password is.
+ *
+ * @param {Object} req - Express request, for the client IP
+ * @param {string} email - Email the attempt is for
+ * @returns {Promise<Object|null>} Null when allowed, otherwise
+ *   { status, message, reason, retryAfter } for the response, retryAfter in seconds
+ */
+const checkLoginAllowed = async (req, email) => {
+    const keys = keysFor(req, email);
+    const throttles = await LoginThrottle.find({ key: { $in: Object.values(keys) } });
+    const now = Date.now();
+
+    for (const [scope, key] of Object.entries(keys)) {
+        const throttle = throttles.find((candidate) => candidate.key === key);
+        if (!throttle) continue;
+
+        if (throttle.lockedUntil && throttle.lockedUntil > now) {
+            const retryAfter = Math.ceil((throttle.lockedUntil - now) / 1000);
+            return scope === "account"
+                ? {
+                    status: 423,
+                    reason: "account_locked",
+                    retryAfter,
+                    message: "This account is locked after too many failed sign-in attempts. " +
+                        "Use the link we emailed you to unlock it, or try again later.",
+                }
+                : {
+                    status: 429,
+                    reason: "ip_locked",
+                    retryAfter,
+                    message: "Too many failed sign-in attempts from your network. Try again later.",
+                };
+        }
+
+        const backoff = backoffSeconds(throttle.failures, SCOPES[scope]);
+        const nextAttemptAt = throttle.lastFailureAt.getTime() + backoff * 1000;
+        if (!throttle.lockedUntil && nextAttemptAt > now) {
+            const retryAfter = Math.ceil((nextAttemptAt - now) / 1000);
+            return {
+                status: 429,
+                reason: "backoff",
+                retryAfter,
+                message: `Too many failed sign-in attempts. Try again in ${retryAfter} seconds.`,
+            };
+        }
+    }
+    return null;
+};
+
+/**
+ * Counts a failed attempt against the account and the IP, and locks whichever
+ * reached its threshold.
+ *
+ * @param {Object} req - Express request, for the client IP
+ * @param {string} email - Email the attempt was for
+ * @returns {Promise<Object>} The lockouts this failure started, by scope:
+ *   { account: { lockedUntil, unlockToken }, ip: { lockedUntil } }; the unlock
+ *   token lifts the account's lockout (see unlockWithToken)
+ */
+const recordLoginFailure = async (req, email) => {
+    const keys = keysFor(req, email);
+    const now = new Date();
+    // A lockout that ended starts the count again
+    await LoginThrottle.deleteMany({ key: { $in: Object.values(keys) }, lockedUntil: { $lte: now } });
+
+    const lockouts = {};
+    for (const [scope, key] of Object.entries(keys)) {
+        const throttle = await LoginThrottle.findOneAndUpdate(
+            { key },
+            {
+                $inc: { failures: 1 },
+                $set: { lastFailureAt: now },
+                $max: { expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) },
+            },
+            { upsert: true, new: true }
+        );
+        if (throttle.lockedUntil || throttle.failures < SCOPES[scope].threshold) continue;
+
+        // Only the failure that locks sends the unlock link, even when attempts race
+        const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+        const unlockToken = scope === "account" ? crypto.randomBytes(32).toString("base64url") : null;
+        const locked = await LoginThrottle.findOneAndUpdate(
+            { _id: throttle._id, lockedUntil: null },
+            { $set: { lockedUntil, expiresAt: lockedUntil, unlockTokenHash: unlockToken && hashToken(unlockToken) } }
+        );
+        if (locked) lockouts[scope] = scope === "account" ? { lockedUntil, unlockToken } : { lockedUntil };
+    }
+    return lockouts;
+};
+
+// Forgets an account's failures once its owner signed in
+const clearAccountFailures = (email) => LoginThrottle.deleteOne({ key: accountKey(email) });
+
+/**
+ * Lifts an account lockout with the token from the unlock email.
+ *
+ * @param {string} token - Unlock token
+ * @returns {Promise<string|null>} Email of the unlocked account, or null when
+ *   the token is unknown or the lockout already ended
+ */
+const unlockWithToken = async (token) => {
+    const throttle = await LoginThrottle.findOneAndDelete({
+        unlockTokenHash: hashToken(token),
+        lockedUntil: { $gt: new Date() },
+    });
+    return throttle && throttle.key.slice(accountKey("").length);
+};
+
+// Lifts an account's lockout and forgets its failures; resolves to whether it was locked
+const unlockAccount = async (email) => {
+    const throttle = await LoginThrottle.findOneAndDelete({ key: accountKey(email) });
+    return Boolean(throttle && throttle.lockedUntil && throttle.lockedUntil > new Date());
+};
+
+// When each of the locked accounts among the emails unlocks, by email
+const lockedUntilByEmail = async (emails) => {
+    const throttles = await LoginThrottle.find(
+        { key: { $in: emails.map(accountKey) }, lockedUntil: { $gt: new Date() } },
+        "key lockedUntil"
+    );
+    return new Map(throttles.map((throttle) => [throttle.key.slice(accountKey("").length), throttle.lockedUntil]));
+};
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearAccountFailures,
+    unlockWithToken,
+    unlockAccount,
+    lockedUntilByEmail,
+};
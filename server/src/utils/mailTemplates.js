@@ -0,0 +1,229 @@
+/**
+ * Email templates. Each one has a description, sample data for previews, and
+ * per locale a function from its data to the message's parts:
+ * { subject, greeting, paragraphs, items?, action?: { label, url }, footer? }.
+ * The parts are rendered into the shared HTML layout and a plain-text version.
+ */
+
+const LOCALES = ["en", "es"];
+const DEFAULT_LOCALE = "en";
+
+const SAMPLE_URL = "http://localhost:5173/example?token=sample";
+
+const formatDate = (date, locale) => new Date(date).toLocaleString(locale, { dateStyle: "medium", timeStyle: "short" });
+const formatDay = (date, locale) => new Date(date).toLocaleDateString(locale, { dateStyle: "medium" });
+
+const TEMPLATES = {
+    passwordReset: {
+        description: "Link to reset a forgotten password",
+        sample: { name: "Ada", url: SAMPLE_URL, minutes: 15 },
+        en: ({ name, url, minutes }) => ({
+            subject: "Reset your TaskFlow password",
+            greeting: `Hi ${name},`,
+            paragraphs: ["We got a request to reset the password of your TaskFlow account."],
+            action: { label: "Reset password", url },
+            footer: `The link works once, for ${minutes} minutes. If you didn't ask for it, ignore this email.`,
+        }),
+        es: ({ name, url, minutes }) => ({
+            subject: "Restablece tu contraseña de TaskFlow",
+            greeting: `Hola ${name}:`,
+            paragraphs: ["Recibimos una solicitud para restablecer la contraseña de tu cuenta de TaskFlow."],
+            action: { label: "Restablecer contraseña", url },
+            footer: `El enlace funciona una vez, durante ${minutes} minutos. Si no lo pediste, ignora este correo.`,
+        }),
+    },
+    passwordChanged: {
+        description: "Notice that the password was changed",
+        sample: { name: "Ada", changedAt: new Date() },
+        en: ({ name, changedAt }) => ({
+            subject: "Your TaskFlow password was changed",
+            greeting: `Hi ${name},`,
+            paragraphs: [
+                `The password of your TaskFlow account was changed on ${formatDate(changedAt, "en")}, ` +
+                    "and every other session was signed out.",
+                "If it wasn't you, reset your password right away and tell your admin.",
+            ],
+        }),
+        es: ({ name, changedAt }) => ({
+            subject: "Se cambió tu contraseña de TaskFlow",
+            greeting: `Hola ${name}:`,
+            paragraphs: [
+                `La contraseña de tu cuenta de TaskFlow se cambió el ${formatDate(changedAt, "es")} ` +
+                    "y se cerraron todas las demás sesiones.",
+                "Si no fuiste tú, restablece tu contraseña de inmediato y avisa a tu administrador.",
+            ],
+        }),
+    },
+    accountLocked: {
+        description: "Account locked after failed sign-ins, with an unlock link",
+        sample: { name: "Ada", url: SAMPLE_URL, minutes: 15 },
+        en: ({ name, url, minutes }) => ({
+            subject: "Your TaskFlow account was locked",
+            greeting: `Hi ${name},`,
+            paragraphs: [
+                `We locked your account for ${minutes} minutes after too many failed sign-in attempts.`,
+                "If it was you, unlock it right away:",
+            ],
+            action: { label: "Unlock account", url },
+            footer: "If it wasn't, someone may be guessing your password. Change it once you're back in.",
+        }),
+        es: ({ name, url, minutes }) => ({
+            subject: "Tu cuenta de TaskFlow fue bloqueada",
+            greeting: `Hola ${name}:`,
+            paragraphs: [
+                `Bloqueamos tu cuenta durante ${minutes} minutos tras demasiados intentos fallidos de inicio de sesión.`,
+                "Si fuiste tú, desbloquéala ahora:",
+            ],
+            action: { label: "Desbloquear cuenta", url },
+            footer: "Si no fuiste tú, alguien podría estar adivinando tu contraseña. Cámbiala cuando vuelvas a entrar.",
+        }),
+    },
+    emailVerification: {
+        description: "Link to confirm an email address",
+        sample: { name: "Ada", url: SAMPLE_URL, hours: 24 },
+        en: ({ name, url, hours }) => ({
+            subject: "Confirm your email for TaskFlow",
+            greeting: `Hi ${name},`,
+            paragraphs: ["Confirm this is your email address to finish setting up your TaskFlow account."],
+            action: { label: "Confirm email", url },
+            footer: `The link works for ${hours} hours. If you didn't sign up, ignore this email.`,
+        }),
+        es: ({ name, url, hours }) => ({
+            subject: "Confirma tu correo para TaskFlow",
+            greeting: `Hola ${name}:`,
+            paragraphs: ["Confirma que esta es tu dirección de correo para terminar de configurar tu cuenta de TaskFlow."],
+            action: { label: "Confirmar correo", url },
+            footer: `El enlace funciona durante ${hours} horas. Si no te registraste, ignora este correo.`,
+        }),
+    },
+    invitation: {
+        description: "Invitation to join an organization",
+        sample: { inviterName: "Grace", orgName: "Acme", url: SAMPLE_URL, days: 7 },
+        en: ({ inviterName, orgName, url, days }) => ({
+            subject: `${inviterName} invited you to ${orgName} on TaskFlow`,
+            greeting: "Hi,",
+            paragraphs: [`${inviterName} invited you to join ${orgName} on TaskFlow.`],
+            action: { label: "Accept invitation", url },
+            footer: `The invitation expires in ${days} days.`,
+        }),
+        es: ({ inviterName, orgName, url, days }) => ({
+            subject: `${inviterName} te invitó a ${orgName} en TaskFlow`,
+            greeting: "Hola:",
+            paragraphs: [`${inviterName} te invitó a unirte a ${orgName} en TaskFlow.`],
+            action: { label: "Aceptar invitación", url },
+            footer: `La invitación caduca en ${days} días.`,
+        }),
+    },
+    taskReminder: {
+        description: "Tasks due soon",
+        sample: {
+            name: "Ada",
+            url: "http://localhost:5173/user/tasks",
+            tasks: [{ title: "Write the release notes", dueDate: new Date() }, { title: "Review the budget", dueDate: new Date() }],
+        },
+        en: ({ name, url, tasks }) => ({
+            subject: tasks.length === 1 ? "A task is due soon" : `${tasks.length} tasks are due soon`,
+            greeting: `Hi ${name},`,
+            paragraphs: ["These tasks are due soon:"],
+            items: tasks.map((task) => `${task.title} (due ${formatDay(task.dueDate, "en")})`),
+            action: { label: "Open my tasks", url },
+        }),
+        es: ({ name, url, tasks }) => ({
+            subject: tasks.length === 1 ? "Una tarea vence pronto" : `${tasks.length} tareas vencen pronto`,
+            greeting: `Hola ${name}:`,
+            paragraphs: ["Estas tareas vencen pronto:"],
+            items: tasks.map((task) => `${task.title} (vence el ${formatDay(task.dueDate, "es")})`),
+            action: { label: "Ver mis tareas", url },
+        }),
+    },
+    digest: {
+        description: "Summary of unread notifications",
+        sample: {
+            name: "Ada",
+            url: "http://localhost:5173/user/dashboard",
+            messages: ["Grace assigned you \"Review the budget\"", "\"Write the release notes\" moved to Done"],
+        },
+        en: ({ name, url, messages }) => ({
+            subject: `You have ${messages.length} unread notification${messages.length === 1 ? "" : "s"} on TaskFlow`,
+            greeting: `Hi ${name},`,
+            paragraphs: ["Here's what happened while you were away:"],
+            items: messages,
+            action: { label: "Open TaskFlow", url },
+        }),
+        es: ({ name, url, messages }) => ({
+            subject: `Tienes ${messages.length} notificaci${messages.length === 1 ? "ón" : "ones"} sin leer en TaskFlow`,
+            greeting: `Hola ${name}:`,
+            paragraphs: ["Esto es lo que pasó mientras no estabas:"],
+            items: messages,
+            action: { label: "Abrir TaskFlow", url },
+        }),
+    },
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const renderHtml = (parts, locale) => {
+    const paragraph = (text) => `<p style="margin:0 0 16px">${escapeHtml(text)}</p>`;
+    const body = [
+        paragraph(parts.greeting),
+        ...parts.paragraphs.map(paragraph),
+        parts.items ? `<ul style="margin:0 0 16px;padding-left:20px">${
+            parts.items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>` : "",
+        parts.action ? `<p style="margin:24px 0"><a href="${escapeHtml(parts.action.url)}" style="background:#2563eb;` +
+            "color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block\">" +
+            `${escapeHtml(parts.action.label)}</a></p>` : "",
+        parts.footer ? `<p style="margin:0;color:#6b7280;font-size:13px">${escapeHtml(parts.footer)}</p>` : "",
+    ].join("");
+    return `<!DOCTYPE html><html lang="${locale}"><head><meta charset="utf-8"><title>${escapeHtml(parts.subject)}</title>` +
+        "</head><body style=\"margin:0;padding:24px;background:#f3f4f6;font-family:Arial,sans-serif;color:#111827\">" +
+        "<div style=\"max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px\">" +
+        `<h1 style="margin:0 0 24px;font-size:20px;color:#2563eb">TaskFlow</h1>${body}</div></body></html>`;
+};
+
+const renderText = (parts) => [
+    parts.greeting,
+    ...parts.paragraphs,
+    parts.items && parts.items.map((item) => `- ${item}`).join("\n"),
+    parts.action && `${parts.action.label}: ${parts.action.url}`,
+    parts.footer,
+].filter(Boolean).join("\n\n");
+
+// Own keys only: a name like "constructor" must not reach Object.prototype
+const hasTemplate = (name) => Object.hasOwn(TEMPLATES, name);
+
+// The supported locale closest to a requested one, e.g. "es-MX" -> "es"
+const resolveLocale = (locale) => {
+    const language = String(locale || "").toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+// The locale a user reads email in, from their preferences
+const localeOf = (user) => resolveLocale(user && user.preferences && user.preferences.locale);
+
+/**
+ * Renders a template.
+ * @param {string} name - Template name, e.g. "passwordReset"
+ * @param {Object} data - The template's data
+ * @param {string} [locale] - Falls back to English
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const renderTemplate = (name, data, locale) => {
+    const template = hasTemplate(name) ? TEMPLATES[name] : null;
+    if (!template) throw new Error(`Unknown mail template: ${name}`);
+    const resolved = resolveLocale(locale);
+    const parts = template[resolved](data);
+    return { subject: parts.subject, text: renderText(parts), html: renderHtml(parts, resolved) };
+};
+
+// The templates, for the admin preview
+const listTemplates = () => Object.entries(TEMPLATES).map(([name, { description }]) => ({ name, description }));
+
+// A template rendered with its sample data, or null for unknown templates
+const previewTemplate = (name, locale) => (hasTemplate(name) ? renderTemplate(name, TEMPLATES[name].sample, locale) : null);
+
+module.exports = { LOCALES, localeOf, renderTemplate, listTemplates, previewTemplate };
@@ -0,0 +1,109 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+/**
+ * Where email goes, chosen with MAIL_TRANSPORT:
+ * - "smtp": a mail server, from SMTP_URL, or SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER and SMTP_PASS; with only EMAIL_USER and EMAIL_PASS, through Gmail.
+ * - "outbox": JSON files in MAIL_OUTBOX_DIR (default server/mail-outbox), for
+ *   development and tests; outside production admins can browse them in the app.
+ * - "none": nowhere; messages count as sent.
+ * Defaults to "smtp" when a mail server is configured, otherwise to "outbox" in
+ * development and "none" in production, where the outbox would hold live links.
+ */
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+const MAIL_SERVER_CONFIGURED = Boolean(process.env.SMTP_URL || process.env.SMTP_HOST || process.env.EMAIL_USER);
+const TRANSPORT_NAME = process.env.MAIL_TRANSPORT || (MAIL_SERVER_CONFIGURED ? "smtp" : IS_PRODUCTION ? "none" : "outbox");
+
+// Only whoever runs the server reads a production outbox, from the files
+const OUTBOX_BROWSABLE = !IS_PRODUCTION;
+
+const FROM = process.env.MAIL_FROM || process.env.EMAIL_USER || "TaskFlow <no-reply@taskflow.local>";
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../mail-outbox");
+const OUTBOX_ID = /^[\w-]+$/;
+
+const smtpOptions = () => {
+    if (process.env.SMTP_URL) return process.env.SMTP_URL;
+    if (process.env.SMTP_HOST) {
+        return {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        };
+    }
+    return { service: "gmail", auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } };
+};
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport(smtpOptions());
+    return {
+        name: "smtp",
+        send: ({ to, subject, text, html }) => transporter.sendMail({ from: FROM, to, subject, text, html }),
+    };
+};
+
+const outboxTransport = {
+    name: "outbox",
+    send: async (message) => {
+        await fs.mkdir(OUTBOX_DIR, { recursive: true });
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+        const entry = { id, from: FROM, date: new Date(), ...message };
+        await fs.writeFile(path.join(OUTBOX_DIR, `${id}.json`), JSON.stringify(entry, null, 2));
+    },
+};
+
+const noTransport = { name: "none", send: async () => {} };
+
+const TRANSPORTS = { smtp: createSmtpTransport, outbox: () => outboxTransport, none: () => noTransport };
+
+let transport = null;
+// The configured transport: { name, send(message) } with message { to, template, subject, text, html }
+const getTransport = () => {
+    if (!transport) {
+        const create = TRANSPORTS[TRANSPORT_NAME];
+        if (!create) throw new Error(`Unknown MAIL_TRANSPORT: ${TRANSPORT_NAME}`);
+        transport = create();
+        if (TRANSPORT_NAME === "none" && !process.env.MAIL_TRANSPORT) {
+            console.warn("No mail server is configured (SMTP_URL, SMTP_HOST or EMAIL_USER); email is not sent");
+        }
+    }
+    return transport;
+};
+
+const OUTBOX_BATCH = 100;
+
+// The latest `limit` outbox messages sent to a recipient that `accept(to)` allows,
+// newest first, without their bodies. Reads the files a batch at a time until it has them.
+const listOutbox = async (accept = () => true, limit = 100) => {
+    let files;
+    try {
+        files = await fs.readdir(OUTBOX_DIR);
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+    const ids = files.filter((file) => file.endsWith(".json")).map((file) => file.slice(0, -5)).sort().reverse();
+    const found = [];
+    for (let start = 0; start < ids.length && found.length < limit; start += OUTBOX_BATCH) {
+        const entries = await Promise.all(ids.slice(start, start + OUTBOX_BATCH).map(readOutbox));
+        found.push(...entries.filter((entry) => entry && accept(entry.to)));
+    }
+    return found.slice(0, limit).map(({ id, to, subject, template, date }) => ({ id, to, subject, template, date }));
+};
+
+// One outbox message, or null
+const readOutbox = async (id) => {
+    if (!OUTBOX_ID.test(id)) return null;
+    try {
+        return JSON.parse(await fs.readFile(path.join(OUTBOX_DIR, `${id}.json`), "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+};
+
+module.exports = { TRANSPORT_NAME, OUTBOX_BROWSABLE, getTransport, listOutbox, readOutbox };
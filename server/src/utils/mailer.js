@@ -0,0 +1,92 @@
+require("dotenv").config();
+const MailMessage = require("../models/MailMessage");
+const { getTransport } = require("./mailTransports");
+const { localeOf, renderTemplate } = require("./mailTemplates");
+
+// Where links in emails point: the web app's address
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+
+const MAX_ATTEMPTS = 5;
+// Retry delays double from a minute: 1, 2, 4 then 8 minutes
+const retryDelayMs = (attempts) => 2 ** (attempts - 1) * 60 * 1000;
+// Messages left "sending" this long were cut off, e.g. by a restart
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+
+let processing = null;
+
+// Claims the next message that is due, or null
+const claimNext = () => MailMessage.findOneAndUpdate(
+    { status: "queued", nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: "sending" }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+const deliver = async (message) => {
+    try {
+        const { to, template, subject, text, html } = message;
+        await getTransport().send({ to, template, subject, text, html });
+        await MailMessage.updateOne(
+            { _id: message._id },
+            { $set: { status: "sent", sentAt: new Date(), lastError: null, text: null, html: null } }
+        );
+    } catch (error) {
+        console.error(`Failed to send "${message.subject}" to ${message.to}:`, error);
+        const failed = message.attempts >= MAX_ATTEMPTS;
+        await MailMessage.updateOne({ _id: message._id }, {
+            $set: {
+                status: failed ? "failed" : "queued",
+                lastError: String(error.message || error),
+                nextAttemptAt: new Date(Date.now() + retryDelayMs(message.attempts)),
+            },
+        });
+    }
+};
+
+/**
+ * Sends every queued message that is due. Only one run goes at a time; calls
+ * during a run share it.
+ * @returns {Promise<void>}
+ */
+const processMailQueue = () => {
+    if (!processing) {
+        processing = (async () => {
+            await MailMessage.updateMany(
+                { status: "sending", updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+                { $set: { status: "queued" } }
+            );
+            let message;
+            while ((message = await claimNext())) await deliver(message);
+        })()
+            .catch((error) => console.error("Mail queue failed:", error))
+            .finally(() => { processing = null; });
+    }
+    return processing;
+};
+
+/**
+ * Queues a templated email and starts sending it right away. Failed sends are
+ * retried in the background.
+ *
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name (see mailTemplates.js)
+ * @param {Object} options.data - The template's data
+ * @param {string} [options.locale] - Defaults to the recipient's, given `user`
+ * @param {Object} [options.user] - Recipient, for their locale
+ * @returns {Promise<Object>} The queued message
+ */
+const sendMail = async ({ to, template, data, locale, user }) => {
+    const rendered = renderTemplate(template, data, locale || localeOf(user));
+    const message = await MailMessage.create({ to, template, ...rendered });
+    processMailQueue();
+    return message;
+};
+
+// Retries queued messages in the background. Called once the database is up.
+const startMailQueue = () => {
+    processMailQueue();
+    setInterval(processMailQueue, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = { CLIENT_URL, sendMail, processMailQueue, startMailQueue };
@@ -0,0 +1,19 @@
+const Notification = require("../models/Notification");
+
+/**
+ * Sends an in-app notification to each of the users. Failures are logged and
+ * swallowed, like audit records: the action that triggered them already happened.
+ *
+ * @param {Array} userIds - Recipients
+ * @param {Object} notification - { org, type, message }
+ */
+const notify = async (userIds, { org = null, type, message }) => {
+    if (userIds.length === 0) return;
+    try {
+        await Notification.insertMany(userIds.map((user) => ({ user, org, type, message })));
+    } catch (error) {
+        console.error("Failed to send notifications:", error);
+    }
+};
+
+module.exports = { notify };
@@ -0,0 +1,153 @@
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const Organization = require("../models/Organization");
+
+/**
+ * Password policy: minimum length, required character classes, a bundled list
+ * of common passwords, and how many recent passwords can't be reused. Each
+ * organization can tighten it in its security settings; a user's password
+ * must satisfy every organization they belong to. The client mirrors the
+ * rules for its strength meter (src/utils/passwordPolicy.js).
+ */
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    requireUppercase: false,
+    requireLowercase: false,
+    requireDigit: false,
+    requireSymbol: false,
+    blockCommon: true,
+    historyCount: 3, // the current password counts as one
+};
+
+const MIN_LENGTH_RANGE = [6, 64];
+const MAX_HISTORY = 12;
+// bcrypt only looks at the first 72 bytes
+const MAX_LENGTH = 72;
+
+const CHARACTER_RULES = [
+    { key: "requireUppercase", pattern: /[A-Z]/, message: "an uppercase letter" },
+    { key: "requireLowercase", pattern: /[a-z]/, message: "a lowercase letter" },
+    { key: "requireDigit", pattern: /[0-9]/, message: "a digit" },
+    { key: "requireSymbol", pattern: /[^A-Za-z0-9]/, message: "a symbol" },
+];
+
+let commonPasswords = null;
+const isCommonPassword = (password) => {
+    if (!commonPasswords) {
+        const list = fs.readFileSync(path.join(__dirname, "../data/commonPasswords.txt"), "utf8");
+        commonPasswords = new Set(
+            list.split(/\r?\n/).map((line) => line.trim().toLowerCase()).filter((line) => line && !line.startsWith("#"))
+        );
+    }
+    return commonPasswords.has(password.toLowerCase());
+};
+
+/**
+ * Validates policy settings from an admin, on top of the current ones.
+ *
+ * @param {Object} changes - Settings to change
+ * @param {Object} [current] - Policy they apply to
+ * @returns {{ policy?: Object, error?: string }}
+ */
+const normalizePolicy = (changes, current = DEFAULT_PASSWORD_POLICY) => {
+    if (!changes || typeof changes !== "object") return { error: "passwordPolicy must be an object" };
+    const policy = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+        if (!(key in DEFAULT_PASSWORD_POLICY)) return { error: `Unknown password policy setting: ${key}` };
+        if (key === "minLength") {
+            if (!Number.isInteger(value) || value < MIN_LENGTH_RANGE[0] || value > MIN_LENGTH_RANGE[1]) {
+                return { error: `Minimum length must be ${MIN_LENGTH_RANGE[0]}-${MIN_LENGTH_RANGE[1]}` };
+            }
+        } else if (key === "historyCount") {
+            if (!Number.isInteger(value) || value < 0 || value > MAX_HISTORY) {
+                return { error: `Password history must be 0-${MAX_HISTORY}` };
+            }
+        } else if (typeof value !== "boolean") {
+            return { error: `${key} must be true or false` };
+        }
+        policy[key] = value;
+    }
+    return { policy };
+};
+
+// An organization's policy: its own settings over the defaults
+const policyOf = (org) => ({ ...DEFAULT_PASSWORD_POLICY, ...((org && org.passwordPolicy) || {}) });
+
+// The strictest combination of several policies
+const strictest = (policies) => policies.reduce((merged, policy) => ({
+    minLength: Math.max(merged.minLength, policy.minLength),
+    requireUppercase: merged.requireUppercase || policy.requireUppercase,
+    requireLowercase: merged.requireLowercase || policy.requireLowercase,
+    requireDigit: merged.requireDigit || policy.requireDigit,
+    requireSymbol: merged.requireSymbol || policy.requireSymbol,
+    blockCommon: merged.blockCommon || policy.blockCommon,
+    historyCount: Math.max(merged.historyCount, policy.historyCount),
+}));
+
+// Policy for new sign-ups, who join the default organization
+const signupPolicy = async () => policyOf(await Organization.getDefault());
+
+// Policy a user's password must meet: the strictest of their organizations'
+const policyForUser = async (user) => {
+    const orgIds = user.memberships.map((membership) => membership.org);
+    const orgs = orgIds.length > 0
+        ? await Organization.find({ _id: { $in: orgIds } }, "passwordPolicy")
+        : [await Organization.getDefault()];
+    return strictest(orgs.map(policyOf));
+};
+
+/**
+ * What is wrong with a password under a policy.
+ *
+ * @param {string} password - Password to check
+ * @param {Object} policy - Policy it must meet
+ * @param {Object} [user] - Account the password is for, whose recent passwords can't be reused
+ * @returns {Promise<string[]>} Problems to show; empty when the password is acceptable
+ */
+const passwordProblems = async (password, policy, user = null) => {
+    if (typeof password !== "string") return ["Password is required"];
+    if (password.length < policy.minLength) return [`Password must be at least ${policy.minLength} characters`];
+    if (Buffer.byteLength(password) > MAX_LENGTH) return [`Password must be at most ${MAX_LENGTH} characters`];
+
+    const problems = [];
+    const missing = CHARACTER_RULES.filter((rule) => policy[rule.key] && !rule.pattern.test(password));
+    if (missing.length > 0) {
+        const messages = missing.map((rule) => rule.message);
+        const last = messages.pop();
+        problems.push(`Password must contain ${messages.length > 0 ? `${messages.join(", ")} and ${last}` : last}`);
+    }
+    if (policy.blockCommon && isCommonPassword(password)) {
+        problems.push("This password is too common. Choose one that is harder to guess");
+    }
+
+    if (user && policy.historyCount > 0) {
+        const recent = [user.password, ...(user.passwordHistory || [])].slice(0, policy.historyCount);
+        for (const hash of recent) {
+            if (hash && (await bcrypt.compare(password, hash))) {
+                problems.push(policy.historyCount === 1
+                    ? "Choose a password different from your current one"
+                    : `Choose a password you haven't used for your last ${policy.historyCount} passwords`);
+                break;
+            }
+        }
+    }
+    return problems;
+};
+
+// Gives a user a new password, keeping the old hash so it can't be reused soon.
+// The caller saves the user.
+const setPassword = async (user, password) => {
+    if (user.password) user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, MAX_HISTORY);
+    user.password = await bcrypt.hash(password, 10);
+};
+
+module.exports = {
+    DEFAULT_PASSWORD_POLICY,
+    normalizePolicy,
+    policyOf,
+    signupPolicy,
+    policyForUser,
+    passwordProblems,
+    setPassword,
+};
@@ -0,0 +1,48 @@
+// Permission catalogue and the built-in roles. Organizations can define more
+// roles (see models/Role.js) from the same permissions.
+
+const PERMISSIONS = {
+    "task.view": "See own, assigned and project tasks",
+    "task.view_all": "See every task in the organization",
+    "task.create": "Create and import tasks",
+    "task.edit": "Edit and move tasks",
+    "task.assign": "Assign tasks to other people",
+    "task.delete": "Delete tasks",
+    "board.manage": "Change board columns and workflows",
+    "project.create": "Create projects",
+    "project.manage": "Manage every project in the organization",
+    "user.view": "See the organization's users and admin dashboard",
+    "user.manage": "Add, edit and remove members",
+    "role.manage": "Define custom roles",
+    "org.create": "Create organizations",
+    "logs.view": "See the activity log",
+    "audit.manage": "Set the audit retention policy and archive old events",
+    "security.manage": "Set sign-in security policies and reset members' two-factor authentication",
+    "mail.manage": "Preview email templates and see outgoing mail to members and invitees",
+};
+
+const ALL = Object.keys(PERMISSIONS);
+const MEMBER = ["task.view", "task.create", "task.edit", "task.assign", "task.delete", "board.manage", "project.create"];
+
+const BUILT_IN_ROLES = {
+    admin: { name: "Admin", permissions: ALL },
+    manager: {
+        name: "Manager",
+        permissions: [...MEMBER, "task.view_all", "project.manage", "user.view", "logs.view"],
+    },
+    user: { name: "User", permissions: MEMBER },
+    viewer: { name: "Viewer", permissions: ["task.view"] },
+};
+
+const isBuiltInRole = (key) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, key);
+
+// Built-in roles granting more than a regular user; signing up with one needs an admin's approval
+const isElevatedRole = (key) =>
+    isBuiltInRole(key) && BUILT_IN_ROLES[key].permissions.some((permission) => !MEMBER.includes(permission));
+
+const hasPermission = (user, permission) => Boolean(user.permissions && user.permissions.includes(permission));
+
+// Whether the user holds every permission in the list, so may hand them to someone else
+const canGrant = (user, permissions) => permissions.every((permission) => hasPermission(user, permission));
+
+module.exports = { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole, isElevatedRole, hasPermission, canGrant };
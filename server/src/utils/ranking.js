@@ -0,0 +1,63 @@
+// Fractional ranking for card order. Ranks are base-62 strings compared
+// lexicographically; a card dropped between two others gets a rank strictly
+// between theirs, so a reorder only ever rewrites the card that moved.
+// Ranks never end in the lowest digit, which keeps a gap below every rank.
+
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+// a < b; a may be "" (start of list) and b null (end of list)
+const midpoint = (a, b) => {
+    if (b !== null) {
+        // Skip the prefix both ranks share
+        let n = 0;
+        while ((a[n] || DIGITS[0]) === b[n]) n += 1;
+        if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+    // Adjacent digits: keep a's digit and look for room after it
+    if (b && b.length > 1) return b.slice(0, 1);
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * Returns a rank that sorts after `before` and ahead of `after`.
+ * Either side may be null to place the card at the start or end.
+ */
+const rankBetween = (before, after) => {
+    const a = before || "";
+    const b = after || null;
+    if (b !== null && a >= b) throw new Error(`Invalid rank range: "${a}" is not below "${b}"`);
+    return midpoint(a, b);
+};
+
+// Ranks past this length mean a column has been squeezed repeatedly in one
+// spot; callers then rebalance the column with initialRanks
+const MAX_RANK_LENGTH = 24;
+
+// Evenly spaced ranks of equal length, for a new or rebalanced column
+const initialRanks = (count) => {
+    let width = 1;
+    while (DIGITS.length ** width <= count + 1) width += 1;
+    const space = DIGITS.length ** width;
+
+    const ranks = [];
+    for (let i = 1; i <= count; i += 1) {
+        let value = Math.floor((i * space) / (count + 1));
+        let rank = "";
+        for (let d = 0; d < width; d += 1) {
+            rank = DIGITS[value % DIGITS.length] + rank;
+            value = Math.floor(value / DIGITS.length);
+        }
+        // Dropping trailing zero digits keeps the order and the no-trailing-zero invariant
+        ranks.push(rank.replace(/0+$/, ""));
+    }
+    return ranks;
+};
+
+module.exports = { MAX_RANK_LENGTH, rankBetween, initialRanks };
@@ -0,0 +1,25 @@
+const RateLimit = require("../models/RateLimit");
+
+/**
+ * Counts a request against a key, in fixed windows. Unlike sign-in throttling
+ * (see loginThrottle.js) every request counts, not only failed ones.
+ *
+ * @param {string} key - What is limited, e.g. "reset-request:email:<address>"
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<number|null>} Null when the request is allowed, otherwise
+ *   the seconds until the window ends
+ */
+const hitRateLimit = async (key, limit, windowMs) => {
+    const now = Date.now();
+    // MongoDB removes expired counters only about once a minute
+    await RateLimit.deleteOne({ key, expiresAt: { $lte: new Date(now) } });
+    const counter = await RateLimit.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(now + windowMs) } },
+        { upsert: true, new: true }
+    );
+    return counter.count > limit ? Math.ceil((counter.expiresAt - now) / 1000) : null;
+};
+
+module.exports = { hitRateLimit };
@@ -0,0 +1,34 @@
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { BUILT_IN_ROLES, isBuiltInRole } = require("./permissions");
+
+// Permissions granted by a role in an organization; empty for unknown roles
+const permissionsFor = async (orgId, key) => {
+    if (isBuiltInRole(key)) return BUILT_IN_ROLES[key].permissions;
+    const role = await Role.findOne({ org: orgId, key }, "permissions");
+    return role ? role.permissions : [];
+};
+
+const roleExists = async (orgId, key) => isBuiltInRole(key) || Boolean(await Role.exists({ org: orgId, key }));
+
+// Whether the user is the organization's only remaining admin. The last admin
+// can't be demoted or removed, or nobody could manage the organization any more.
+const isLastAdmin = async (orgId, userId) => {
+    const admins = await User.find({ memberships: { $elemMatch: { org: orgId, role: "admin" } } }, "_id").limit(2);
+    return admins.length === 1 && String(admins[0]._id) === String(userId);
+};
+
+// Active members of an organization whose role grants the permission
+const usersWithPermission = async (orgId, permission) => {
+    const users = await User.find({ "memberships.org": orgId, status: "active" }, "memberships");
+    const granted = new Map();
+    const holders = [];
+    for (const user of users) {
+        const { role } = user.membershipIn(orgId);
+        if (!granted.has(role)) granted.set(role, (await permissionsFor(orgId, role)).includes(permission));
+        if (granted.get(role)) holders.push(user._id);
+    }
+    return holders;
+};
+
+module.exports = { permissionsFor, roleExists, isLastAdmin, usersWithPermission };
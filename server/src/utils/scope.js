@@ -0,0 +1,33 @@
+const Project = require("../models/Project");
+const { hasPermission } = require("./permissions");
+
+// Query filters limiting what a request's user can see. Everything is limited
+// to the organization the user is signed in to; inside it users with the
+// matching "all" permission see everything and everyone else their own records
+// plus those of the projects they belong to.
+
+const projectScope = (user) => {
+    if (hasPermission(user, "project.manage")) return { org: user.orgId };
+    return { org: user.orgId, $or: [{ owner: user.userId }, { members: user.userId }] };
+};
+
+const memberProjectIds = (user) => Project.find(projectScope(user)).distinct("_id");
+
+const taskScope = async (user) => {
+    if (hasPermission(user, "task.view_all")) return { org: user.orgId };
+    const projects = await memberProjectIds(user);
+    return { org: user.orgId, $or: [{ owner: user.userId }, { assignee: user.userId }, { project: { $in: projects } }] };
+};
+
+const boardScope = async (user) => {
+    if (hasPermission(user, "task.view_all")) return { org: user.orgId };
+    const projects = await memberProjectIds(user);
+    return { org: user.orgId, $or: [{ owner: user.userId }, { project: { $in: projects } }] };
+};
+
+// Only the project's owner (or someone who manages every project) may change it,
+// or its board; members just work in it
+const canManageProject = (user, project) =>
+    hasPermission(user, "project.manage") || String(project.owner) === String(user.userId);
+
+module.exports = { projectScope, taskScope, boardScope, canManageProject };
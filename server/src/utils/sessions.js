@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const { REFRESH_TOKEN_TTL_SECONDS, issueToken } = require("./tenancy");
+const { describeDevice } = require("./device");
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Refresh tokens are random; only their hash is stored
+const issueRefreshToken = async (session) => {
+    const token = crypto.randomBytes(48).toString("base64url");
+    await RefreshToken.create({
+        session: session._id,
+        user: session.user,
+        hash: hashToken(token),
+        expiresAt: session.expiresAt,
+    });
+    return token;
+};
+
+// Opens a session for a user signing in to an organization and returns its id,
+// access token and first refresh token
+const startSession = async (req, user, membership) => {
+    const userAgent = req.get("User-Agent") || null;
+    const session = await Session.create({
+        user: user._id,
+        org: membership.org,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+        ip: req.ip,
+        userAgent,
+        device: describeDevice(userAgent),
+    });
+    return {
+        sessionId: session._id,
+        token: issueToken(user, membership, session._id),
+        refreshToken: await issueRefreshToken(session),
+    };
+};
+
+// Ends the session a token belongs to, if it is still open. Tokens issued before
+// sessions existed carry no session id.
+const endSession = async (sessionId, reason) => {
+    if (!sessionId) return;
+    await Session.updateOne({ _id: sessionId, endedAt: null }, { endedAt: new Date(), endReason: reason });
+};
+
+// Ends every open session of a user in an organization, e.g. when they are removed from it
+const endUserSessions = async (userId, orgId, reason) => {
+    await Session.updateMany({ user: userId, org: orgId, endedAt: null }, { endedAt: new Date(), endReason: reason });
+};
+
+// Ends a user's open sessions in every organization except the one making the
+// request (all of them when keepSessionId is null); resolves to how many ended
+const endOtherSessions = async (userId, keepSessionId, reason) => {
+    const result = await Session.updateMany(
+        { user: userId, _id: { $ne: keepSessionId }, endedAt: null },
+        { endedAt: new Date(), endReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Uses up a refresh token and issues the next one of its session, extending the
+ * session. A token that was already used has leaked (the rightful client holds
+ * its successor), so presenting it ends the session and every token in it.
+ *
+ * @param {string} presented - Refresh token sent by the client
+ * @returns {Promise<Object>} { session, refreshToken } on success, otherwise
+ *   { error } with "invalid", "ended" or "reused" (the latter with the session)
+ */
+const rotateRefreshToken = async (presented) => {
+    const hash = hashToken(presented);
+    const now = new Date();
+
+    // Marking the token used in the same step that finds it, so two requests
+    // presenting it at once can't both rotate it
+    const current = await RefreshToken.findOneAndUpdate({ hash, usedAt: null }, { usedAt: now });
+    if (!current) {
+        const used = await RefreshToken.findOne({ hash });
+        if (!used) return { error: "invalid" };
+        await endSession(used.session, "revoked");
+        return { error: "reused", session: await Session.findById(used.session) };
+    }
+    if (current.expiresAt <= now) return { error: "invalid" };
+
+    const session = await Session.findById(current.session);
+    if (!session || session.endedAt) return { error: "ended" };
+
+    session.expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+    session.lastSeenAt = now;
+    await session.save();
+    return { session, refreshToken: await issueRefreshToken(session) };
+};
+
+// The session a refresh token belongs to, used or not; null for unknown tokens
+const findRefreshSession = async (presented) => {
+    const token = await RefreshToken.findOne({ hash: hashToken(presented) }, "session");
+    return token && Session.findById(token.session);
+};
+
+module.exports = {
+    startSession,
+    endSession,
+    endUserSessions,
+    endOtherSessions,
+    rotateRefreshToken,
+    findRefreshSession,
+};
@@ -0,0 +1,34 @@
+const jwt = require("jsonwebtoken");
+const Organization = require("../models/Organization");
+
+// Accounts created before organizations existed join the default one with the
+// role they signed up with.
+const ensureMembership = async (user) => {
+    if (user.memberships.length > 0) return;
+
+    const org = await Organization.getDefault();
+    user.memberships.push({ org: org._id, role: user.role });
+    await user.save();
+};
+
+// The membership to sign a user in with: the requested organization, else the
+// one they used last, else their first. Null when they don't belong to `requested`.
+const pickMembership = (user, requested) => {
+    if (requested) return user.membershipIn(requested);
+    return user.membershipIn(user.lastOrg) || user.memberships[0] || null;
+};
+
+// Access tokens are short-lived; clients renew them with the session's refresh
+// token, which lasts as long as the session stays in use (see utils/sessions.js)
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+// Tokens carry the active organization, the user's role inside it and the
+// session they belong to
+const issueToken = (user, membership, sessionId) => jwt.sign(
+    { userId: user._id, orgId: membership.org, role: membership.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+module.exports = { ensureMembership, pickMembership, ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS, issueToken };
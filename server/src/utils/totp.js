@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) as authenticator apps generate them:
+// HMAC-SHA1, 30-second steps, 6 digits, base32 secrets.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step before or after are accepted too, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+    let encoded = "";
+    for (let i = 0; i < bits.length; i += 5) encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    return encoded;
+};
+
+const base32Decode = (encoded) => {
+    let bits = "";
+    for (const char of encoded.replace(/=+$/, "").toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+        bits += value.toString(2).padStart(5, "0");
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for one time step (HOTP with the step as counter)
+const codeAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Checks a code against the secret around the current time.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {number} [lastUsedStep] - Step of the last accepted code; it and older ones are refused, so codes can't be replayed
+ * @returns {number|null} The step the code belongs to, or null when it doesn't match
+ */
+const verifyCode = (secret, code, lastUsedStep = 0) => {
+    const normalized = String(code || "").replace(/\s+/g, "");
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step += 1) {
+        if (step <= lastUsedStep) continue;
+        const expected = Buffer.from(codeAt(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step;
+    }
+    return null;
+};
+
+// The URI authenticator apps read from the enrollment QR code
+const otpauthUrl = (secret, account, issuer = "TaskFlow") =>
+    `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}` +
+    `&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// Recovery codes are shown once and stored as hashes, like passwords
+const hashRecoveryCode = (code) =>
+    crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+module.exports = {
+    generateSecret,
+    codeAt,
+    currentStep,
+    verifyCode,
+    otpauthUrl,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    base32Encode,
+};
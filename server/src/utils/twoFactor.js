@@ -0,0 +1,53 @@
+const jwt = require("jsonwebtoken");
+const Organization = require("../models/Organization");
+const { verifyCode, hashRecoveryCode } = require("./totp");
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// After the password checks out, a user with two-factor authentication gets a
+// short-lived challenge instead of a session; it carries no organization, so
+// `protect` refuses it as an access token.
+const issueChallenge = (user) =>
+    jwt.sign({ userId: user._id, purpose: "2fa" }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS });
+
+// The user id a challenge was issued for, or null when it is invalid or expired
+const readChallenge = (challenge) => {
+    try {
+        const decoded = jwt.verify(String(challenge || ""), process.env.JWT_SECRET);
+        return decoded.purpose === "2fa" ? decoded.userId : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Checks a code from the user's authenticator app, or one of their recovery
+ * codes, and uses it up. The caller saves the user.
+ *
+ * @param {Object} user - User document with two-factor authentication enabled
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {boolean} Whether the code was accepted
+ */
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+    const twoFactor = user.twoFactor;
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        if (!twoFactor.recoveryCodes.includes(hash)) return false;
+        twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter((stored) => stored !== hash);
+        return true;
+    }
+
+    const step = verifyCode(twoFactor.secret, code, twoFactor.lastUsedStep);
+    if (step === null) return false;
+    twoFactor.lastUsedStep = step;
+    return true;
+};
+
+// Whether the organization makes members with this role set up two-factor authentication
+const isTwoFactorRequired = async (orgId, role) => {
+    if (role !== "admin") return false;
+    const org = await Organization.findById(orgId, "requireAdminTwoFactor");
+    return Boolean(org && org.requireAdminTwoFactor);
+};
+
+module.exports = { issueChallenge, readChallenge, consumeSecondFactor, isTwoFactorRequired };
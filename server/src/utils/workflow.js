@@ -0,0 +1,94 @@
+// Workflow helpers shared by the board and task controllers.
+// A board's workflow is a list of statuses (each in one of three categories),
+// an optional list of allowed transitions and the status new tasks start in.
+
+const CATEGORIES = ["todo", "in_progress", "done"];
+const STATUS_KEY = /^[a-z0-9_]+$/;
+
+// Statuses the pre-workflow clients stored on tasks
+const LEGACY_DONE = ["complete", "completed", "done"];
+
+const DEFAULT_WORKFLOW = {
+    statuses: [
+        { key: "todo", name: "To Do", category: "todo", color: "#FF6384" },
+        { key: "in_progress", name: "In Progress", category: "in_progress", color: "#FFCE56" },
+        { key: "done", name: "Completed", category: "done", color: "#36A2EB" },
+    ],
+    // An empty list means every move is allowed
+    transitions: [],
+    initialStatus: "todo",
+};
+
+const findStatus = (board, key) => board.statuses.find((status) => status.key === key) || null;
+
+const canTransition = (board, from, to) => {
+    if (from === to) return true;
+    if (!findStatus(board, to)) return false;
+    if (!board.transitions || board.transitions.length === 0) return true;
+    return board.transitions.some((t) => t.from === from && t.to === to);
+};
+
+// Picks the status a task should move to for a request that names either an
+// exact status key or just a category ("move this to done").
+const resolveTarget = (board, { status, category }, from) => {
+    if (status) return findStatus(board, status) ? status : null;
+    if (!category) return null;
+
+    const candidates = board.statuses.filter((s) => s.category === category);
+    const allowed = candidates.find((s) => canTransition(board, from, s.key));
+    return allowed ? allowed.key : null;
+};
+
+// Maps a status value from an older client ("complete", "incomplete", ...)
+// onto this board's workflow.
+const mapLegacyStatus = (board, value) => {
+    if (value && findStatus(board, value)) return value;
+    if (LEGACY_DONE.includes(String(value || "").toLowerCase())) {
+        const done = board.statuses.find((s) => s.category === "done");
+        if (done) return done.key;
+    }
+    return board.initialStatus;
+};
+
+// Returns an error message for an invalid workflow definition, or null.
+const validateWorkflow = ({ statuses, transitions = [], initialStatus }) => {
+    if (!Array.isArray(statuses) || statuses.length === 0) return "A workflow needs at least one status";
+
+    const keys = new Set();
+    for (const status of statuses) {
+        if (!status || !STATUS_KEY.test(status.key || "")) {
+            return "Status keys may only contain lowercase letters, digits and underscores";
+        }
+        if (keys.has(status.key)) return `Duplicate status "${status.key}"`;
+        if (!status.name || !String(status.name).trim()) return `Status "${status.key}" needs a name`;
+        if (!CATEGORIES.includes(status.category)) return `Status "${status.key}" has an unknown category`;
+        if (status.wipLimit != null && !(Number.isInteger(status.wipLimit) && status.wipLimit > 0)) {
+            return `The WIP limit of "${status.name}" must be a positive whole number`;
+        }
+        keys.add(status.key);
+    }
+
+    if (!statuses.some((status) => status.category === "done")) {
+        return "At least one status must count as done";
+    }
+    if (!keys.has(initialStatus)) return "The initial status must be one of the workflow's statuses";
+
+    if (!Array.isArray(transitions)) return "Transitions must be a list";
+    for (const transition of transitions) {
+        if (!transition || !keys.has(transition.from) || !keys.has(transition.to)) {
+            return "Transitions may only reference the workflow's statuses";
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    CATEGORIES,
+    DEFAULT_WORKFLOW,
+    findStatus,
+    canTransition,
+    resolveTarget,
+    mapLegacyStatus,
+    validateWorkflow,
+};
@@ -23,6 +23,9 @@ import Login from "./components/auth/Login";
 import Signup from "./components/auth/Signup";
 import ForgotPassword from "./components/auth/ForgotPassword";
 import ResetPassword from "./components/auth/ResetPassword";
+import UnlockAccount from "./components/auth/UnlockAccount";
+import VerifyEmail from "./components/auth/VerifyEmail";
+import AcceptInvite from "./components/auth/AcceptInvite";
 
 // Admin Pages
 import Dashboard from "./pages/AdminPages/Dashboard";
@@ -31,6 +34,9 @@ import ManageUsers from "./pages/AdminPages/ManageUsers";
 import ManageTasks from "./pages/AdminPages/ManageTasks";
 import Settings from "./pages/AdminPages/Settings";
 import UserLogPage from "./pages/AdminPages/UserLogPage";
+import RolesPage from "./pages/AdminPages/RolesPage";
+import SessionTimeline from "./pages/AdminPages/SessionTimeline";
+import MailPage from "./pages/AdminPages/MailPage";
 
 // User Pages
 import UserDashboard from "./pages/UserPages/Dashboard";
@@ -41,10 +47,16 @@ import ProfilePage from "./pages/UserPages/ProfilePage";
 
 // Feature Components
 import TaskFilter from "./components/tasks/TaskFilter";
+import LegacyTaskImport from "./components/tasks/LegacyTaskImport";
+import VerifyEmailBanner from "./components/common/VerifyEmailBanner";
 
 // Context Providers
 import AuthProvider from "./contexts/AuthContext";
 import NotificationProvider from "./contexts/NotificationContext";
+import ProjectProvider from "./contexts/ProjectContext";
+
+// Where admins set up two-factor authentication when their organization requires it
+const TWO_FACTOR_SETUP_PATH = "/admin/settings";
 
 /**
  * Protected Route Component
@@ -55,33 +67,38 @@ import NotificationProvider from "./contexts/NotificationContext";
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render when authenticated
  * @param {string} [props.requiredRole] - Optional role required to access the route
+ * @param {string} [props.requiredPermission] - Optional permission required to access the route
  */
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { user, hasRole } = useAuth();
+const ProtectedRoute = ({ children, requiredRole, requiredPermission }) => {
+  const { user, isAuthenticated, hasRole, can, homePath } = useAuth();
   const location = useLocation();
   
-  // Check if user is authenticated
-  const isAuthenticated = !!user || !!localStorage.getItem("token");
-  
   // If not authenticated, redirect to login
   if (!isAuthenticated) {
     return <Navigate to="/login" state={{ from: location.pathname }} replace />;
   }
   
+  // Admins of an organization that requires two-factor authentication must set it up first
+  if (user?.twoFactorSetupRequired && location.pathname !== TWO_FACTOR_SETUP_PATH) {
+    return <Navigate to={TWO_FACTOR_SETUP_PATH} replace />;
+  }
+  
   // If role is required, check if user has the role
   if (requiredRole) {
     const hasRequiredRole = hasRole(requiredRole);
     
     if (!hasRequiredRole) {
-      // Redirect to appropriate dashboard based on user's role
-      const userRole = localStorage.getItem("userRole");
-      const redirectPath = userRole === "admin" ? "/admin/dashboard" : "/user/dashboard";
-      
-      return <Navigate to={redirectPath} replace />;
+      // Redirect to the dashboard the user's permissions allow
+      return <Navigate to={homePath()} replace />;
     }
   }
+
+  // If a permission is required, send users without it to the home page their permissions allow
+  if (requiredPermission && !can(requiredPermission)) {
+    return <Navigate to={homePath()} replace />;
+  }
   
-  // User is authenticated and has required role (if specified)
+  // User is authenticated and has required role and permission (if specified)
   return children;
 };
 
@@ -110,161 +127,192 @@ function App() {
   return (
     <AuthProvider>
       <NotificationProvider>
-        <Router>
-          <div className="flex flex-col min-h-screen">
-            <Navbar />
+        <ProjectProvider>
+          <Router>
+            <div className="flex flex-col min-h-screen">
+              <Navbar />
+              <VerifyEmailBanner />
+              <LegacyTaskImport />
             
-            <main className="flex-grow">
-              <Routes>
-                {/* Default route - redirect to login if not authenticated */}
-                <Route 
-                  path="/" 
-                  element={
-                    <ProtectedRoute>
-                      <Landing />
-                    </ProtectedRoute>
-                  } 
-                />
+              <main className="flex-grow">
+                <Routes>
+                  {/* Default route - redirect to login if not authenticated */}
+                  <Route 
+                    path="/" 
+                    element={
+                      <ProtectedRoute>
+                        <Landing />
+                      </ProtectedRoute>
+                    } 
+                  />
                 
-                {/* Auth pages - accessible to everyone */}
-                <Route path="/login" element={<Login />} />
-                <Route path="/signup" element={<Signup />} />
-                <Route path="/forgot-password" element={<ForgotPassword />} />
-                <Route path="/reset-password" element={<ResetPassword />} />
+                  {/* Auth pages - accessible to everyone */}
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/signup" element={<Signup />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/reset-password" element={<ResetPassword />} />
+                  <Route path="/unlock-account" element={<UnlockAccount />} />
+                  <Route path="/verify-email" element={<VerifyEmail />} />
+                  <Route path="/accept-invite" element={<AcceptInvite />} />
                 
-                {/* Landing page - only accessible after authentication */}
-                <Route 
-                  path="/landing" 
-                  element={
-                    <ProtectedRoute>
-                      <Landing />
-                    </ProtectedRoute>
-                  } 
-                />
+                  {/* Landing page - only accessible after authentication */}
+                  <Route 
+                    path="/landing" 
+                    element={
+                      <ProtectedRoute>
+                        <Landing />
+                      </ProtectedRoute>
+                    } 
+                  />
                 
-                {/* Protected Admin Routes */}
-                <Route 
-                  path="/admin/dashboard" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <Dashboard />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/users" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <Users />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/manage-users" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <ManageUsers />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/manage-tasks" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <ManageTasks />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/settings" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <Settings />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/user-logs" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <UserLogPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/task-filter" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <TaskFilter />
-                    </ProtectedRoute>
-                  } 
-                />
+                  {/* Protected Admin Routes */}
+                  <Route 
+                    path="/admin/dashboard" 
+                    element={
+                      <ProtectedRoute requiredPermission="user.view">
+                        <Dashboard />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/users" 
+                    element={
+                      <ProtectedRoute requiredPermission="user.view">
+                        <Users />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/manage-users" 
+                    element={
+                      <ProtectedRoute requiredPermission="user.view">
+                        <ManageUsers />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/manage-tasks" 
+                    element={
+                      <ProtectedRoute requiredPermission="task.view_all">
+                        <ManageTasks />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/settings" 
+                    element={
+                      <ProtectedRoute requiredPermission="user.view">
+                        <Settings />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/user-logs" 
+                    element={
+                      <ProtectedRoute requiredPermission="logs.view">
+                        <UserLogPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/roles" 
+                    element={
+                      <ProtectedRoute requiredPermission="role.manage">
+                        <RolesPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/sessions" 
+                    element={
+                      <ProtectedRoute requiredPermission="logs.view">
+                        <SessionTimeline />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/mail" 
+                    element={
+                      <ProtectedRoute requiredPermission="mail.manage">
+                        <MailPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/task-filter" 
+                    element={
+                      <ProtectedRoute requiredPermission="task.view">
+                        <TaskFilter />
+                      </ProtectedRoute>
+                    } 
+                  />
                 
-                {/* Protected User Routes */}
-                <Route 
-                  path="/user/dashboard" 
-                  element={
-                    <ProtectedRoute>
-                      <UserDashboard />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/userpage" 
-                  element={
-                    <ProtectedRoute>
-                      <UserPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/notifications" 
-                  element={
-                    <ProtectedRoute>
-                      <NotificationsPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/calendar" 
-                  element={
-                    <ProtectedRoute>
-                      <CalendarPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/profile" 
-                  element={
-                    <ProtectedRoute>
-                      <ProfilePage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/task-filter" 
-                  element={
-                    <ProtectedRoute>
-                      <TaskFilter />
-                    </ProtectedRoute>
-                  } 
-                />
+                  {/* Protected User Routes */}
+                  <Route 
+                    path="/user/dashboard" 
+                    element={
+                      <ProtectedRoute>
+                        <UserDashboard />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/userpage" 
+                    element={
+                      <ProtectedRoute>
+                        <UserPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/notifications" 
+                    element={
+                      <ProtectedRoute>
+                        <NotificationsPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/calendar" 
+                    element={
+                      <ProtectedRoute>
+                        <CalendarPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/profile" 
+                    element={
+                      <ProtectedRoute>
+                        <ProfilePage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/task-filter" 
+                    element={
+                      <ProtectedRoute>
+                        <TaskFilter />
+                      </ProtectedRoute>
+                    } 
+                  />
                 
-                {/* Fallback Route - Redirect to login if not authenticated, otherwise to appropriate dashboard */}
-                <Route 
-                  path="*" 
-                  element={
-                    <ProtectedRoute>
-                      <Navigate to="/user/dashboard" replace />
-                    </ProtectedRoute>
-                  } 
-                />
-              </Routes>
-            </main>
+                  {/* Fallback Route - Redirect to login if not authenticated, otherwise to appropriate dashboard */}
+                  <Route 
+                    path="*" 
+                    element={
+                      <ProtectedRoute>
+                        <Navigate to="/user/dashboard" replace />
+                      </ProtectedRoute>
+                    } 
+                  />
+                </Routes>
+              </main>
             
-            <Footer />
-          </div>
-        </Router>
+              <Footer />
+            </div>
+          </Router>
+        </ProjectProvider>
       </NotificationProvider>
     </AuthProvider>
   );
@@ -1,28 +1,426 @@
-const API_URL = "https://zidio-task-management-backend.onrender.com/";
+import { api } from "./utils/api";
 
-export const fetchTasks = async () => {
-  const response = await fetch(API_URL);
-  return await response.json();
+// params: { project } with a project id, or "personal" for tasks on personal boards
+export const fetchTasks = async (params = {}) => {
+  const response = await api.get("/api/tasks", { params });
+  return response.data;
 };
 
 export const createTask = async (task) => {
-  const response = await fetch(API_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(task),
-  });
-  return await response.json();
+  const response = await api.post("/api/tasks", task);
+  return response.data;
 };
 
 export const deleteTask = async (id) => {
-  await fetch(`${API_URL}/${id}`, { method: "DELETE" });
+  await api.delete(`/api/tasks/${id}`);
 };
 
 export const updateTask = async (id, updates) => {
-  const response = await fetch(`${API_URL}/${id}`, {
-    method: "PATCH",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(updates),
-  });
-  return await response.json();
-};
\ No newline at end of file
+  const response = await api.put(`/api/tasks/${id}`, updates);
+  return response.data;
+};
+
+export const importTasks = async (tasks) => {
+  const response = await api.post("/api/tasks/import", { tasks });
+  return response.data;
+};
+
+export const transitionTask = async (id, target) => {
+  const response = await api.post(`/api/tasks/${id}/transition`, target);
+  return response.data;
+};
+
+// Drops a task between two cards; position is { status?, prevId?, nextId? }
+export const positionTask = async (id, position) => {
+  const response = await api.post(`/api/tasks/${id}/move`, position);
+  return response.data;
+};
+
+export const fetchBoards = async () => {
+  const response = await api.get("/api/boards");
+  return response.data;
+};
+
+export const fetchBoard = async (id = "default") => {
+  const response = await api.get(`/api/boards/${id}`);
+  return response.data;
+};
+
+export const updateWorkflow = async (id, workflow) => {
+  const response = await api.put(`/api/boards/${id}/workflow`, workflow);
+  return response.data;
+};
+
+export const fetchProjects = async () => {
+  const response = await api.get("/api/projects");
+  return response.data;
+};
+
+export const createProject = async (project) => {
+  const response = await api.post("/api/projects", project);
+  return response.data;
+};
+
+export const updateProject = async (id, updates) => {
+  const response = await api.put(`/api/projects/${id}`, updates);
+  return response.data;
+};
+
+export const deleteProject = async (id) => {
+  await api.delete(`/api/projects/${id}`);
+};
+
+export const addProjectMember = async (id, email) => {
+  const response = await api.post(`/api/projects/${id}/members`, { email });
+  return response.data;
+};
+
+export const removeProjectMember = async (id, userId) => {
+  const response = await api.delete(`/api/projects/${id}/members/${userId}`);
+  return response.data;
+};
+
+export const fetchOrganizations = async () => {
+  const response = await api.get("/api/orgs");
+  return response.data;
+};
+
+export const createOrganization = async (name) => {
+  const response = await api.post("/api/orgs", { name });
+  return response.data;
+};
+
+export const addOrganizationMember = async (email, role) => {
+  const response = await api.post("/api/orgs/current/members", { email, role });
+  return response.data;
+};
+
+export const removeOrganizationMember = async (userId) => {
+  await api.delete(`/api/orgs/current/members/${userId}`);
+};
+
+// Users of the admin's current organization
+export const fetchUsers = async () => {
+  const response = await api.get("/admin/users");
+  return response.data;
+};
+
+// Renames a member and/or changes their role: { fullName, role }
+export const updateUser = async (email, updates) => {
+  const response = await api.put(`/admin/users/${encodeURIComponent(email)}`, updates);
+  return response.data;
+};
+
+// Removes a member from the current organization
+export const removeUser = async (email) => {
+  await api.delete(`/admin/users/${encodeURIComponent(email)}`);
+};
+
+// Built-in and custom roles of the current organization
+export const fetchRoles = async () => {
+  const response = await api.get("/api/roles");
+  return response.data;
+};
+
+// Catalogue of permissions a role can grant: [{ key, description }]
+export const fetchPermissionCatalog = async () => {
+  const response = await api.get("/api/roles/permissions");
+  return response.data;
+};
+
+export const createRole = async (role) => {
+  const response = await api.post("/api/roles", role);
+  return response.data;
+};
+
+export const updateRole = async (key, updates) => {
+  const response = await api.put(`/api/roles/${key}`, updates);
+  return response.data;
+};
+
+export const deleteRole = async (key) => {
+  await api.delete(`/api/roles/${key}`);
+};
+
+// Sign-ups waiting for an admin to approve their elevated role
+export const fetchApprovals = async () => {
+  const response = await api.get("/admin/approvals");
+  return response.data;
+};
+
+export const approveRegistration = async (email) => {
+  const response = await api.post(`/admin/approvals/${encodeURIComponent(email)}/approve`);
+  return response.data;
+};
+
+export const rejectRegistration = async (email) => {
+  const response = await api.post(`/admin/approvals/${encodeURIComponent(email)}/reject`);
+  return response.data;
+};
+
+// The signed-in user's in-app notifications, newest first
+export const fetchNotifications = async () => {
+  const response = await api.get("/api/notifications");
+  return response.data;
+};
+
+export const markNotificationRead = async (id) => {
+  const response = await api.post(`/api/notifications/${id}/read`);
+  return response.data;
+};
+
+/**
+ * One page of the organization's audit log, newest first.
+ * @param {Object} params - page, limit, action, outcome, user, search, from, to
+ * @returns {Promise<{ events: Object[], total: number, page: number, pages: number }>}
+ */
+export const fetchAuditEvents = async (params) => {
+  const response = await api.get("/admin/audit", { params });
+  return response.data;
+};
+
+// Sessions overlapping a time range: { user, from, to } (user optional)
+export const fetchSessions = async (params) => {
+  const response = await api.get("/admin/sessions", { params });
+  return response.data;
+};
+
+// The signed-in user's open sessions: [{ id, org, device, ip, createdAt, lastSeenAt, current }]
+export const fetchMySessions = async () => {
+  const response = await api.get("/api/auth/sessions");
+  return response.data;
+};
+
+export const revokeMySession = async (id) => {
+  const response = await api.delete(`/api/auth/sessions/${id}`);
+  return response.data;
+};
+
+// Ends every session of the signed-in user except this one: { revoked }
+export const revokeMyOtherSessions = async () => {
+  const response = await api.delete("/api/auth/sessions");
+  return response.data;
+};
+
+// Two-factor authentication of the signed-in user: { enabled, recoveryCodesLeft, required }
+export const fetchTwoFactorStatus = async () => {
+  const response = await api.get("/api/auth/2fa");
+  return response.data;
+};
+
+// Starts enrollment: { secret, otpauthUrl } for the authenticator app
+export const startTwoFactorSetup = async () => {
+  const response = await api.post("/api/auth/2fa/setup");
+  return response.data;
+};
+
+// Confirms enrollment with a code from the app: { recoveryCodes }
+export const enableTwoFactor = async (code) => {
+  const response = await api.post("/api/auth/2fa/enable", { code });
+  return response.data;
+};
+
+// Turns it off with { code } or { recoveryCode }
+export const disableTwoFactor = async (factor) => {
+  const response = await api.post("/api/auth/2fa/disable", factor);
+  return response.data;
+};
+
+export const regenerateRecoveryCodes = async (code) => {
+  const response = await api.post("/api/auth/2fa/recovery-codes", { code });
+  return response.data;
+};
+
+// Password rules for sign-ups
+export const fetchPasswordPolicy = async () => {
+  const response = await api.get("/api/auth/password-policy");
+  return response.data;
+};
+
+// Emails a reset link; the answer is the same whether or not the email has an account
+export const requestPasswordReset = async (email) => {
+  const response = await api.post("/api/forgot-password", { email });
+  return response.data;
+};
+
+// Sets a new password with the token from a reset link
+export const resetPassword = async (token, password) => {
+  const response = await api.post("/api/reset-password", { token, password });
+  return response.data;
+};
+
+// Password rules for the account behind a reset link
+export const fetchResetPasswordPolicy = async (token) => {
+  const response = await api.get("/api/reset-password/policy", { params: { token } });
+  return response.data;
+};
+
+// Password rules of the signed-in user's account
+export const fetchOwnPasswordPolicy = async () => {
+  const response = await api.get("/api/auth/change-password/policy");
+  return response.data;
+};
+
+// Resolves to { message, endedSessions }: the account's other sessions are signed out
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.post("/api/auth/change-password", { currentPassword, newPassword });
+  return response.data;
+};
+
+// Confirms the email address with the token from the verification email
+export const verifyEmail = async (token) => {
+  const response = await api.post("/api/auth/verify-email", { token });
+  return response.data;
+};
+
+// Emails the signed-in user a new verification link
+export const resendVerificationEmail = async () => {
+  const response = await api.post("/api/auth/verify-email/resend");
+  return response.data;
+};
+
+// Lifts a lockout with the token from the unlock email
+export const unlockAccount = async (token) => {
+  const response = await api.post("/api/auth/unlock", { token });
+  return response.data;
+};
+
+// Lifts a member's lockout after too many failed sign-ins
+export const unlockUser = async (email) => {
+  const response = await api.delete(`/admin/users/${encodeURIComponent(email)}/lockout`);
+  return response.data;
+};
+
+// Turns off a member's two-factor authentication
+export const resetUserTwoFactor = async (email) => {
+  const response = await api.delete(`/admin/users/${encodeURIComponent(email)}/2fa`);
+  return response.data;
+};
+
+// Sign-in security policies of the organization: { requireAdminTwoFactor, passwordPolicy, allowPublicSignup }
+export const fetchSecuritySettings = async () => {
+  const response = await api.get("/admin/security");
+  return response.data;
+};
+
+export const updateSecuritySettings = async (settings) => {
+  const response = await api.put("/admin/security", settings);
+  return response.data;
+};
+
+// A member's open sessions in the admin's organization
+export const fetchUserSessions = async (email) => {
+  const response = await api.get(`/admin/users/${encodeURIComponent(email)}/sessions`);
+  return response.data;
+};
+
+export const revokeUserSession = async (email, id) => {
+  const response = await api.delete(`/admin/users/${encodeURIComponent(email)}/sessions/${id}`);
+  return response.data;
+};
+
+// Ends all of a member's sessions except the admin's own: { revoked }
+export const revokeUserSessions = async (email) => {
+  const response = await api.delete(`/admin/users/${encodeURIComponent(email)}/sessions`);
+  return response.data;
+};
+
+// Per-day session totals for the organization: { from, to, tzOffset }
+export const fetchSessionTotals = async (params) => {
+  const response = await api.get("/admin/sessions/daily", { params });
+  return response.data;
+};
+
+// Walks the audit hash chain: { ok, checked, broken?: { seq, id, reason } }
+export const verifyAuditChain = async (includeArchive = false) => {
+  const response = await api.get("/admin/audit/verify", { params: { includeArchive } });
+  return response.data;
+};
+
+// Audit retention policy: { days, defaultDays }
+export const fetchAuditRetention = async () => {
+  const response = await api.get("/admin/audit/retention");
+  return response.data;
+};
+
+// Sets the retention in days; null restores the default
+export const updateAuditRetention = async (days) => {
+  const response = await api.put("/admin/audit/retention", { days });
+  return response.data;
+};
+
+// Archives events past the retention now: { archived, throughSeq, cutoff }
+export const archiveAuditEvents = async () => {
+  const response = await api.post("/admin/audit/archive");
+  return response.data;
+};
+
+// Email templates: { templates: [{ name, description }], locales, transport }
+export const fetchMailTemplates = async () => {
+  const response = await api.get("/admin/mail/templates");
+  return response.data;
+};
+
+// A template rendered with sample data: { subject, text, html }
+export const previewMailTemplate = async (name, locale) => {
+  const response = await api.get(`/admin/mail/templates/${encodeURIComponent(name)}`, { params: { locale } });
+  return response.data;
+};
+
+// Send queue of mail to the organization's members and invitees: { counts, pending }
+export const fetchMailQueue = async () => {
+  const response = await api.get("/admin/mail/queue");
+  return response.data;
+};
+
+// Development outbox: { transport, messages: [{ id, to, subject, template, date }] }
+export const fetchMailOutbox = async () => {
+  const response = await api.get("/admin/mail/outbox");
+  return response.data;
+};
+
+export const fetchOutboxMessage = async (id) => {
+  const response = await api.get(`/admin/mail/outbox/${encodeURIComponent(id)}`);
+  return response.data;
+};
+
+// Whether the public signup form is open: { open, message }
+export const fetchSignupStatus = async () => {
+  const response = await api.get("/api/auth/signup");
+  return response.data;
+};
+
+// Invitation behind an emailed link: { email, role, org, invitedBy, expiresAt, existingAccount, passwordPolicy }
+export const fetchInvitation = async (token) => {
+  const response = await api.get("/api/invitations", { params: { token } });
+  return response.data;
+};
+
+// Accepts an invitation; new accounts give { fullName, password } and get a session back
+export const acceptInvitation = async (token, details = {}) => {
+  const response = await api.post("/api/invitations/accept", { token, ...details });
+  return response.data;
+};
+
+// Pending invitations of the organization
+export const fetchInvitations = async () => {
+  const response = await api.get("/admin/invitations");
+  return response.data;
+};
+
+// Invites someone by email: { email, role, projects }
+export const createInvitation = async (invitation) => {
+  const response = await api.post("/admin/invitations", invitation);
+  return response.data;
+};
+
+// Emails the invitation again with a new link
+export const resendInvitation = async (id) => {
+  const response = await api.post(`/admin/invitations/${id}/resend`);
+  return response.data;
+};
+
+export const revokeInvitation = async (id) => {
+  const response = await api.delete(`/admin/invitations/${id}`);
+  return response.data;
+};
@@ -1,29 +1,24 @@
 import React, { useEffect, useState } from "react";
+import { useTasks } from "../../hooks/useTasks";
+import { isDone } from "../../utils/workflow";
+import { fetchUsers } from "../../api";
 
 const AdminStats = () => {
   const [totalUsers, setTotalUsers] = useState(0);
-  const [totalTasks, setTotalTasks] = useState(0);
-  const [pendingTasks, setPendingTasks] = useState(0);
-  const [completedTasks, setCompletedTasks] = useState(0);
+  const { tasks } = useTasks();
 
-  // Fetch Users from API
+  // Fetch Users from API (members of the admin's organization)
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users") // API URL
-      .then((res) => res.json())
+    fetchUsers()
       .then((data) => {
         setTotalUsers(data.length); // Count total users
       })
       .catch((err) => console.error("Error fetching users:", err));
   }, []);
 
-  // Fetch Tasks from Local Storage
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-
-    setTotalTasks(storedTasks.length);
-    setPendingTasks(storedTasks.filter((task) => task.progress < 100).length);
-    setCompletedTasks(storedTasks.filter((task) => task.progress === 100).length);
-  }, []);
+  // Task counts come from the tasks API (admins receive every task)
+  const totalTasks = tasks.length;
+  const completedTasks = tasks.filter(isDone).length;
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
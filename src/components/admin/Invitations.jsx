@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from "react";
+import {
+  fetchInvitations,
+  fetchProjects,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+} from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
+
+const EMPTY_INVITATION = { email: "", role: "user", projects: [] };
+
+/**
+ * Invitations Component
+ *
+ * Invites people to the organization by email with a role and projects chosen
+ * up front, and lists the invitations not accepted yet so they can be sent
+ * again or revoked.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.roles - Roles an invitation can give: { key, name }
+ */
+const Invitations = ({ roles }) => {
+  const [invitations, setInvitations] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_INVITATION);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchInvitations()
+      .then(setInvitations)
+      .catch((err) => console.error("Error fetching invitations:", err));
+    fetchProjects()
+      .then(setProjects)
+      .catch((err) => console.error("Error fetching projects:", err));
+  }, []);
+
+  const toggleProject = (id) => {
+    const selected = draft.projects.includes(id)
+      ? draft.projects.filter((project) => project !== id)
+      : [...draft.projects, id];
+    setDraft({ ...draft, projects: selected });
+  };
+
+  const invite = async (e) => {
+    e.preventDefault();
+    if (!draft.email.trim()) return;
+    try {
+      const invitation = await createInvitation({ ...draft, email: draft.email.trim() });
+      setInvitations([invitation, ...invitations]);
+      setDraft(EMPTY_INVITATION);
+      setMessage(`Invitation sent to ${invitation.email}.`);
+      setError(null);
+    } catch (err) {
+      console.error("Error creating invitation:", err);
+      setError(apiErrorMessage(err, "Failed to send the invitation"));
+    }
+  };
+
+  const resend = async (id) => {
+    try {
+      const updated = await resendInvitation(id);
+      setInvitations(invitations.map((invitation) => (invitation._id === id ? updated : invitation)));
+      setMessage(`Invitation sent to ${updated.email} again.`);
+      setError(null);
+    } catch (err) {
+      console.error("Error resending invitation:", err);
+      setError(apiErrorMessage(err, "Failed to resend the invitation"));
+    }
+  };
+
+  const revoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation of ${invitation.email}?`)) return;
+    try {
+      await revokeInvitation(invitation._id);
+      setInvitations(invitations.filter(({ _id }) => _id !== invitation._id));
+      setMessage(null);
+      setError(null);
+    } catch (err) {
+      console.error("Error revoking invitation:", err);
+      setError(apiErrorMessage(err, "Failed to revoke the invitation"));
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 shadow rounded-lg mb-4">
+      <form onSubmit={invite} className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-gray-700">Invite by email:</span>
+        <input
+          type="email"
+          value={draft.email}
+          onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+          placeholder="New member's email"
+          className="border p-1 rounded flex-1 min-w-[200px]"
+        />
+        <select
+          value={draft.role}
+          onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+          className="border p-1 rounded"
+          aria-label="Role"
+        >
+          {roles.map((role) => (
+            <option key={role.key} value={role.key}>{role.name}</option>
+          ))}
+        </select>
+        <button type="submit" className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600">
+          Invite
+        </button>
+        {projects.length > 0 && (
+          <fieldset className="w-full flex flex-wrap gap-3 text-sm">
+            <legend className="text-gray-600 mb-1">Projects to join:</legend>
+            {projects.map((project) => (
+              <label key={project._id} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={draft.projects.includes(project._id)}
+                  onChange={() => toggleProject(project._id)}
+                />
+                {project.name}
+              </label>
+            ))}
+          </fieldset>
+        )}
+      </form>
+
+      {message && <p className="text-green-600 text-sm mt-2" role="status">{message}</p>}
+      {error && <p className="text-red-600 text-sm mt-2" role="alert">{error}</p>}
+
+      {invitations.length > 0 && (
+        <table className="w-full border-collapse text-sm mt-4">
+          <thead>
+            <tr className="bg-gray-200 text-left">
+              <th className="p-2">Email</th>
+              <th className="p-2">Role</th>
+              <th className="p-2">Projects</th>
+              <th className="p-2">Invited by</th>
+              <th className="p-2">Expires</th>
+              <th className="p-2">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {invitations.map((invitation) => (
+              <tr key={invitation._id} className="border-b">
+                <td className="p-2">{invitation.email}</td>
+                <td className="p-2">{invitation.role}</td>
+                <td className="p-2">{invitation.projects.map((project) => project.name).join(", ") || "None"}</td>
+                <td className="p-2">{invitation.invitedBy?.fullName || "Unknown"}</td>
+                <td className="p-2">
+                  {invitation.expired ? (
+                    <span className="px-2 py-0.5 rounded bg-red-100 text-red-700 text-xs">Expired</span>
+                  ) : (
+                    new Date(invitation.expiresAt).toLocaleDateString()
+                  )}
+                </td>
+                <td className="p-2">
+                  <button
+                    className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                    onClick={() => resend(invitation._id)}
+                  >
+                    Resend
+                  </button>
+                  <button
+                    className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
+                    onClick={() => revoke(invitation)}
+                  >
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default Invitations;
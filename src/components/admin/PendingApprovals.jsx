@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from "react";
+import { fetchApprovals, approveRegistration, rejectRegistration } from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
+
+// Approval queue: sign-ups that asked for an elevated role and can't log in
+// until someone approves (they get the role) or rejects (they become regular users)
+const PendingApprovals = () => {
+  const [pending, setPending] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchApprovals()
+      .then(setPending)
+      .catch((err) => console.error("Error fetching approvals:", err));
+  }, []);
+
+  const decide = async (user, decision) => {
+    try {
+      await (decision === "approve" ? approveRegistration : rejectRegistration)(user.email);
+      setPending((prev) => prev.filter((u) => u.email !== user.email));
+      setError(null);
+    } catch (err) {
+      console.error("Error deciding registration:", err);
+      setError(apiErrorMessage(err, "Failed to update the registration."));
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 shadow rounded-lg">
+      <h3 className="text-xl font-semibold mb-2">Pending Approvals</h3>
+      {error && <p className="text-red-600 text-sm mb-2" role="alert">{error}</p>}
+      <ul>
+        {pending.length > 0 ? (
+          pending.map((user) => (
+            <li key={user.email} className="border-b py-2">
+              <div>
+                {user.fullName} <span className="text-sm text-gray-500">({user.email})</span>
+              </div>
+              <div className="flex justify-between items-center mt-1">
+                <span className="bg-yellow-200 text-yellow-800 px-2 py-1 rounded text-sm">{user.requestedRole}</span>
+                <span>
+                  <button
+                    className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                    onClick={() => decide(user, "approve")}
+                  >
+                    Approve
+                  </button>
+                  <button
+                    className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
+                    onClick={() => decide(user, "reject")}
+                  >
+                    Reject
+                  </button>
+                </span>
+              </div>
+            </li>
+          ))
+        ) : (
+          <li className="text-gray-500">No pending registrations</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default PendingApprovals;
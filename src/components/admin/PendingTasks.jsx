@@ -1,23 +1,17 @@
-import React, { useState, useEffect } from "react";
+import React from "react";
+import { useTasks } from "../../hooks/useTasks";
+import { CATEGORY_LABELS, isDone } from "../../utils/workflow";
 
 const statusStyles = {
-  Pending: "bg-red-200 text-red-800 px-2 py-1 rounded",
-  "In Progress": "bg-yellow-200 text-yellow-800 px-2 py-1 rounded",
+  todo: "bg-red-200 text-red-800 px-2 py-1 rounded",
+  in_progress: "bg-yellow-200 text-yellow-800 px-2 py-1 rounded",
 };
 
 const PendingTasks = () => {
-  const [tasks, setTasks] = useState([]);
+  const { tasks: allTasks } = useTasks();
 
-  useEffect(() => {
-    // Fetch tasks from localStorage
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    console.log("Stored Tasks:", storedTasks); // ✅ Debugging step
-
-    // Filter tasks that are pending
-    const filteredTasks = storedTasks.filter((task) => task.progress < 100);
-
-    setTasks(filteredTasks);
-  }, []);
+  // Filter tasks that are pending
+  const tasks = allTasks.filter((task) => !isDone(task));
 
   return (
     <div className="bg-white p-4 shadow rounded-lg">
@@ -25,10 +19,10 @@ const PendingTasks = () => {
       <ul>
         {tasks.length > 0 ? (
           tasks.map((task, index) => (
-            <li key={index} className="flex justify-between items-center border-b py-2">
+            <li key={task.id || index} className="flex justify-between items-center border-b py-2">
               <span>{task.title}</span> {/* ✅ Removed Assigned Name */}
-              <span className={statusStyles[task.status] || "bg-gray-200 text-gray-800 px-2 py-1 rounded"}>
-                {task.status || "Pending"}
+              <span className={statusStyles[task.statusCategory] || "bg-gray-200 text-gray-800 px-2 py-1 rounded"}>
+                {CATEGORY_LABELS[task.statusCategory] || "Pending"}
               </span>
             </li>
           ))
@@ -1,18 +1,23 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
-import { FaChartPie, FaUsers, FaTasks, FaCog, FaClipboardList } from "react-icons/fa";
+import { FaChartPie, FaUsers, FaTasks, FaCog, FaClipboardList, FaUserShield, FaHistory, FaEnvelope } from "react-icons/fa";
+import { useAuth } from "../../contexts/AuthContext";
 
 const Sidebar = () => {
   const location = useLocation();
+  const { can } = useAuth();
 
-  // Sidebar menu items with icons
+  // Sidebar menu items with icons, each shown only with the permission its page requires
   const menuItems = [
-    { path: "/admin/dashboard", label: "Dashboard", icon: <FaChartPie /> },
-    { path: "/admin/manage-users", label: "Manage Users", icon: <FaUsers /> },
-    { path: "/admin/manage-tasks", label: "Manage Tasks", icon: <FaTasks /> },
-    { path: "/admin/user-logs", label: "User Logs", icon: <FaClipboardList /> },
-    { path: "/admin/settings", label: "Settings", icon: <FaCog /> },
-  ];
+    { path: "/admin/dashboard", label: "Dashboard", icon: <FaChartPie />, permission: "user.view" },
+    { path: "/admin/manage-users", label: "Manage Users", icon: <FaUsers />, permission: "user.view" },
+    { path: "/admin/manage-tasks", label: "Manage Tasks", icon: <FaTasks />, permission: "task.view_all" },
+    { path: "/admin/roles", label: "Roles", icon: <FaUserShield />, permission: "role.manage" },
+    { path: "/admin/user-logs", label: "User Logs", icon: <FaClipboardList />, permission: "logs.view" },
+    { path: "/admin/sessions", label: "Sessions", icon: <FaHistory />, permission: "logs.view" },
+    { path: "/admin/mail", label: "Mail", icon: <FaEnvelope />, permission: "mail.manage" },
+    { path: "/admin/settings", label: "Settings", icon: <FaCog />, permission: "user.view" },
+  ].filter((item) => can(item.permission));
 
   return (
     <div className="w-64 min-h-screen p-6 bg-gray-900 text-white glassmorphism border-r border-gray-700">
@@ -1,31 +1,23 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
 import { Bar } from "react-chartjs-2";
 import "chart.js/auto";
+import { useTasks } from "../../hooks/useTasks";
+import { CATEGORY_LABELS, CATEGORY_COLORS, countByCategory } from "../../utils/workflow";
 
 const TaskAnalytics = () => {
-  const [taskStats, setTaskStats] = useState({
-    todo: 0,
-    inProgress: 0,
-    completed: 0,
-  });
+  const { tasks } = useTasks();
 
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const updatedStats = {
-      todo: storedTasks.filter((task) => task.progress <= 40).length,
-      inProgress: storedTasks.filter((task) => task.progress > 40 && task.progress <= 80).length,
-      completed: storedTasks.filter((task) => task.progress > 80).length,
-    };
-    setTaskStats(updatedStats);
-  }, []);
+  // Tasks are bucketed by their workflow category so every board is comparable
+  const taskStats = countByCategory(tasks);
+  const categories = Object.keys(CATEGORY_LABELS);
 
   const chartData = {
-    labels: ["To Do", "In Progress", "Completed"],
+    labels: categories.map((category) => CATEGORY_LABELS[category]),
     datasets: [
       {
         label: "Number of Tasks",
-        data: [taskStats.todo, taskStats.inProgress, taskStats.completed],
-        backgroundColor: ["#FF6384", "#FFCE56", "#36A2EB"],
+        data: categories.map((category) => taskStats[category]),
+        backgroundColor: categories.map((category) => CATEGORY_COLORS[category]),
       },
     ],
   };
@@ -1,5 +1,7 @@
 import React, { useState } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
+import { requestPasswordReset } from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
 
 const ForgotPassword = () => {
   const [email, setEmail] = useState("");
@@ -19,21 +21,11 @@ const ForgotPassword = () => {
     setLoading(true);
 
     try {
-      const res = await fetch("https://zidio-task-management-backend.onrender.com/api/forgot-password", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, role }), // Include role in the request
-      });
-
-      const data = await res.json();
-      if (res.ok) {
-        setMessage("Reset link sent successfully. Check your email.");
-        setTimeout(() => navigate("/login", { state: { role } }), 3000);
-      } else {
-        setError(data.message || "Something went wrong.");
-      }
+      const data = await requestPasswordReset(email);
+      setMessage(data.message);
+      setTimeout(() => navigate("/login", { state: { role } }), 3000);
     } catch (err) {
-      setError("Failed to send reset link. Please try again.");
+      setError(apiErrorMessage(err, "Failed to send reset link. Please try again."));
     } finally {
       setLoading(false);
     }
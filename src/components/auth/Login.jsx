@@ -19,6 +19,7 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { homePathFor } from "../../utils/permissions";
 import { FaLock, FaEnvelope, FaExclamationCircle, FaSpinner } from "react-icons/fa";
 
 const Login = () => {
@@ -28,7 +29,11 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   
   // Hooks initialization
-  const { login, error, isAuthenticated } = useAuth();
+  const { login, verifyTwoFactor, error, user } = useAuth();
+  // Set once the password checked out and an authenticator code is needed
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -41,11 +46,10 @@ const Login = () => {
    * Redirects authenticated users to appropriate dashboard
    */
   useEffect(() => {
-    if (isAuthenticated) {
-      const userRole = localStorage.getItem("userRole");
-      navigate(userRole === "admin" ? "/admin/dashboard" : "/user/dashboard");
+    if (user) {
+      navigate(homePathFor(user.permissions));
     }
-  }, [isAuthenticated, navigate]);
+  }, [user, navigate]);
 
   /**
    * Handles form submission and authentication
@@ -65,25 +69,11 @@ const Login = () => {
     
     try {
       // Call the login function from AuthContext
-      await login(email, password);
-      
-      // Create log entry for admin tracking
-      const logData = {
-        userId: localStorage.getItem("userId") || "unknown",
-        username: email,
-        role: localStorage.getItem("userRole") || "user",
-        action: "login",
-        loginTime: new Date().toISOString(),
-        ipAddress: "127.0.0.1", // In production, this would be captured from the request
-        tokenName: localStorage.getItem("token")?.substring(0, 10) + "..." || "unknown"
-      };
-      
-      // Store login logs in localStorage for admin view
-      const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-      existingLogs.push(logData);
-      localStorage.setItem('userLogs', JSON.stringify(existingLogs));
-      
-      console.log("User login:", logData);
+      const result = await login(email, password);
+      if (result?.twoFactorRequired) {
+        setChallenge(result.challenge);
+        return;
+      }
       
       // Navigate to landing page after successful login
       navigate("/landing");
@@ -95,6 +85,28 @@ const Login = () => {
     }
   };
 
+  /**
+   * Second step for accounts with two-factor authentication
+   *
+   * @param {Event} e - The form submission event
+   */
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setLoading(true);
+    try {
+      await verifyTwoFactor(challenge, useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() });
+      navigate("/landing");
+    } catch (err) {
+      console.error("Two-factor verification error:", err);
+      // An expired challenge means starting over with the password
+      if (err.response?.status === 401) setChallenge(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-500 to-purple-600 p-6">
       <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md transform transition duration-300 hover:scale-105">
@@ -113,71 +125,114 @@ const Login = () => {
           </div>
         )}
 
-        {/* Login form */}
-        <form onSubmit={handleSubmit} className="space-y-6">
-          {/* Email field */}
-          <div>
-            <label htmlFor="email" className="block text-gray-700 text-sm font-medium mb-1">Email</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaEnvelope className="text-gray-400" aria-hidden="true" />
-              </div>
+        {/* Authenticator code, once the password checked out */}
+        {challenge ? (
+          <form onSubmit={handleVerify} className="space-y-6">
+            <div>
+              <label htmlFor="code" className="block text-gray-700 text-sm font-medium mb-1">
+                {useRecoveryCode ? "Recovery code" : "Authentication code"}
+              </label>
               <input
-                id="email"
-                type="email"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Enter your email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
+                id="code"
+                type="text"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                className="w-full px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "6-digit code from your app"}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
                 required
-                aria-label="Email Address"
-                autoComplete="email"
+                autoFocus
               />
             </div>
-          </div>
+            <button
+              type="submit"
+              className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
+                loading
+                  ? "bg-gray-400 cursor-not-allowed"
+                  : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
+              }`}
+              disabled={loading}
+            >
+              {loading ? "Verifying..." : "Verify"}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode("");
+              }}
+              className="w-full text-blue-600 hover:text-blue-800 text-sm"
+            >
+              {useRecoveryCode ? "Use a code from your authenticator app" : "Use a recovery code instead"}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Email field */}
+            <div>
+              <label htmlFor="email" className="block text-gray-700 text-sm font-medium mb-1">Email</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaEnvelope className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="email"
+                  type="email"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Enter your email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  aria-label="Email Address"
+                  autoComplete="email"
+                />
+              </div>
+            </div>
 
-          {/* Password field */}
-          <div>
-            <label htmlFor="password" className="block text-gray-700 text-sm font-medium mb-1">Password</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaLock className="text-gray-400" aria-hidden="true" />
+            {/* Password field */}
+            <div>
+              <label htmlFor="password" className="block text-gray-700 text-sm font-medium mb-1">Password</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaLock className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="password"
+                  type="password"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Enter your password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  aria-label="Password"
+                  autoComplete="current-password"
+                />
               </div>
-              <input
-                id="password"
-                type="password"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Enter your password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                required
-                aria-label="Password"
-                autoComplete="current-password"
-              />
             </div>
-          </div>
 
-          {/* Submit button with loading state */}
-          <button
-            type="submit"
-            className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
-              loading
-                ? "bg-gray-400 cursor-not-allowed"
-                : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
-            }`}
-            disabled={loading}
-            aria-label="Login Button"
-          >
-            {loading ? (
-              <span className="flex items-center justify-center">
-                <FaSpinner className="animate-spin mr-2" aria-hidden="true" />
-                Logging in...
-              </span>
-            ) : (
-              "Login"
-            )}
-          </button>
-        </form>
+            {/* Submit button with loading state */}
+            <button
+              type="submit"
+              className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
+                loading
+                  ? "bg-gray-400 cursor-not-allowed"
+                  : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
+              }`}
+              disabled={loading}
+              aria-label="Login Button"
+            >
+              {loading ? (
+                <span className="flex items-center justify-center">
+                  <FaSpinner className="animate-spin mr-2" aria-hidden="true" />
+                  Logging in...
+                </span>
+              ) : (
+                "Login"
+              )}
+            </button>
+          </form>
+        )}
 
         {/* Additional links */}
         <div className="mt-6 text-center space-y-2">
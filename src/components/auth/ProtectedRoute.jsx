@@ -6,7 +6,7 @@
  * to the login page with return path preservation.
  * 
  * Features:
- * - Authentication verification using localStorage and context
+ * - Authentication verification using the auth context
  * - Role-based access control for admin/user routes
  * - Return path preservation for post-login redirection
  * - Seamless integration with React Router v6
@@ -28,7 +28,7 @@ import { useAuth } from "../../contexts/AuthContext";
  * @returns {React.ReactElement} Protected route component
  */
 const ProtectedRoute = ({ children, requiredRole }) => {
-  const { user, hasRole } = useAuth();
+  const { user, isAuthenticated, hasRole } = useAuth();
   const location = useLocation();
   
   /**
@@ -38,12 +38,6 @@ const ProtectedRoute = ({ children, requiredRole }) => {
     console.log(`Route access attempt: ${location.pathname}`);
   }, [location.pathname]);
 
-  /**
-   * Check if user is authenticated using both context and localStorage
-   * This dual-check approach ensures reliability across page refreshes
-   */
-  const isAuthenticated = !!user || !!localStorage.getItem("token");
-  
   // If not authenticated, redirect to login with return path
   if (!isAuthenticated) {
     console.log(`Authentication required for: ${location.pathname}`);
@@ -55,15 +49,13 @@ const ProtectedRoute = ({ children, requiredRole }) => {
    * This implements role-based access control (RBAC)
    */
   if (requiredRole) {
-    // Check role from context or localStorage
-    const userRole = localStorage.getItem("userRole");
-    const hasRequiredRole = hasRole ? hasRole(requiredRole) : userRole === requiredRole;
+    const hasRequiredRole = hasRole(requiredRole);
     
     if (!hasRequiredRole) {
       console.log(`Role ${requiredRole} required for: ${location.pathname}`);
       
       // Redirect to appropriate dashboard based on user's role
-      const redirectPath = userRole === "admin" ? "/admin/dashboard" : "/user/dashboard";
+      const redirectPath = user?.role === "admin" ? "/admin/dashboard" : "/user/dashboard";
       
       return <Navigate to={redirectPath} replace />;
     }
@@ -1,5 +1,9 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
+import { fetchResetPasswordPolicy, resetPassword } from "../../api";
+import { meetsPolicy } from "../../utils/passwordPolicy";
+import { apiErrorMessage } from "../../utils/workflow";
+import PasswordStrengthMeter from "../common/PasswordStrengthMeter";
 
 const ResetPassword = () => {
   const [password, setPassword] = useState("");
@@ -7,6 +11,7 @@ const ResetPassword = () => {
   const [message, setMessage] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -17,6 +22,17 @@ const ResetPassword = () => {
   // Extract role from state or default to "user"
   const role = location.state?.role || "user";
 
+  // Password rules of the account, for the strength meter; also tells an expired link early
+  useEffect(() => {
+    if (!token) return;
+    fetchResetPasswordPolicy(token)
+      .then(setPasswordPolicy)
+      .catch((err) => {
+        console.error("Error fetching password policy:", err);
+        setError(apiErrorMessage(err, "Failed to load the password rules."));
+      });
+  }, [token]);
+
   const handleResetPassword = async (e) => {
     e.preventDefault();
     setMessage("");
@@ -27,22 +43,17 @@ const ResetPassword = () => {
       return;
     }
 
+    if (passwordPolicy && !meetsPolicy(password, passwordPolicy)) {
+      setError("The password doesn't meet all the rules yet.");
+      return;
+    }
+
     setLoading(true);
     try {
-      const res = await fetch("https://zidio-task-management-backend.onrender.com/api/reset-password", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ token, password }),
-      });
-
-      const data = await res.json();
-      if (res.ok) {
-        setMessage("Password reset successful! Please log in.");
-      } else {
-        setError(data.message || "Failed to reset password.");
-      }
+      await resetPassword(token, password);
+      setMessage("Password reset successful! Please log in.");
     } catch (err) {
-      setError("Something went wrong. Try again.");
+      setError(apiErrorMessage(err, "Failed to reset password."));
     } finally {
       setLoading(false);
     }
@@ -86,6 +97,7 @@ const ResetPassword = () => {
               onChange={(e) => setPassword(e.target.value)}
               required
             />
+            <PasswordStrengthMeter password={password} policy={passwordPolicy} />
           </div>
           <div>
             <label className="block text-gray-600 text-sm">Confirm Password</label>
@@ -19,6 +19,10 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { homePathFor } from "../../utils/permissions";
+import { meetsPolicy } from "../../utils/passwordPolicy";
+import { fetchPasswordPolicy, fetchSignupStatus } from "../../api";
+import PasswordStrengthMeter from "../common/PasswordStrengthMeter";
 import { FaUser, FaEnvelope, FaLock, FaExclamationCircle, FaSpinner } from "react-icons/fa";
 
 const Signup = () => {
@@ -30,14 +34,14 @@ const Signup = () => {
     confirmPassword: "",
   });
   const [loading, setLoading] = useState(false);
-  const [passwordStrength, setPasswordStrength] = useState({
-    score: 0,
-    message: "",
-    color: "gray"
-  });
+  const [pendingMessage, setPendingMessage] = useState(null);
+  // Password rules of the server, for the strength meter
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  // Why the form is closed when people join by invitation only
+  const [closedMessage, setClosedMessage] = useState(null);
   
   // Hooks initialization
-  const { signup, error, isAuthenticated } = useAuth();
+  const { signup, error, user } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -49,11 +53,19 @@ const Signup = () => {
    * Redirects authenticated users to appropriate dashboard
    */
   useEffect(() => {
-    if (isAuthenticated) {
-      const userRole = localStorage.getItem("userRole");
-      navigate(userRole === "admin" ? "/admin/dashboard" : "/user/dashboard");
+    if (user) {
+      navigate(homePathFor(user.permissions));
     }
-  }, [isAuthenticated, navigate]);
+  }, [user, navigate]);
+
+  useEffect(() => {
+    fetchPasswordPolicy()
+      .then(setPasswordPolicy)
+      .catch((err) => console.error("Error fetching password policy:", err));
+    fetchSignupStatus()
+      .then((status) => setClosedMessage(status.open ? null : status.message))
+      .catch((err) => console.error("Error fetching signup status:", err));
+  }, []);
 
   /**
    * Handles form input changes and updates state
@@ -67,55 +79,6 @@ const Signup = () => {
       ...prevData,
       [name]: value
     }));
-    
-    // Check password strength when password field changes
-    if (name === 'password') {
-      evaluatePasswordStrength(value);
-    }
-  };
-
-  /**
-   * Evaluates password strength and updates UI feedback
-   * 
-   * @param {string} password - Password to evaluate
-   */
-  const evaluatePasswordStrength = (password) => {
-    // Simple password strength evaluation
-    let score = 0;
-    let message = "";
-    let color = "gray";
-    
-    if (!password) {
-      setPasswordStrength({ score: 0, message: "", color: "gray" });
-      return;
-    }
-    
-    // Length check
-    if (password.length >= 8) score += 1;
-    if (password.length >= 12) score += 1;
-    
-    // Complexity checks
-    if (/[A-Z]/.test(password)) score += 1;
-    if (/[a-z]/.test(password)) score += 1;
-    if (/[0-9]/.test(password)) score += 1;
-    if (/[^A-Za-z0-9]/.test(password)) score += 1;
-    
-    // Determine strength level
-    if (score <= 2) {
-      message = "Weak";
-      color = "red";
-    } else if (score <= 4) {
-      message = "Fair";
-      color = "yellow";
-    } else if (score <= 6) {
-      message = "Good";
-      color = "blue";
-    } else {
-      message = "Strong";
-      color = "green";
-    }
-    
-    setPasswordStrength({ score, message, color });
   };
 
   /**
@@ -136,33 +99,22 @@ const Signup = () => {
       return; // Error will be handled by the auth context
     }
     
-    if (formData.password.length < 6) {
-      return; // Error will be handled by the auth context
+    // The meter lists the rules still unmet
+    if (passwordPolicy && !meetsPolicy(formData.password, passwordPolicy)) {
+      return;
     }
     
     setLoading(true);
     
     try {
       // Call the signup function from AuthContext
-      await signup(formData.fullName, formData.email, formData.password, role);
-      
-      // Create log entry for admin tracking
-      const logData = {
-        userId: localStorage.getItem("userId") || "unknown",
-        username: formData.email,
-        role: role,
-        action: "signup",
-        loginTime: new Date().toISOString(),
-        ipAddress: "127.0.0.1", // In production, this would be captured from the request
-        tokenName: localStorage.getItem("token")?.substring(0, 10) + "..." || "unknown"
-      };
-      
-      // Store signup logs in localStorage for admin view
-      const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-      existingLogs.push(logData);
-      localStorage.setItem('userLogs', JSON.stringify(existingLogs));
-      
-      console.log("User registration:", logData);
+      const result = await signup(formData.fullName, formData.email, formData.password, role);
+
+      // Elevated roles can't log in until an admin approves them
+      if (result?.pending) {
+        setPendingMessage(result.message);
+        return;
+      }
       
       // Navigate to landing page after successful registration
       navigate("/landing");
@@ -174,6 +126,18 @@ const Signup = () => {
     }
   };
 
+  if (closedMessage) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-500 to-purple-600 p-6">
+        <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md text-center">
+          <h2 className="text-3xl font-bold text-gray-800 mb-4">Invitation Only</h2>
+          <p className="text-gray-600 mb-6">{closedMessage}</p>
+          <Link to="/login" className="text-blue-600 hover:underline">Log in</Link>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-500 to-purple-600 p-6">
       <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md transform transition duration-300 hover:scale-105">
@@ -181,6 +145,18 @@ const Signup = () => {
         <h2 className="text-3xl font-bold text-center text-gray-800 mb-6">
           {role === "admin" ? "Admin Registration" : "User Registration"}
         </h2>
+        {role === "admin" && (
+          <p className="text-sm text-gray-600 text-center -mt-4 mb-6">
+            Admin accounts are activated once an existing admin approves them.
+          </p>
+        )}
+
+        {/* Shown once an elevated registration is waiting for approval */}
+        {pendingMessage && (
+          <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-6 rounded" role="status">
+            <p className="text-green-700 text-sm">{pendingMessage}</p>
+          </div>
+        )}
 
         {/* Error display with animation */}
         {error && (
@@ -259,28 +235,8 @@ const Signup = () => {
               />
             </div>
             
-            {/* Password strength indicator */}
-            {formData.password && (
-              <div className="mt-1 flex items-center">
-                <div className="w-full bg-gray-200 rounded-full h-2 mr-2">
-                  <div 
-                    className={`h-2 rounded-full ${
-                      passwordStrength.color === "red" ? "bg-red-500" : 
-                      passwordStrength.color === "yellow" ? "bg-yellow-500" : 
-                      passwordStrength.color === "green" ? "bg-green-500" : "bg-gray-300"
-                    }`}
-                    style={{ width: `${(passwordStrength.score / 5) * 100}%` }}
-                  ></div>
-                </div>
-                <span className={`text-xs ${
-                  passwordStrength.color === "red" ? "text-red-500" : 
-                  passwordStrength.color === "yellow" ? "text-yellow-600" : 
-                  passwordStrength.color === "green" ? "text-green-500" : "text-gray-500"
-                }`}>
-                  {passwordStrength.message}
-                </span>
-              </div>
-            )}
+            {/* Password strength and policy rules */}
+            <PasswordStrengthMeter password={formData.password} policy={passwordPolicy} />
           </div>
 
           {/* Confirm Password field */}
@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FaDesktop } from "react-icons/fa";
+import { apiErrorMessage } from "../../utils/workflow";
+
+/**
+ * ActiveSessions Component
+ *
+ * Lists where an account is signed in: device, IP, when each session started
+ * and when it was last used, with buttons to end one session or all others.
+ * An ended session's tokens are refused from its next request on.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.load - Resolves to the open sessions
+ * @param {Function} props.revoke - Ends the session with the given id
+ * @param {Function} props.revokeOthers - Ends every session but the current one
+ * @param {string} [props.revokeOthersLabel] - Text of the button calling revokeOthers
+ */
+const ActiveSessions = ({ load, revoke, revokeOthers, revokeOthersLabel = "Sign out all other sessions" }) => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setSessions(await load());
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching sessions:", err);
+      setError(apiErrorMessage(err, "Failed to load sessions."));
+    }
+  }, [load]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Runs a revocation and shows what is left
+  const run = async (action, confirmation) => {
+    if (!window.confirm(confirmation)) return;
+    try {
+      await action();
+      await reload();
+    } catch (err) {
+      console.error("Error revoking sessions:", err);
+      setError(apiErrorMessage(err, "Failed to revoke the session."));
+    }
+  };
+
+  const others = sessions.filter((session) => !session.current);
+
+  return (
+    <div>
+      {error && <p className="text-red-600 mb-2" role="alert">{error}</p>}
+
+      <ul className="divide-y">
+        {sessions.map((session) => (
+          <li key={session.id} className="flex items-center justify-between gap-4 py-2 text-sm text-gray-700">
+            <div className="flex items-center gap-3">
+              <FaDesktop className="text-gray-500" aria-hidden="true" />
+              <div>
+                <p className="font-medium">
+                  {session.device || "Unknown device"}
+                  {session.current && <span className="ml-2 text-xs text-green-600">This session</span>}
+                </p>
+                <p className="text-gray-500">
+                  {session.ip || "Unknown IP"}
+                  {session.org?.name && ` · ${session.org.name}`}
+                </p>
+                <p className="text-gray-500">
+                  Signed in {new Date(session.createdAt).toLocaleString()} · last seen{" "}
+                  {new Date(session.lastSeenAt || session.createdAt).toLocaleString()}
+                </p>
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                type="button"
+                onClick={() => run(() => revoke(session.id), `Sign out ${session.device || "this device"}?`)}
+                className="px-3 py-1 rounded text-red-600 hover:bg-red-50"
+              >
+                Revoke
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {sessions.length === 0 && !error && <p className="text-gray-500 text-center">No active sessions.</p>}
+
+      {others.length > 0 && (
+        <button
+          type="button"
+          onClick={() => run(revokeOthers, `${revokeOthersLabel}?`)}
+          className="mt-3 px-4 py-2 rounded bg-red-500 text-white hover:bg-red-600"
+        >
+          {revokeOthersLabel}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from "react";
+import { changePassword, fetchOwnPasswordPolicy } from "../../api";
+import { meetsPolicy } from "../../utils/passwordPolicy";
+import { apiErrorMessage } from "../../utils/workflow";
+import PasswordStrengthMeter from "./PasswordStrengthMeter";
+
+const EMPTY_FORM = { currentPassword: "", newPassword: "", confirmPassword: "" };
+
+const inputClassName = "w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none";
+
+/**
+ * ChangePasswordForm Component
+ *
+ * Changes the signed-in user's password, given the current one. The server
+ * signs out every other session of the account once it is changed.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+const ChangePasswordForm = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchOwnPasswordPolicy()
+      .then(setPasswordPolicy)
+      .catch((err) => console.error("Error fetching password policy:", err));
+  }, []);
+
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    if (form.newPassword !== form.confirmPassword) return setError("The new passwords don't match.");
+    if (passwordPolicy && !meetsPolicy(form.newPassword, passwordPolicy)) {
+      return setError("The new password doesn't meet all the rules yet.");
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await changePassword(form.currentPassword, form.newPassword);
+      setForm(EMPTY_FORM);
+      setMessage(
+        result.endedSessions > 0
+          ? `Password changed. ${result.endedSessions} other session(s) were signed out.`
+          : "Password changed."
+      );
+    } catch (err) {
+      console.error("Error changing password:", err);
+      setError(apiErrorMessage(err, "Failed to change the password."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <label htmlFor="currentPassword" className="block text-sm font-medium">Current Password</label>
+        <input
+          id="currentPassword"
+          type="password"
+          name="currentPassword"
+          value={form.currentPassword}
+          onChange={handleChange}
+          autoComplete="current-password"
+          className={inputClassName}
+          required
+        />
+      </div>
+      <div>
+        <label htmlFor="newPassword" className="block text-sm font-medium">New Password</label>
+        <input
+          id="newPassword"
+          type="password"
+          name="newPassword"
+          value={form.newPassword}
+          onChange={handleChange}
+          autoComplete="new-password"
+          className={inputClassName}
+          required
+        />
+        <PasswordStrengthMeter password={form.newPassword} policy={passwordPolicy} />
+      </div>
+      <div>
+        <label htmlFor="confirmPassword" className="block text-sm font-medium">Confirm New Password</label>
+        <input
+          id="confirmPassword"
+          type="password"
+          name="confirmPassword"
+          value={form.confirmPassword}
+          onChange={handleChange}
+          autoComplete="new-password"
+          className={inputClassName}
+          required
+        />
+      </div>
+
+      {error && <p className="text-red-600" role="alert">{error}</p>}
+      {message && <p className="text-green-600" role="status">{message}</p>}
+
+      <button
+        type="submit"
+        disabled={busy}
+        className="w-full bg-red-500 text-white py-3 rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+      >
+        {busy ? "Changing..." : "Change Password"}
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
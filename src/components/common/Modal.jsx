@@ -0,0 +1,34 @@
+import React from "react";
+
+/**
+ * Minimal centered modal with a title bar and close button.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is shown
+ * @param {string} props.title - Heading text
+ * @param {Function} props.onClose - Called when the user dismisses the modal
+ * @param {React.ReactNode} props.children - Modal body
+ */
+const Modal = ({ isOpen, title, onClose, children }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-800 text-2xl leading-none"
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        <div className="px-6 py-4 overflow-y-auto">{children}</div>
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
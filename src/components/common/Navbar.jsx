@@ -3,9 +3,10 @@ import { Link, useNavigate, useLocation } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import { FaUserCircle, FaTasks } from "react-icons/fa";
 import TaskList from "../tasks/TaskList";
+import OrgSwitcher from "./OrgSwitcher";
 
 const Navbar = () => {
-  const { logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const hideProfileRoutes = ["/login", "/signup", "/forgot-password", "/reset-password"];
@@ -23,17 +24,15 @@ const Navbar = () => {
     // Check if user is in admin or user portal
     const isAdminPortal = location.pathname.startsWith("/admin");
 
-    // Load correct profile from localStorage
+    // Name and role come from the account; only the picture is kept in localStorage
     const storedProfile = JSON.parse(localStorage.getItem(isAdminPortal ? "adminProfile" : "userProfile"));
 
-    if (storedProfile) {
-      setProfile({
-        name: storedProfile.name || "User",
-        profilePic: storedProfile.profilePic || "",
-        role: storedProfile.role || (isAdminPortal ? "admin" : "user"), // Ensure role is set
-      });
-    }
-  }, [location.pathname]); // Re-run when path changes
+    setProfile({
+      name: user?.fullName || "User",
+      profilePic: storedProfile?.profilePic || "",
+      role: user?.role || (isAdminPortal ? "admin" : "user"), // Ensure role is set
+    });
+  }, [location.pathname, user]); // Re-run when path or signed-in user changes
 
   // Close dropdowns when clicking outside
   useEffect(() => {
@@ -110,6 +109,9 @@ const Navbar = () => {
       {/* Only show navigation elements if user is authenticated */}
       {isAuthenticated && (
         <div className="flex items-center gap-4">
+          {/* Organization Switcher (Hidden on Landing/Login/Signup) */}
+          {!hideProfileRoutes.includes(location.pathname) && <OrgSwitcher />}
+
           {/* Task List Button (Hidden on Landing/Login/Signup) */}
           {!hideProfileRoutes.includes(location.pathname) && (
             <div className="relative" ref={taskListRef}>
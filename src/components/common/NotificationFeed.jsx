@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from "react";
+import { fetchNotifications, markNotificationRead } from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+
+/**
+ * NotificationFeed Component
+ *
+ * The signed-in user's in-app notifications from the server, e.g. registration
+ * approvals, for the current organization. Unread ones are highlighted until clicked.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+const NotificationFeed = () => {
+  const { currentOrg } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const orgId = currentOrg?.id;
+
+  // Reloaded after switching organizations
+  useEffect(() => {
+    fetchNotifications()
+      .then(setNotifications)
+      .catch((err) => console.error("Error fetching notifications:", err));
+  }, [orgId]);
+
+  const markRead = async (notification) => {
+    if (notification.read) return;
+    try {
+      const updated = await markNotificationRead(notification._id);
+      setNotifications((prev) => prev.map((n) => (n._id === updated._id ? updated : n)));
+    } catch (err) {
+      console.error("Error marking notification read:", err);
+    }
+  };
+
+  if (notifications.length === 0) return null;
+
+  return (
+    <ul className="space-y-3">
+      {notifications.map((notification) => (
+        <li
+          key={notification._id}
+          onClick={() => markRead(notification)}
+          className={`p-4 border-l-4 rounded shadow-sm text-gray-800 cursor-pointer ${
+            notification.read ? "bg-gray-50 border-gray-300" : "bg-blue-50 border-blue-500"
+          }`}
+        >
+          <p>{notification.message}</p>
+          <p className="text-xs text-gray-500 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default NotificationFeed;
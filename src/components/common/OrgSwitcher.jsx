@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useRef } from "react";
+import { FaBuilding, FaCheck, FaPlus } from "react-icons/fa";
+import { useAuth } from "../../contexts/AuthContext";
+import { fetchOrganizations, createOrganization } from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
+import { homePathFor } from "../../utils/permissions";
+
+/**
+ * Navbar dropdown listing the user's organizations. Switching reloads the app
+ * on the home page for the user's permissions in the new organization, so no page
+ * keeps showing data of the previous tenant.
+ */
+const OrgSwitcher = () => {
+  const { currentOrg, switchOrganization, can } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [orgs, setOrgs] = useState([]);
+  const [newOrgName, setNewOrgName] = useState("");
+  const [error, setError] = useState(null);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    fetchOrganizations()
+      .then(setOrgs)
+      .catch((err) => {
+        console.error("Error loading organizations:", err);
+        setError("Failed to load organizations.");
+      });
+  }, [open]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (ref.current && !ref.current.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const handleSwitch = async (org) => {
+    if (org.current) return setOpen(false);
+    try {
+      const permissions = await switchOrganization(org.id);
+      window.location.assign(homePathFor(permissions));
+    } catch (err) {
+      console.error("Error switching organization:", err);
+      setError(apiErrorMessage(err, "Failed to switch organization."));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newOrgName.trim()) return;
+    try {
+      const created = await createOrganization(newOrgName.trim());
+      setOrgs((prev) => [...prev, created]);
+      setNewOrgName("");
+    } catch (err) {
+      console.error("Error creating organization:", err);
+      setError(apiErrorMessage(err, "Failed to create organization."));
+    }
+  };
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center bg-white text-blue-600 font-medium px-4 py-2 rounded-lg shadow-md
+                   hover:bg-blue-700 hover:text-white transition-all focus:outline-none mr-2"
+      >
+        <FaBuilding className="text-xl mr-2" />
+        <span>{currentOrg?.name || "Organization"}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-white shadow-lg rounded-lg overflow-hidden z-10 text-gray-700">
+          <ul>
+            {orgs.map((org) => (
+              <li key={org.id}>
+                <button
+                  onClick={() => handleSwitch(org)}
+                  className="flex items-center justify-between w-full text-left px-4 py-2 hover:bg-gray-200 transition"
+                >
+                  <span>
+                    {org.name} <span className="text-xs text-gray-500">({org.role})</span>
+                  </span>
+                  {org.current && <FaCheck className="text-blue-600" />}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {can("org.create") && (
+            <form onSubmit={handleCreate} className="flex gap-2 p-2 border-t">
+              <input
+                type="text"
+                value={newOrgName}
+                onChange={(e) => setNewOrgName(e.target.value)}
+                placeholder="New organization"
+                className="flex-1 min-w-0 p-1 border rounded text-sm"
+              />
+              <button type="submit" className="p-2 text-blue-600 hover:text-blue-800" aria-label="Create organization">
+                <FaPlus />
+              </button>
+            </form>
+          )}
+
+          {error && <p className="px-4 py-2 text-sm text-red-600" role="alert">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrgSwitcher;
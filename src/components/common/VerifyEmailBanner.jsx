@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { FaEnvelope } from "react-icons/fa";
+import { useAuth } from "../../contexts/AuthContext";
+import { resendVerificationEmail } from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
+
+/**
+ * VerifyEmailBanner Component
+ *
+ * Reminds signed-in users who haven't confirmed their email yet, and can send
+ * them a new link. Until then they can't be assigned tasks or added to other
+ * organizations.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    setError(null);
+    try {
+      const result = await resendVerificationEmail();
+      setMessage(result.message);
+    } catch (err) {
+      console.error("Error resending verification email:", err);
+      setError(apiErrorMessage(err, "Failed to send a new link."));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-100 text-yellow-900 px-4 py-2 text-sm flex flex-wrap items-center gap-2" role="status">
+      <FaEnvelope aria-hidden="true" />
+      <span>
+        Confirm your email address with the link we sent to {user.email}. Until then, others can't assign you tasks.
+      </span>
+      {message ? (
+        <span className="font-medium">{message}</span>
+      ) : (
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={sending}
+          className="underline font-medium hover:text-yellow-700 disabled:opacity-50"
+        >
+          {sending ? "Sending..." : "Send a new link"}
+        </button>
+      )}
+      {error && <span className="text-red-700">{error}</span>}
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,173 @@
+/**
+ * BoardSettings Component
+ *
+ * Edits the columns of a board: add, rename, recolor, reorder and remove
+ * statuses, set their workflow category and WIP limit, and choose whether
+ * exceeding a limit only warns or blocks the move. Changes are saved as one
+ * workflow update; the server rejects removing a column that still holds cards.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from "react";
+import { FaArrowUp, FaArrowDown, FaTrash, FaPlus } from "react-icons/fa";
+import Modal from "../common/Modal";
+import { CATEGORY_LABELS, apiErrorMessage } from "../../utils/workflow";
+
+// Status keys are immutable slugs; new columns derive one from their first name
+const slugify = (name) =>
+  name.toLowerCase().trim().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "column";
+
+const uniqueKey = (name, columns) => {
+  const base = slugify(name);
+  let key = base;
+  for (let n = 2; columns.some((column) => column.key === key); n++) key = `${base}_${n}`;
+  return key;
+};
+
+const BoardSettings = ({ isOpen, board, onClose, onSave }) => {
+  const [columns, setColumns] = useState([]);
+  const [wipEnforcement, setWipEnforcement] = useState("warn");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the saved definition every time the dialog opens
+  useEffect(() => {
+    if (!isOpen || !board) return;
+    setColumns(board.statuses.map((status) => ({ ...status, isNew: false })));
+    setWipEnforcement(board.wipEnforcement || "warn");
+    setError(null);
+  }, [isOpen, board]);
+
+  const updateColumn = (index, changes) =>
+    setColumns((prev) => prev.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+
+  const moveColumn = (index, offset) =>
+    setColumns((prev) => {
+      const next = [...prev];
+      const [column] = next.splice(index, 1);
+      next.splice(index + offset, 0, column);
+      return next;
+    });
+
+  const addColumn = () =>
+    setColumns((prev) => [
+      ...prev,
+      { key: "", name: "", category: "in_progress", color: "#9CA3AF", wipLimit: null, isNew: true },
+    ]);
+
+  const removeColumn = (index) => setColumns((prev) => prev.filter((_, i) => i !== index));
+
+  const handleSave = async () => {
+    const statuses = [];
+    const saved = columns.filter((column) => !column.isNew);
+    for (const column of columns) {
+      const name = column.name.trim();
+      if (!name) return setError("Every column needs a name.");
+      const key = column.isNew ? uniqueKey(name, [...saved, ...statuses]) : column.key;
+      statuses.push({ key, name, category: column.category, color: column.color, wipLimit: column.wipLimit });
+    }
+
+    // Keep the rest of the workflow consistent with the columns that remain
+    const keys = statuses.map((status) => status.key);
+    const transitions = board.transitions.filter((t) => keys.includes(t.from) && keys.includes(t.to));
+    const initialStatus = keys.includes(board.initialStatus) ? board.initialStatus : keys[0];
+
+    setSaving(true);
+    try {
+      await onSave({ statuses, transitions, initialStatus, wipEnforcement });
+      onClose();
+    } catch (err) {
+      console.error("Error saving board columns:", err);
+      setError(apiErrorMessage(err, "Failed to save the columns."));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} title="Board columns" onClose={onClose}>
+      <div className="space-y-3">
+        {columns.map((column, index) => (
+          <div key={column.key || `new-${index}`} className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 rounded">
+            <input
+              type="color"
+              value={column.color}
+              onChange={(e) => updateColumn(index, { color: e.target.value })}
+              className="w-8 h-8 rounded cursor-pointer"
+              aria-label="Column color"
+            />
+            <input
+              type="text"
+              value={column.name}
+              onChange={(e) => updateColumn(index, { name: e.target.value })}
+              placeholder="Column name"
+              className="flex-1 min-w-[120px] p-2 border rounded"
+            />
+            <select
+              value={column.category}
+              onChange={(e) => updateColumn(index, { category: e.target.value })}
+              className="p-2 border rounded"
+              aria-label="Counts as"
+            >
+              {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={column.wipLimit ?? ""}
+              onChange={(e) => updateColumn(index, { wipLimit: e.target.value ? Number.parseInt(e.target.value, 10) : null })}
+              placeholder="WIP"
+              className="w-20 p-2 border rounded"
+              aria-label="WIP limit"
+            />
+            <button onClick={() => moveColumn(index, -1)} disabled={index === 0} className="p-2 text-gray-600 disabled:opacity-30" aria-label="Move up">
+              <FaArrowUp />
+            </button>
+            <button onClick={() => moveColumn(index, 1)} disabled={index === columns.length - 1} className="p-2 text-gray-600 disabled:opacity-30" aria-label="Move down">
+              <FaArrowDown />
+            </button>
+            <button onClick={() => removeColumn(index)} disabled={columns.length === 1} className="p-2 text-red-600 disabled:opacity-30" aria-label="Remove column">
+              <FaTrash />
+            </button>
+          </div>
+        ))}
+
+        <button onClick={addColumn} className="flex items-center text-blue-600 hover:text-blue-800 font-medium">
+          <FaPlus className="mr-2" /> Add column
+        </button>
+
+        <div className="flex items-center gap-2 pt-2 border-t">
+          <label htmlFor="wip-enforcement" className="text-gray-700">When a drop would exceed a WIP limit:</label>
+          <select
+            id="wip-enforcement"
+            value={wipEnforcement}
+            onChange={(e) => setWipEnforcement(e.target.value)}
+            className="p-2 border rounded"
+          >
+            <option value="warn">Warn</option>
+            <option value="block">Block the move</option>
+          </select>
+        </div>
+
+        {error && <p className="text-red-600" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 rounded border">Cancel</button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default BoardSettings;
@@ -0,0 +1,119 @@
+/**
+ * LegacyTaskImport Component
+ *
+ * Runs once after login: if the browser still holds tasks in the old
+ * localStorage.tasks key, they are normalized, uploaded through the bulk
+ * import endpoint and the key is cleared. A reconciliation report lists
+ * which records were imported (and what was changed) and which were skipped.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { FaCheckCircle, FaExclamationTriangle } from "react-icons/fa";
+import { useAuth } from "../../contexts/AuthContext";
+import { importTasks } from "../../api";
+import { notifyTasksChanged } from "../../hooks/useTasks";
+import { readLegacyTasks, clearLegacyTasks, prepareLegacyImport } from "../../utils/legacyTasks";
+import Modal from "../common/Modal";
+
+const LegacyTaskImport = () => {
+  const { isAuthenticated } = useAuth();
+  const [report, setReport] = useState(null);
+  const runningRef = useRef(false);
+
+  useEffect(() => {
+    if (!isAuthenticated || runningRef.current) return;
+
+    const records = readLegacyTasks();
+    if (!records) return;
+
+    runningRef.current = true;
+
+    const migrate = async () => {
+      const { tasks, mapped, skipped } = prepareLegacyImport(records);
+
+      try {
+        const result = tasks.length > 0 ? await importTasks(tasks) : { imported: [], skipped: [] };
+
+        // Server results are indexed by position in the uploaded batch
+        const rejected = new Map(result.skipped.map((entry) => [entry.index, entry.reason]));
+        const imported = mapped.filter((entry) => !rejected.has(entry.batchIndex));
+        const serverSkipped = mapped
+          .filter((entry) => rejected.has(entry.batchIndex))
+          .map((entry) => ({ index: entry.index, title: entry.title, reason: rejected.get(entry.batchIndex) }));
+
+        clearLegacyTasks();
+        notifyTasksChanged();
+        setReport({ imported, skipped: [...skipped, ...serverSkipped], error: null });
+      } catch (err) {
+        // Leave the legacy key in place so the import is retried on the next login
+        console.error("Legacy task import failed:", err);
+        setReport({ imported: [], skipped: [], error: "Your saved tasks could not be uploaded. We'll try again next time you log in." });
+      } finally {
+        runningRef.current = false;
+      }
+    };
+
+    migrate();
+  }, [isAuthenticated]);
+
+  if (!report) return null;
+
+  return (
+    <Modal isOpen title="Imported your saved tasks" onClose={() => setReport(null)}>
+      {report.error ? (
+        <p className="text-red-600 flex items-center" role="alert">
+          <FaExclamationTriangle className="mr-2" aria-hidden="true" />
+          {report.error}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-gray-700">
+            {report.imported.length} task(s) moved to your account, {report.skipped.length} skipped.
+          </p>
+
+          {report.imported.length > 0 && (
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-2">Imported</h3>
+              <ul className="space-y-2">
+                {report.imported.map((entry) => (
+                  <li key={entry.index} className="p-2 bg-green-50 rounded">
+                    <div className="flex items-center font-medium">
+                      <FaCheckCircle className="text-green-600 mr-2" aria-hidden="true" />
+                      {entry.title}
+                    </div>
+                    {entry.notes.length > 0 && (
+                      <ul className="ml-6 mt-1 text-xs text-gray-600 list-disc list-inside">
+                        {entry.notes.map((note) => (
+                          <li key={note}>{note}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.skipped.length > 0 && (
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-2">Skipped</h3>
+              <ul className="space-y-2">
+                {report.skipped.map((entry) => (
+                  <li key={entry.index} className="p-2 bg-yellow-50 rounded text-sm">
+                    <span className="font-medium">{entry.title}</span>
+                    <span className="text-gray-600"> — {entry.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default LegacyTaskImport;
@@ -3,14 +3,14 @@
  * 
  * A comprehensive task filtering component that allows users to filter tasks
  * by completion status and search by title. Implements real-time filtering
- * with localStorage integration for persistent data access.
+ * over the tasks loaded from the /api/tasks endpoints.
  * 
  * Features:
  * - Filter tasks by completion status (All/Complete/Incomplete)
  * - Search tasks by title with real-time results
  * - Responsive design with mobile optimization
  * - Accessibility support with ARIA attributes
- * - Integration with localStorage for data persistence
+ * - Stays in sync with task changes made elsewhere in the app
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
@@ -18,13 +18,13 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { FaSearch, FaFilter, FaSpinner, FaExclamationTriangle, FaTasks } from 'react-icons/fa';
+import { useTasks } from '../../hooks/useTasks';
+import { isDone } from '../../utils/workflow';
 
 const TaskFilter = () => {
   // State management with proper initialization
-  const [tasks, setTasks] = useState([]);
+  const { tasks, loading, error } = useTasks();
   const [filteredTasks, setFilteredTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     status: 'all',
     search: ''
@@ -35,76 +35,14 @@ const TaskFilter = () => {
     incomplete: 0
   });
 
-  /**
-   * Load tasks from localStorage
-   * Uses localStorage for cross-component data sharing
-   */
-  useEffect(() => {
-    const loadTasks = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Get tasks from localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          
-          // Apply initial filtering
-          applyFilters(parsedTasks, filters);
-          
-          // Calculate counts
-          updateCounts(parsedTasks);
-        } else {
-          // Initialize with empty array if no tasks exist
-          setTasks([]);
-          setFilteredTasks([]);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          applyFilters(updatedTasks, filters);
-          updateCounts(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
-
   /**
    * Update task counts by status
    * 
    * @param {Array} taskList - List of tasks to count
    */
   const updateCounts = (taskList) => {
-    const completeTasks = taskList.filter(task => task.status === 'complete').length;
-    const incompleteTasks = taskList.filter(task => task.status === 'incomplete').length;
+    const completeTasks = taskList.filter(isDone).length;
+    const incompleteTasks = taskList.length - completeTasks;
     
     setCounts({
       all: taskList.length,
@@ -123,9 +61,10 @@ const TaskFilter = () => {
   const applyFilters = useCallback((taskList, filterSettings) => {
     let result = [...taskList];
     
-    // Apply status filter
+    // Apply status filter: "complete" means any status the task's workflow counts as done
     if (filterSettings.status !== 'all') {
-      result = result.filter(task => task.status === filterSettings.status);
+      const wantDone = filterSettings.status === 'complete';
+      result = result.filter(task => isDone(task) === wantDone);
     }
     
     // Apply search filter
@@ -140,6 +79,14 @@ const TaskFilter = () => {
     setFilteredTasks(result);
   }, []);
 
+  /**
+   * Re-apply filters and counts whenever the task list is reloaded from the API
+   */
+  useEffect(() => {
+    applyFilters(tasks, filters);
+    updateCounts(tasks);
+  }, [tasks]);
+
   /**
    * Handle filter changes
    * 
@@ -255,29 +202,29 @@ const TaskFilter = () => {
             <li key={task._id} className="py-4">
               <div className="flex items-start justify-between">
                 <div className="flex-1 min-w-0">
-                  <h3 className={`text-lg font-medium ${task.status === 'complete' ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+                  <h3 className={`text-lg font-medium ${isDone(task) ? 'line-through text-gray-500' : 'text-gray-900'}`}>
                     {task.title}
                   </h3>
-                  <p className={`mt-1 text-sm ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <p className={`mt-1 text-sm ${isDone(task) ? 'text-gray-400' : 'text-gray-600'}`}>
                     {task.description}
                   </p>
                   <div className="mt-2 flex flex-wrap gap-2">
                     <span 
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        task.status === 'complete' 
+                        isDone(task) 
                           ? 'bg-green-100 text-green-800' 
                           : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
-                      {task.status === 'complete' ? 'Complete' : 'Incomplete'}
+                      {isDone(task) ? 'Complete' : 'Incomplete'}
                     </span>
                     
                     {task.priority && (
                       <span 
                         className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                          task.priority === 'high' 
+                          task.priority.toLowerCase() === 'high' 
                             ? 'bg-red-100 text-red-800' 
-                            : task.priority === 'medium'
+                            : task.priority.toLowerCase() === 'medium'
                               ? 'bg-yellow-100 text-yellow-800'
                               : 'bg-green-100 text-green-800'
                         }`}
@@ -2,159 +2,53 @@
  * TaskList Component
  * 
  * A comprehensive task management component that displays tasks in a dropdown from the navbar.
- * Implements full CRUD functionality with localStorage persistence for data sharing between components.
+ * Implements full CRUD functionality backed by the /api/tasks endpoints.
  * 
  * Features:
  * - Displays task title, description, status, priority, and due date
  * - Allows marking tasks as complete/incomplete
  * - Provides task editing capability with validation
- * - Implements localStorage for persistent storage and cross-component data sharing
+ * - Persists changes to the server and keeps other task views in sync
  * - Includes loading, error, and empty states with appropriate UI feedback
  * 
  * @author Senior Full-Stack Engineer
- * @version 1.1.0
+ * @version 1.2.0
  */
 
 import React, { useState, useEffect } from 'react';
 import { FaCheck, FaEdit, FaSpinner, FaExclamationTriangle, FaCalendarAlt, FaFlag } from 'react-icons/fa';
+import { useTasks } from '../../hooks/useTasks';
+import { isDone, apiErrorMessage } from '../../utils/workflow';
 
 const TaskList = () => {
   // State management with proper initialization
-  const [tasks, setTasks] = useState([]);
+  const { tasks, loading, error, editTask, moveTask } = useTasks();
   const [filteredTasks, setFilteredTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
   const [editForm, setEditForm] = useState({ title: '', description: '' });
 
-  /**
-   * Load tasks from localStorage or initialize with mock data
-   * Uses localStorage for cross-component data sharing
-   */
+  // Keep the filtered view in sync with whatever the API last returned
   useEffect(() => {
-    const loadTasks = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Check for existing tasks in localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          // Parse and use stored tasks
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          setFilteredTasks(parsedTasks);
-        } else {
-          // Initialize with mock data if no stored tasks exist
-          const mockTasks = [
-            {
-              _id: '1',
-              title: 'Complete project documentation',
-              description: 'Write comprehensive documentation for the TaskFlow project',
-              status: 'incomplete',
-              priority: 'high',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date().toISOString()
-            },
-            {
-              _id: '2',
-              title: 'Fix navigation bug',
-              description: 'Address the issue with sidebar navigation on mobile devices',
-              status: 'complete',
-              priority: 'medium',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date(Date.now() - 86400000).toISOString()
-            },
-            {
-              _id: '3',
-              title: 'Implement user feedback',
-              description: 'Add the user feedback form to the dashboard',
-              status: 'incomplete',
-              priority: 'low',
-              dueDate: new Date(Date.now() + 86400000).toISOString(),
-              createdAt: new Date(Date.now() - 172800000).toISOString()
-            },
-            {
-              _id: '4',
-              title: 'Update dependencies',
-              description: 'Update all npm packages to their latest versions',
-              status: 'incomplete',
-              priority: 'medium',
-              dueDate: new Date(Date.now() + 172800000).toISOString(),
-              createdAt: new Date(Date.now() - 259200000).toISOString()
-            }
-          ];
-          
-          // Store mock tasks in localStorage for persistence
-          localStorage.setItem('tasks', JSON.stringify(mockTasks));
-          
-          setTasks(mockTasks);
-          setFilteredTasks(mockTasks);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          setFilteredTasks(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
+    setFilteredTasks(tasks);
+  }, [tasks]);
 
   /**
    * Toggle task completion status
-   * Updates both component state and localStorage
+   * Persists the change through the tasks API
    * 
    * @param {string} taskId - ID of the task to update
    */
-  const handleStatusChange = (taskId) => {
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            status: task.status === 'complete' ? 'incomplete' : 'complete',
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    setFilteredTasks(updatedTasks);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+  const handleStatusChange = async (taskId) => {
+    const task = tasks.find(t => t._id === taskId);
+    if (!task) return;
+
+    // Completing moves the task to a "done" status of its workflow, reopening to a "todo" one
+    try {
+      await moveTask(taskId, { category: isDone(task) ? 'todo' : 'done' });
+    } catch (err) {
+      console.error('Error updating task status:', err);
+      alert(apiErrorMessage(err, 'Failed to update task status.'));
+    }
   };
 
   /**
@@ -185,42 +79,24 @@ const TaskList = () => {
 
   /**
    * Save edited task
-   * Updates both component state and localStorage
+   * Persists the change through the tasks API
    * 
    * @param {string} taskId - ID of the task being edited
    */
-  const saveTask = (taskId) => {
+  const saveTask = async (taskId) => {
     // Form validation
     if (!editForm.title.trim()) {
       alert('Task title cannot be empty');
       return;
     }
     
-    // Update task with edited values
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            title: editForm.title, 
-            description: editForm.description,
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    setFilteredTasks(updatedTasks);
-    setEditingTask(null);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+    try {
+      await editTask(taskId, { title: editForm.title, description: editForm.description });
+      setEditingTask(null);
+    } catch (err) {
+      console.error('Error saving task:', err);
+      alert('Failed to save task. Please try again.');
+    }
   };
 
   /**
@@ -359,19 +235,19 @@ const TaskList = () => {
               // Task display
               <div>
                 <div className="flex justify-between items-start">
-                  <h4 className={`font-medium ${task.status === 'complete' ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                  <h4 className={`font-medium ${isDone(task) ? 'line-through text-gray-500' : 'text-gray-800'}`}>
                     {task.title}
                   </h4>
                   <div className="flex space-x-2">
                     <button
                       onClick={() => handleStatusChange(task._id)}
                       className={`p-1 rounded ${
-                        task.status === 'complete' 
+                        isDone(task) 
                           ? 'bg-green-100 text-green-600' 
                           : 'bg-gray-100 text-gray-600'
                       } hover:opacity-80 transition-opacity`}
-                      title={task.status === 'complete' ? 'Mark as incomplete' : 'Mark as complete'}
-                      aria-label={task.status === 'complete' ? 'Mark as incomplete' : 'Mark as complete'}
+                      title={isDone(task) ? 'Mark as incomplete' : 'Mark as complete'}
+                      aria-label={isDone(task) ? 'Mark as incomplete' : 'Mark as complete'}
                     >
                       <FaCheck aria-hidden="true" />
                     </button>
@@ -386,7 +262,7 @@ const TaskList = () => {
                   </div>
                 </div>
                 
-                <p className={`text-sm mt-1 ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
+                <p className={`text-sm mt-1 ${isDone(task) ? 'text-gray-400' : 'text-gray-600'}`}>
                   {task.description}
                 </p>
                 
@@ -394,14 +270,14 @@ const TaskList = () => {
                   <div className="flex flex-wrap gap-2">
                     <span 
                       className={`text-xs px-2 py-1 rounded flex items-center ${
-                        task.status === 'complete' 
+                        isDone(task) 
                           ? 'bg-green-100 text-green-800' 
                           : 'bg-yellow-100 text-yellow-800'
                       }`}
-                      aria-label={`Status: ${task.status}`}
+                      aria-label={`Status: ${isDone(task) ? 'Complete' : 'Incomplete'}`}
                     >
                       <FaCheck className="mr-1" aria-hidden="true" />
-                      {task.status === 'complete' ? 'Complete' : 'Incomplete'}
+                      {isDone(task) ? 'Complete' : 'Incomplete'}
                     </span>
                     
                     {task.priority && (
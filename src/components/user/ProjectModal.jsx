@@ -0,0 +1,208 @@
+/**
+ * ProjectModal Component
+ *
+ * Creates a project, or edits one: name, description and color, plus its
+ * member list. Only the project owner (or someone allowed to manage every
+ * project) can change a project; everyone else sees it read-only and can
+ * leave it.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from "react";
+import { FaTrash, FaUserPlus } from "react-icons/fa";
+import Modal from "../common/Modal";
+import { useAuth } from "../../contexts/AuthContext";
+import { useProjects } from "../../hooks/useProjects";
+import { apiErrorMessage } from "../../utils/workflow";
+
+const EMPTY_FORM = { name: "", description: "", color: "#3B82F6" };
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is shown
+ * @param {Object|null} props.project - Project to edit, or null to create one
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ */
+const ProjectModal = ({ isOpen, project, onClose }) => {
+  const { user, can } = useAuth();
+  const { createProject, updateProject, deleteProject, addMember, removeMember } = useProjects();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [memberEmail, setMemberEmail] = useState("");
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(project ? { name: project.name, description: project.description, color: project.color } : EMPTY_FORM);
+    setMemberEmail("");
+    setError(null);
+  }, [isOpen, project]);
+
+  const isOwner = !project || project.owner?.email === user?.email || can("project.manage");
+
+  // Runs a request, keeping the modal open with the server's message on failure
+  const run = async (action, fallback) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(fallback, err);
+      setError(apiErrorMessage(err, fallback));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return setError("Project name is required.");
+
+    const saved = await run(
+      () => (project ? updateProject(project.id, form) : createProject(form)),
+      "Failed to save the project."
+    );
+    if (saved) onClose();
+  };
+
+  const handleAddMember = async () => {
+    if (!memberEmail.trim()) return;
+    const added = await run(() => addMember(project.id, memberEmail.trim()), "Failed to add the member.");
+    if (added) setMemberEmail("");
+  };
+
+  const handleRemoveMember = (member) => run(() => removeMember(project.id, member._id), "Failed to remove the member.");
+
+  const handleLeave = async () => {
+    const memberSelf = project.members.find((member) => member.email === user?.email);
+    if (memberSelf && (await run(() => removeMember(project.id, memberSelf._id), "Failed to leave the project."))) onClose();
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete project "${project.name}"?`)) return;
+    const deleted = await run(() => deleteProject(project.id), "Failed to delete the project.");
+    if (deleted) onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} title={project ? "Project settings" : "New project"} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex gap-3 items-end">
+          <div className="flex-1">
+            <label htmlFor="project-name" className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              id="project-name"
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              disabled={!isOwner}
+              className="w-full p-2 border rounded"
+              required
+            />
+          </div>
+          <input
+            type="color"
+            value={form.color}
+            onChange={(e) => setForm({ ...form, color: e.target.value })}
+            disabled={!isOwner}
+            className="w-10 h-10 rounded cursor-pointer"
+            aria-label="Project color"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="project-description" className="block text-sm font-medium text-gray-700">Description</label>
+          <textarea
+            id="project-description"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            disabled={!isOwner}
+            className="w-full p-2 border rounded"
+          />
+        </div>
+
+        {project && (
+          <div>
+            <h3 className="font-semibold text-gray-800 mb-2">Members</h3>
+            <ul className="space-y-1 mb-2">
+              <li className="text-sm text-gray-700">
+                {project.owner?.fullName} <span className="text-gray-500">({project.owner?.email}) · owner</span>
+              </li>
+              {project.members.map((member) => (
+                <li key={member._id} className="flex items-center justify-between text-sm text-gray-700">
+                  <span>
+                    {member.fullName} <span className="text-gray-500">({member.email})</span>
+                  </span>
+                  {isOwner && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveMember(member)}
+                      className="text-red-600 hover:text-red-800"
+                      aria-label={`Remove ${member.fullName}`}
+                    >
+                      <FaTrash />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {isOwner && (
+              <div className="flex gap-2">
+                <input
+                  type="email"
+                  value={memberEmail}
+                  onChange={(e) => setMemberEmail(e.target.value)}
+                  placeholder="Member email"
+                  className="flex-1 p-2 border rounded"
+                />
+                <button
+                  type="button"
+                  onClick={handleAddMember}
+                  disabled={saving}
+                  className="flex items-center px-3 py-2 rounded bg-gray-100 hover:bg-gray-200"
+                >
+                  <FaUserPlus className="mr-2" /> Add
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-red-600" role="alert">{error}</p>}
+
+        <div className="flex justify-between">
+          <div>
+            {project && isOwner && (
+              <button type="button" onClick={handleDelete} className="px-4 py-2 rounded text-red-600 hover:bg-red-50">
+                Delete project
+              </button>
+            )}
+            {project && !isOwner && (
+              <button type="button" onClick={handleLeave} className="px-4 py-2 rounded text-red-600 hover:bg-red-50">
+                Leave project
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="px-4 py-2 rounded border">Cancel</button>
+            {isOwner && (
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? "Saving..." : project ? "Save" : "Create"}
+              </button>
+            )}
+          </div>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ProjectModal;
@@ -1,21 +1,23 @@
 /**
  * Authentication Context
- * 
+ *
  * Provides authentication state and methods throughout the application.
  * Implements JWT-based authentication with secure storage and proper state management.
- * 
+ *
  * Features:
- * - User authentication state management
+ * - User authentication state management, loaded from GET /api/auth/me
  * - Login/logout functionality
- * - Token persistence
+ * - Token persistence, with access tokens renewed through refresh tokens (see utils/api.js)
  * - Role-based access control support
- * 
+ *
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
-import React, { createContext, useState, useContext, useEffect } from "react";
-import axios from "axios";
+import React, { createContext, useState, useContext, useEffect, useCallback } from "react";
+import { api, storeTokens, clearTokens, hasSession, AUTH_EXPIRED_EVENT } from "../utils/api";
+import { homePathFor } from "../utils/permissions";
+import { requestPasswordReset, acceptInvitation as acceptInvitationRequest } from "../api";
 
 // Create the authentication context
 const AuthContext = createContext();
@@ -31,87 +33,147 @@ export const useAuth = () => {
 /**
  * Authentication Provider Component
  * Manages authentication state and provides methods to login, logout, etc.
- * 
+ *
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  */
 const AuthProvider = ({ children }) => {
   /**
-   * Initialize user state from localStorage if available
-   * This ensures authentication persists across page refreshes
+   * The signed-in user as the server describes them:
+   * { id, fullName, email, emailVerified, role, permissions, preferences, org: { id, name } }.
+   * Null until GET /api/auth/me confirms the stored token.
    */
-  const [user, setUser] = useState(() => {
-    const token = localStorage.getItem("token");
-    const email = localStorage.getItem("email");
-    
-    return token && email ? { email } : null;
-  });
-  
+  const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const BACKEND_URL = "http://localhost:5000";
 
   /**
-   * Effect to check token validity on mount
-   * In a production app, this would verify the token with the backend
+   * Handles user logout
+   * Ends the session on the server, so its tokens stop working, and clears
+   * authentication data
+   */
+  const handleLogout = useCallback(async () => {
+    if (hasSession()) {
+      // With cookies the server finds the session from its refresh cookie
+      const refreshToken = localStorage.getItem("refreshToken");
+      await api
+        .post("/api/auth/logout", refreshToken ? { refreshToken } : {})
+        .catch((err) => console.error("Failed to end the session:", err));
+    }
+
+    clearTokens();
+    setUser(null);
+    setError(null);
+  }, []);
+
+  /**
+   * Loads the signed-in user with the stored token. A token the server refuses,
+   * even after a refresh, means the session is over and logs out cleanly.
+   * @returns {Promise<Object|null>} The user, or null when not signed in
+   */
+  const loadUser = useCallback(async () => {
+    try {
+      const response = await api.get("/api/auth/me");
+      storeTokens(response.data);
+      setUser(response.data);
+      return response.data;
+    } catch (err) {
+      console.error("Failed to load the signed-in user:", err);
+      if (err.response?.status === 401) handleLogout();
+      throw err;
+    }
+  }, [handleLogout]);
+
+  /**
+   * Effect to validate the stored token with the server on mount
    */
   useEffect(() => {
     const checkAuth = async () => {
       try {
-        const token = localStorage.getItem("token");
-        
-        if (token) {
-          // In a real app, we would validate the token with the server
-          // For this demo, we'll just check if it exists
-          const email = localStorage.getItem("email");
-          
-          if (email) {
-            setUser({ email });
-          } else {
-            // If email is missing but token exists, something is wrong
-            // Clear authentication data
-            handleLogout();
-          }
-        }
-      } catch (error) {
-        console.error("Authentication check failed:", error);
-        handleLogout();
+        if (hasSession()) await loadUser();
+      } catch (err) {
+        // Logged out above if the session is over; otherwise the server is
+        // unreachable and the tokens are kept for the next attempt
+        console.error("Authentication check failed:", err);
       } finally {
         setLoading(false);
       }
     };
-    
+
     checkAuth();
-  }, []);
+  }, [loadUser]);
+
+  /**
+   * Effect to sign out locally once the session can't be refreshed any more,
+   * e.g. after it was revoked or ran out
+   */
+  useEffect(() => {
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleLogout);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleLogout);
+  }, [handleLogout]);
+
+  /**
+   * Switches to another organization the user belongs to. The server issues
+   * new tokens scoped to it.
+   * @param {string} orgId - Organization to switch to
+   * @returns {Promise<string[]>} The user's permissions in that organization
+   */
+  const switchOrganization = async (orgId) => {
+    const response = await api.post("/api/orgs/switch", { orgId });
+    storeTokens(response.data);
+    const switched = await loadUser();
+    return switched.permissions;
+  };
 
   /**
    * Handles user login
    * @param {string} email - User's email
    * @param {string} password - User's password
-   * @returns {Promise<Object>} User data
+   * @returns {Promise<Object>} User data, or { twoFactorRequired, challenge } when a
+   *   code from the authenticator app is needed (see verifyTwoFactor)
    */
   const login = async (email, password) => {
     try {
       setError(null);
-      const response = await axios.post(`${BACKEND_URL}/api/auth/login`, {
+      const response = await api.post("/api/auth/login", {
         email: email,
         password: password,
       });
 
-      if (response.data.token) {
-        // Generate a unique userId if not provided
-        const userId = response.data.userId || `user-${Date.now()}`;
-        
-        localStorage.setItem("token", response.data.token);
-        localStorage.setItem("email", email);
-        localStorage.setItem("userRole", response.data.role);
-        localStorage.setItem("userId", userId);
-        setUser({ email });
-        return { email };
+      if (response.data.twoFactorRequired) {
+        return { twoFactorRequired: true, challenge: response.data.challenge };
       }
+
+      storeTokens(response.data);
+      return await loadUser();
     } catch (error) {
       console.error("Login error:", error);
-      setError("Failed to login. Please check your credentials.");
+      // These carry a reason worth showing, e.g. an account awaiting approval or
+      // locked after too many failed attempts
+      setError(
+        [403, 423, 429].includes(error.response?.status)
+          ? error.response.data.message
+          : "Failed to login. Please check your credentials."
+      );
+      throw error;
+    }
+  };
+
+  /**
+   * Completes a login with two-factor authentication
+   * @param {string} challenge - Challenge returned by login
+   * @param {{ code?: string, recoveryCode?: string }} factor - Authenticator code or recovery code
+   * @returns {Promise<Object>} User data
+   */
+  const verifyTwoFactor = async (challenge, factor) => {
+    try {
+      setError(null);
+      const response = await api.post("/api/auth/login/2fa", { challenge, ...factor });
+      storeTokens(response.data);
+      return await loadUser();
+    } catch (error) {
+      console.error("Two-factor verification error:", error);
+      setError(error.response?.data?.message || "Failed to verify the code. Please try again.");
       throw error;
     }
   };
@@ -121,104 +183,63 @@ const AuthProvider = ({ children }) => {
    * @param {string} fullName - User's full name
    * @param {string} email - User's email
    * @param {string} password - User's password
-   * @param {string} role - User's role
-   * @returns {Promise<Object>} User data
+   * @param {string} role - Requested role; elevated roles need an admin's approval
+   * @returns {Promise<Object>} User data, or { pending, message } while awaiting approval
    */
   const signup = async (fullName, email, password, role) => {
     try {
       setError(null);
-      const response = await axios.post(`${BACKEND_URL}/api/auth/register`, {
+      const response = await api.post("/api/auth/register", {
         fullName: fullName,
         email: email,
         password: password,
         role: role,
       });
 
-      if (response.data.token) {
-        // Generate a unique userId if not provided
-        const userId = response.data.userId || `user-${Date.now()}`;
-        
-        localStorage.setItem("token", response.data.token);
-        localStorage.setItem("email", email);
-        localStorage.setItem("userRole", role);
-        localStorage.setItem("userId", userId);
-        setUser({ email });
-        return { email };
+      // Elevated roles wait for an admin's approval; no session until then
+      if (response.data.pending) {
+        return { pending: true, message: response.data.message };
       }
+
+      storeTokens(response.data);
+      return await loadUser();
     } catch (error) {
       console.error("Registration error:", error);
-      setError("Failed to create an account. Please try again.");
+      setError(error.response?.data?.message || "Failed to create an account. Please try again.");
       throw error;
     }
   };
 
   /**
-   * Handles user logout
-   * Clears authentication data but keeps userRole for dashboard panel display
+   * Handles password reset request: emails a reset link if the account exists
+   * @param {string} email - User's email
+   * @returns {Promise<Object>} { message } to show, the same for unknown emails
    */
-  const handleLogout = () => {
-    // Get user info before clearing
-    const email = localStorage.getItem("email");
-    const userRole = localStorage.getItem("userRole");
-    const userId = localStorage.getItem("userId");
-    const token = localStorage.getItem("token");
-    
-    // Create logout log entry
-    if (email && userRole) {
-      const logData = {
-        id: `logout-${Date.now()}`,
-        userId: userId || "unknown",
-        username: email,
-        role: userRole,
-        action: "logout",
-        loginTime: null,
-        logoutTime: new Date().toISOString(),
-        ipAddress: "127.0.0.1", // In production, this would be captured from the request
-        tokenName: token ? token.substring(0, 10) + "..." : "unknown"
-      };
-      
-      // Store logout logs in localStorage for admin view
-      const existingLogs = JSON.parse(localStorage.getItem('userLogs') || '[]');
-      existingLogs.push(logData);
-      localStorage.setItem('userLogs', JSON.stringify(existingLogs));
-      
-      console.log("User logout logged:", logData);
-    }
-    
-    // Clear authentication data from localStorage but keep userRole
-    localStorage.removeItem("token");
-    localStorage.removeItem("userId");
-    localStorage.removeItem("email");
-    // Note: userRole is kept for dashboard panel display
-    
-    // Reset user state
-    setUser(null);
-    setError(null);
-    
-    // In a real app, we might also invalidate the token on the server
-    console.log("User logged out - dashboard panel mode activated");
-  };
+  const resetPassword = (email) => requestPasswordReset(email);
 
   /**
-   * Handles password reset request
-   * @param {string} email - User's email
-   * @returns {Promise<void>}
+   * Accepts an invitation. A new account is signed in right away; an existing
+   * one joins the organization and switches to it on the next login.
+   * @param {string} token - Token from the invitation email
+   * @param {Object} [details] - { fullName, password } for a new account
+   * @returns {Promise<Object>} User data, or { existingAccount, message }
    */
-  const resetPassword = async (email) => {
-    // In a real app, this would make an API call
-    console.log("Password reset requested for:", email);
-    return Promise.resolve();
+  const acceptInvitation = async (token, details) => {
+    const result = await acceptInvitationRequest(token, details);
+    if (result.existingAccount) return result;
+
+    storeTokens(result);
+    return await loadUser();
   };
 
+  const permissions = user?.permissions || [];
+
   /**
    * Checks if the current user has a specific role
    * @param {string} requiredRole - Role to check for
    * @returns {boolean} Whether user has the required role
    */
-  const hasRole = (requiredRole) => {
-    const userRole = localStorage.getItem("userRole");
-    return userRole === requiredRole;
-  };
+  const hasRole = (requiredRole) => user?.role === requiredRole;
 
   /**
    * Context value with authentication state and methods
@@ -228,16 +249,20 @@ const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    verifyTwoFactor,
     signup,
+    acceptInvitation,
     logout: handleLogout,
     resetPassword,
     hasRole,
     isAdmin: () => hasRole("admin"),
-    isAuthenticated: !!user || !!localStorage.getItem("token"),
-    // Check if user is in dashboard panel mode (logged out but has role)
-    isDashboardPanelMode: !!(localStorage.getItem("userRole") && !localStorage.getItem("token")),
-    // Get current user role for dashboard panel
-    currentUserRole: localStorage.getItem("userRole") || null,
+    permissions,
+    can: (permission) => permissions.includes(permission),
+    homePath: () => homePathFor(permissions),
+    reloadUser: loadUser,
+    switchOrganization,
+    currentOrg: user?.org || null,
+    isAuthenticated: !!user,
   };
 
   return (
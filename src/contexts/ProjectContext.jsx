@@ -0,0 +1,124 @@
+/**
+ * Project Context
+ *
+ * Holds the projects the user belongs to and the one currently selected in the
+ * sidebar switcher. Task lists, filters, analytics and the Kanban board all read
+ * the selection from here, so switching projects rescopes every page at once.
+ *
+ * The selection is a project id, PERSONAL for tasks on the user's own board,
+ * or ALL_PROJECTS for everything the user can see.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useAuth } from "./AuthContext";
+import { ProjectContext } from "../hooks/useProjects";
+import {
+  fetchProjects,
+  createProject as createProjectRequest,
+  updateProject as updateProjectRequest,
+  deleteProject as deleteProjectRequest,
+  addProjectMember,
+  removeProjectMember,
+} from "../api";
+import { ALL_PROJECTS, PERSONAL } from "../utils/projects";
+
+const SELECTION_KEY = "currentProject";
+
+const ProjectProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentProjectId, setCurrentProjectIdState] = useState(
+    () => localStorage.getItem(SELECTION_KEY) || ALL_PROJECTS
+  );
+
+  const setCurrentProjectId = useCallback((id) => {
+    localStorage.setItem(SELECTION_KEY, id);
+    setCurrentProjectIdState(id);
+  }, []);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      setProjects(await fetchProjects());
+    } catch (err) {
+      console.error("Error loading projects:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) reload();
+    else setProjects([]);
+  }, [isAuthenticated, reload]);
+
+  // Fall back to all tasks when the stored project is gone or no longer shared
+  useEffect(() => {
+    if (loading || !isAuthenticated) return;
+    if (currentProjectId && currentProjectId !== PERSONAL && !projects.some((p) => p.id === currentProjectId)) {
+      setCurrentProjectId(ALL_PROJECTS);
+    }
+  }, [loading, isAuthenticated, projects, currentProjectId, setCurrentProjectId]);
+
+  const replaceProject = (updated) =>
+    setProjects((prev) => prev.map((project) => (project.id === updated.id ? updated : project)));
+
+  const createProject = async (project) => {
+    const created = await createProjectRequest(project);
+    setProjects((prev) => [...prev, created]);
+    setCurrentProjectId(created.id);
+    return created;
+  };
+
+  const updateProject = async (id, updates) => {
+    const updated = await updateProjectRequest(id, updates);
+    replaceProject(updated);
+    return updated;
+  };
+
+  const deleteProject = async (id) => {
+    await deleteProjectRequest(id);
+    setProjects((prev) => prev.filter((project) => project.id !== id));
+    if (currentProjectId === id) setCurrentProjectId(ALL_PROJECTS);
+  };
+
+  const addMember = async (id, email) => {
+    const updated = await addProjectMember(id, email);
+    replaceProject(updated);
+    return updated;
+  };
+
+  // Reloads rather than patching: when users remove themselves the project is no longer theirs
+  const removeMember = async (id, userId) => {
+    await removeProjectMember(id, userId);
+    await reload();
+  };
+
+  const currentProject = projects.find((project) => project.id === currentProjectId) || null;
+
+  return (
+    <ProjectContext.Provider
+      value={{
+        projects,
+        loading,
+        currentProjectId,
+        currentProject,
+        setCurrentProjectId,
+        reload,
+        createProject,
+        updateProject,
+        deleteProject,
+        addMember,
+        removeMember,
+      }}
+    >
+      {children}
+    </ProjectContext.Provider>
+  );
+};
+
+export default ProjectProvider;
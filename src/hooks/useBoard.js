@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from "react";
+import { fetchBoard, updateWorkflow } from "../api";
+
+/**
+ * Loads a board (the user's default board unless an id is given) together with
+ * its workflow definition: statuses, allowed transitions and initial status.
+ */
+export const useBoard = (boardId = "default") => {
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const data = await fetchBoard(boardId);
+      setBoard(data);
+      setError(null);
+    } catch (err) {
+      console.error("Error loading board:", err);
+      setError("Failed to load board. Please try again later.");
+    } finally {
+      setLoading(false);
+    }
+  }, [boardId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const saveWorkflow = async (workflow) => {
+    const updated = await updateWorkflow(board.id, workflow);
+    setBoard(updated);
+    return updated;
+  };
+
+  return { board, loading, error, reload, saveWorkflow };
+};
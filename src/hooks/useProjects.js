@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+
+// Provided by ProjectProvider (contexts/ProjectContext.jsx)
+export const ProjectContext = createContext();
+
+/**
+ * Custom hook to use the project context
+ * @returns {Object} Projects, the current selection and project actions
+ */
+export const useProjects = () => {
+  return useContext(ProjectContext);
+};
@@ -1,6 +1,79 @@
-import { useState } from "react";
+import { useState, useEffect, useCallback } from "react";
+import { useProjects } from "./useProjects";
+import { PERSONAL } from "../utils/projects";
+import { fetchTasks, createTask, updateTask, deleteTask, transitionTask, positionTask } from "../api";
+
+// Broadcast after every mutation so other mounted task views (navbar list,
+// filters, analytics) refetch instead of showing stale data.
+const TASKS_CHANGED = "tasks-changed";
+export const notifyTasksChanged = () => window.dispatchEvent(new Event(TASKS_CHANGED));
+
+/**
+ * Loads the current user's tasks from the API and exposes CRUD helpers.
+ * Admins receive every task; the server decides the scope. Tasks are limited to
+ * the project selected in the sidebar, and new tasks are created in it.
+ */
 export const useTasks = () => {
+  const { currentProjectId } = useProjects();
   const [tasks, setTasks] = useState([]);
-  const addTask = (task) => setTasks([...tasks, task]);
-  return { tasks, addTask };
-};
\ No newline at end of file
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const data = await fetchTasks(currentProjectId ? { project: currentProjectId } : {});
+      setTasks(data);
+      setError(null);
+    } catch (err) {
+      console.error("Error loading tasks:", err);
+      setError("Failed to load tasks. Please try again later.");
+    } finally {
+      setLoading(false);
+    }
+  }, [currentProjectId]);
+
+  useEffect(() => {
+    reload();
+    window.addEventListener(TASKS_CHANGED, reload);
+    return () => window.removeEventListener(TASKS_CHANGED, reload);
+  }, [reload]);
+
+  const addTask = async (task) => {
+    const inProject = currentProjectId && currentProjectId !== PERSONAL;
+    const created = await createTask(inProject ? { project: currentProjectId, ...task } : task);
+    setTasks((prev) => [created, ...prev]);
+    notifyTasksChanged();
+    return created;
+  };
+
+  const editTask = async (id, updates) => {
+    const updated = await updateTask(id, updates);
+    setTasks((prev) => prev.map((task) => (task.id === id ? updated : task)));
+    notifyTasksChanged();
+    return updated;
+  };
+
+  // Moves a task through its board's workflow; target is { status } or { category }
+  const moveTask = async (id, target) => {
+    const updated = await transitionTask(id, target);
+    setTasks((prev) => prev.map((task) => (task.id === id ? updated : task)));
+    notifyTasksChanged();
+    return updated;
+  };
+
+  // Places a task at a position on the board; see positionTask in ../api
+  const moveTaskTo = async (id, position) => {
+    const updated = await positionTask(id, position);
+    setTasks((prev) => prev.map((task) => (task.id === id ? updated : task)));
+    notifyTasksChanged();
+    return updated;
+  };
+
+  const removeTask = async (id) => {
+    await deleteTask(id);
+    setTasks((prev) => prev.filter((task) => task.id !== id));
+    notifyTasksChanged();
+  };
+
+  return { tasks, setTasks, loading, error, reload, addTask, editTask, moveTask, moveTaskTo, removeTask };
+};
@@ -4,8 +4,13 @@ import AdminStats from "../../components/admin/AdminStats";
 import RecentUsers from "../../components/admin/RecentUsers";
 import PendingTasks from "../../components/admin/PendingTasks";
 import TaskChart from "../../components/admin/TaskAnalytics"; 
+import PendingApprovals from "../../components/admin/PendingApprovals";
+import NotificationFeed from "../../components/common/NotificationFeed";
+import { useAuth } from "../../contexts/AuthContext";
 
 const Dashboard = () => {
+  const { can } = useAuth();
+
   return (
     <div className="flex min-h-screen bg-gray-100">
       {/* Sidebar */}
@@ -15,6 +20,11 @@ const Dashboard = () => {
       <div className="flex-1 p-6">
         <h1 className="text-2xl font-bold text-gray-800 mb-4">Admin Dashboard</h1>
 
+        {/* Notifications, e.g. new sign-ups waiting for approval */}
+        <div className="mb-6">
+          <NotificationFeed />
+        </div>
+
         {/* Admin Statistics */}
         <AdminStats />
 
@@ -23,6 +33,7 @@ const Dashboard = () => {
           <RecentUsers className="col-span-2" />
           <PendingTasks />
           <TaskChart />
+          {can("user.manage") && <PendingApprovals />}
         </div>
 
         
@@ -0,0 +1,256 @@
+/**
+ * MailPage Component
+ *
+ * Admin view of outgoing email. Previews each template with sample data in
+ * every locale, shows the send queue, and lists the messages the development
+ * outbox caught for the organization's members and invitees, with the tokens
+ * of their links hidden.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from "react";
+import { FaEnvelope, FaSyncAlt } from "react-icons/fa";
+import Sidebar from "../../components/admin/Sidebar";
+import {
+  fetchMailTemplates,
+  previewMailTemplate,
+  fetchMailQueue,
+  fetchMailOutbox,
+  fetchOutboxMessage,
+} from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
+
+const LOCALE_LABELS = { en: "English", es: "Español" };
+
+const STATUS_CLASSES = {
+  queued: "bg-yellow-100 text-yellow-800",
+  sending: "bg-blue-100 text-blue-800",
+  sent: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const MailPage = () => {
+  const [templates, setTemplates] = useState([]);
+  const [locales, setLocales] = useState([]);
+  const [transport, setTransport] = useState(null);
+  const [template, setTemplate] = useState("");
+  const [locale, setLocale] = useState("en");
+  const [queue, setQueue] = useState(null);
+  const [outbox, setOutbox] = useState([]);
+  const [outboxBrowsable, setOutboxBrowsable] = useState(true);
+  // Message shown in the viewer: a template preview or an outbox message
+  const [shown, setShown] = useState(null);
+  const [showText, setShowText] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchMailTemplates()
+      .then((data) => {
+        setTemplates(data.templates);
+        setLocales(data.locales);
+        setTransport(data.transport);
+        if (data.templates.length > 0) setTemplate(data.templates[0].name);
+      })
+      .catch((err) => {
+        console.error("Error fetching mail templates:", err);
+        setError(apiErrorMessage(err, "Failed to load the mail templates."));
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!template) return;
+    previewMailTemplate(template, locale)
+      .then((preview) => setShown({ label: `Preview: ${template} (${locale})`, ...preview }))
+      .catch((err) => {
+        console.error("Error previewing mail template:", err);
+        setError(apiErrorMessage(err, "Failed to preview the template."));
+      });
+  }, [template, locale]);
+
+  const loadMail = async () => {
+    try {
+      const [queueData, outboxData] = await Promise.all([fetchMailQueue(), fetchMailOutbox()]);
+      setQueue(queueData);
+      setOutbox(outboxData.messages);
+      setOutboxBrowsable(outboxData.browsable);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching mail:", err);
+      setError(apiErrorMessage(err, "Failed to load the mail queue."));
+    }
+  };
+
+  useEffect(() => {
+    loadMail();
+  }, []);
+
+  const openOutboxMessage = async (id) => {
+    try {
+      const message = await fetchOutboxMessage(id);
+      setShown({ label: `Sent to ${message.to} on ${new Date(message.date).toLocaleString()}`, ...message });
+    } catch (err) {
+      console.error("Error fetching outbox message:", err);
+      setError(apiErrorMessage(err, "Failed to open the message."));
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+      <div className="flex-1 p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+          <FaEnvelope className="mr-2" aria-hidden="true" />
+          Mail
+        </h1>
+        {transport && <p className="text-sm text-gray-600 mb-4">Email is sent through the “{transport}” transport.</p>}
+
+        {error && <p className="text-red-600 mb-4" role="alert">{error}</p>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-4">
+          <div className="space-y-4">
+            {/* Templates */}
+            <div className="bg-white p-4 shadow rounded-lg">
+              <h2 className="text-lg font-semibold mb-2">Templates</h2>
+              <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="border p-2 rounded w-full mb-2"
+                aria-label="Language"
+              >
+                {locales.map((code) => (
+                  <option key={code} value={code}>{LOCALE_LABELS[code] || code}</option>
+                ))}
+              </select>
+              <ul className="text-sm space-y-1">
+                {templates.map(({ name, description }) => (
+                  <li key={name}>
+                    <button
+                      onClick={() => setTemplate(name)}
+                      className={`w-full text-left p-2 rounded ${template === name ? "bg-blue-100" : "hover:bg-gray-100"}`}
+                    >
+                      <span className="font-medium">{name}</span>
+                      <span className="block text-gray-500">{description}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Development outbox */}
+            <div className="bg-white p-4 shadow rounded-lg">
+              <div className="flex justify-between items-center mb-2">
+                <h2 className="text-lg font-semibold">Outbox</h2>
+                <button onClick={loadMail} className="text-blue-600 hover:text-blue-800" aria-label="Refresh">
+                  <FaSyncAlt aria-hidden="true" />
+                </button>
+              </div>
+              <ul className="text-sm space-y-1">
+                {outbox.map((message) => (
+                  <li key={message.id}>
+                    <button onClick={() => openOutboxMessage(message.id)} className="w-full text-left p-2 rounded hover:bg-gray-100">
+                      <span className="font-medium">{message.subject}</span>
+                      <span className="block text-gray-500">
+                        {message.to} · {new Date(message.date).toLocaleString()}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {outbox.length === 0 && (
+                <p className="text-gray-500 text-sm">
+                  {!outboxBrowsable
+                    ? "The outbox can't be browsed in production."
+                    : transport === "outbox"
+                      ? "No messages yet."
+                      : "The outbox is only used with MAIL_TRANSPORT=outbox."}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Viewer */}
+          <div className="bg-white p-4 shadow rounded-lg lg:col-span-2">
+            {shown ? (
+              <>
+                <div className="flex justify-between items-start mb-2">
+                  <div>
+                    <p className="text-xs text-gray-500">{shown.label}</p>
+                    <h2 className="text-lg font-semibold">{shown.subject}</h2>
+                  </div>
+                  <button
+                    onClick={() => setShowText(!showText)}
+                    className="text-sm bg-gray-200 px-3 py-1 rounded hover:bg-gray-300"
+                  >
+                    {showText ? "Show HTML" : "Show text"}
+                  </button>
+                </div>
+                {showText || !shown.html ? (
+                  <pre className="whitespace-pre-wrap text-sm bg-gray-50 p-4 rounded">{shown.text}</pre>
+                ) : (
+                  <iframe
+                    title="Email preview"
+                    srcDoc={shown.html}
+                    sandbox=""
+                    className="w-full h-[32rem] border rounded"
+                  />
+                )}
+              </>
+            ) : (
+              <p className="text-gray-500">Pick a template or a message to see it here.</p>
+            )}
+          </div>
+        </div>
+
+        {/* Send queue */}
+        {queue && (
+          <div className="bg-white p-4 shadow rounded-lg overflow-x-auto">
+            <h2 className="text-lg font-semibold mb-2">Send queue</h2>
+            <div className="flex flex-wrap gap-2 mb-3">
+              {Object.entries(queue.counts).map(([status, count]) => (
+                <span key={status} className={`px-2 py-1 rounded text-sm ${STATUS_CLASSES[status]}`}>
+                  {status}: {count}
+                </span>
+              ))}
+            </div>
+            <table className="w-full border-collapse text-sm">
+              <thead>
+                <tr className="bg-gray-200 text-left">
+                  <th className="p-2">Queued</th>
+                  <th className="p-2">To</th>
+                  <th className="p-2">Subject</th>
+                  <th className="p-2">Status</th>
+                  <th className="p-2">Attempts</th>
+                  <th className="p-2">Last error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {queue.pending.map((message) => (
+                  <tr key={message._id} className="border-b">
+                    <td className="p-2">{new Date(message.createdAt).toLocaleString()}</td>
+                    <td className="p-2">{message.to}</td>
+                    <td className="p-2">{message.subject}</td>
+                    <td className="p-2">
+                      <span className={`px-2 py-1 rounded ${STATUS_CLASSES[message.status]}`}>{message.status}</span>
+                      {message.status === "queued" && (
+                        <span className="block text-xs text-gray-500">
+                          next try {new Date(message.nextAttemptAt).toLocaleString()}
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-2">{message.attempts}</td>
+                    <td className="p-2 text-red-600">{message.lastError || ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {queue.pending.length === 0 && <p className="text-gray-500 text-center mt-4">Nothing waiting or failed.</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MailPage;
@@ -1,29 +1,30 @@
-import React, { useState, useEffect } from "react";
+import React from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import { useTasks } from "../../hooks/useTasks";
+import { formatDate } from "../../utils/dateFormatter";
+import { isDone, apiErrorMessage } from "../../utils/workflow";
 
 const ManageTasks = () => {
-  const [tasks, setTasks] = useState([]);
+  // Admin tokens receive every user's tasks from the API
+  const { tasks, moveTask, removeTask } = useTasks();
 
-  // Load tasks from localStorage (same as User Dashboard)
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
-  }, []);
-
-  // ✅ Mark task as completed
-  const completeTask = (id) => {
-    const updatedTasks = tasks.map((task) =>
-      task.id === id ? { ...task, status: "Completed", progress: 100 } : task
-    );
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  // ✅ Mark task as completed: moves it to its board's first allowed "done" status
+  const completeTask = async (id) => {
+    try {
+      await moveTask(id, { category: "done" });
+    } catch (err) {
+      console.error("Error completing task:", err);
+      alert(apiErrorMessage(err, "Failed to complete task."));
+    }
   };
 
   // ❌ Delete a task
-  const deleteTask = (id) => {
-    const updatedTasks = tasks.filter((task) => task.id !== id);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  const deleteTask = async (id) => {
+    try {
+      await removeTask(id);
+    } catch (err) {
+      console.error("Error deleting task:", err);
+    }
   };
 
   return (
@@ -50,13 +51,13 @@ const ManageTasks = () => {
             </thead>
             <tbody>
               {tasks
-                .filter((task) => task.progress < 100)
+                .filter((task) => !isDone(task))
                 .map((task) => (
                   <tr key={task.id} className="border-b">
                     <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">{task.owner?.email}</td>
                     <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
+                    <td className="p-2">{task.dueDate ? formatDate(task.dueDate) : "—"}</td>
                     <td className="p-2">
                       <button
                         className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
@@ -91,13 +92,13 @@ const ManageTasks = () => {
             </thead>
             <tbody>
               {tasks
-                .filter((task) => task.progress === 100)
+                .filter(isDone)
                 .map((task) => (
                   <tr key={task.id} className="border-b">
                     <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">{task.owner?.email}</td>
                     <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
+                    <td className="p-2">{task.dueDate ? formatDate(task.dueDate) : "—"}</td>
                   </tr>
                 ))}
             </tbody>
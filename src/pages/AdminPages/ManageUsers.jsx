@@ -113,27 +113,70 @@
 // };
 
 // export default ManageUsers;
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import ActiveSessions from "../../components/common/ActiveSessions";
+import Invitations from "../../components/admin/Invitations";
+import {
+  fetchUsers,
+  fetchRoles,
+  addOrganizationMember,
+  updateUser,
+  removeUser,
+  fetchUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  resetUserTwoFactor,
+  unlockUser,
+} from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+import { apiErrorMessage } from "../../utils/workflow";
 
 const ManageUsers = () => {
+  const { can } = useAuth();
   const [users, setUsers] = useState([]);
   const [editingUser, setEditingUser] = useState(null);
-  const [editedData, setEditedData] = useState({ fullName: "", email: "", role: "" });
+  const [editedData, setEditedData] = useState({ fullName: "", role: "" });
+  const [newMember, setNewMember] = useState({ email: "", role: "user" });
+  const [memberError, setMemberError] = useState(null);
+  const [error, setError] = useState(null);
+  const [roles, setRoles] = useState([]);
+  // Email of the user whose sessions are shown
+  const [sessionsFor, setSessionsFor] = useState(null);
+  const loadSessions = useCallback(() => fetchUserSessions(sessionsFor), [sessionsFor]);
 
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users")
-      .then((res) => res.json())
+    fetchUsers()
       .then((data) => {
         const sortedUsers = data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         setUsers(sortedUsers);
       })
       .catch((err) => console.error("Error fetching users:", err));
+
+    // Built-in and custom roles a new member can be given
+    fetchRoles()
+      .then(setRoles)
+      .catch((err) => console.error("Error fetching roles:", err));
   }, []);
 
+  // Adds an existing account to the admin's organization
+  const addMember = async (e) => {
+    e.preventDefault();
+    if (!newMember.email.trim()) return;
+    try {
+      const member = await addOrganizationMember(newMember.email.trim(), newMember.role);
+      setUsers([member, ...users]);
+      setNewMember({ email: "", role: "user" });
+      setMemberError(null);
+    } catch (error) {
+      console.error("Error adding member:", error);
+      setMemberError(apiErrorMessage(error, "Failed to add member"));
+    }
+  };
+
   const startEditing = (user) => {
     setEditingUser(user.email);
-    setEditedData({ fullName: user.fullName, email: user.email, role: user.role });
+    setEditedData({ fullName: user.fullName, role: user.role });
   };
 
   const handleChange = (e) => {
@@ -142,32 +185,51 @@ const ManageUsers = () => {
 
   const saveUser = async (email) => {
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(editedData),
-      });
-
-      if (!res.ok) throw new Error("Failed to update user");
-
-      setUsers(users.map((u) => (u.email === email ? { ...u, ...editedData } : u)));
+      const updated = await updateUser(email, editedData);
+      setUsers(users.map((u) => (u.email === email ? { ...u, ...updated } : u)));
       setEditingUser(null);
-    } catch (error) {
-      console.error("Error updating user:", error);
+      setError(null);
+    } catch (err) {
+      console.error("Error updating user:", err);
+      setError(apiErrorMessage(err, "Failed to update user"));
     }
   };
 
+  // Removes the member from the organization; their account stays
   const deleteUser = async (email) => {
+    if (!window.confirm(`Remove ${email} from the organization?`)) return;
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
-        method: "DELETE",
-      });
+      await removeUser(email);
+      setUsers(users.filter((u) => u.email !== email));
+      setError(null);
+    } catch (err) {
+      console.error("Error removing user:", err);
+      setError(apiErrorMessage(err, "Failed to remove user"));
+    }
+  };
 
-      if (!res.ok) throw new Error("Failed to delete user");
+  // Turns off a member's two-factor authentication, e.g. after they lost their phone
+  const resetTwoFactor = async (email) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${email}?`)) return;
+    try {
+      await resetUserTwoFactor(email);
+      setUsers(users.map((u) => (u.email === email ? { ...u, twoFactorEnabled: false } : u)));
+      setError(null);
+    } catch (err) {
+      console.error("Error resetting two-factor authentication:", err);
+      setError(apiErrorMessage(err, "Failed to reset two-factor authentication"));
+    }
+  };
 
-      setUsers(users.filter((u) => u.email !== email));
-    } catch (error) {
-      console.error("Error deleting user:", error);
+  // Lifts a lockout after too many failed sign-ins
+  const unlock = async (email) => {
+    try {
+      await unlockUser(email);
+      setUsers(users.map((u) => (u.email === email ? { ...u, lockedUntil: null } : u)));
+      setError(null);
+    } catch (err) {
+      console.error("Error unlocking user:", err);
+      setError(apiErrorMessage(err, "Failed to unlock user"));
     }
   };
 
@@ -177,6 +239,34 @@ const ManageUsers = () => {
       <div className="flex-1 p-6">
         <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Users</h1>
 
+        <form onSubmit={addMember} className="bg-white p-4 shadow rounded-lg mb-4 flex flex-wrap items-center gap-2">
+          <span className="font-semibold text-gray-700">Add to organization:</span>
+          <input
+            type="email"
+            value={newMember.email}
+            onChange={(e) => setNewMember({ ...newMember, email: e.target.value })}
+            placeholder="Existing user's email"
+            className="border p-1 rounded flex-1 min-w-[200px]"
+          />
+          <select
+            value={newMember.role}
+            onChange={(e) => setNewMember({ ...newMember, role: e.target.value })}
+            className="border p-1 rounded"
+          >
+            {roles.map((role) => (
+              <option key={role.key} value={role.key}>{role.name}</option>
+            ))}
+          </select>
+          <button type="submit" className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600">
+            Add
+          </button>
+          {memberError && <p className="w-full text-red-600 text-sm">{memberError}</p>}
+        </form>
+
+        {can("user.manage") && <Invitations roles={roles} />}
+
+        {error && <p className="text-red-600 mb-4" role="alert">{error}</p>}
+
         <div className="bg-white p-4 shadow rounded-lg">
           <table className="w-full border-collapse">
             <thead>
@@ -190,63 +280,118 @@ const ManageUsers = () => {
             </thead>
             <tbody>
               {users.map((user, index) => (
-                <tr key={user.email} className="border-b">
-                  <td className="p-2">{index + 1}</td>
-                  <td className="p-2">
-                    {editingUser === user.email ? (
-                      <input
-                        type="text"
-                        name="fullName"
-                        value={editedData.fullName}
-                        onChange={handleChange}
-                        className="border p-1 rounded"
-                      />
-                    ) : (
-                      user.fullName
-                    )}
-                  </td>
-                  <td className="p-2">{user.email}</td>
-                  <td className="p-2">
-                    {editingUser === user.email ? (
-                      <select
-                        name="role"
-                        value={editedData.role}
-                        onChange={handleChange}
-                        className="border p-1 rounded"
-                      >
-                        <option value="Admin">Admin</option>
-                        <option value="User">User</option>
-                      </select>
-                    ) : (
-                      user.role.charAt(0).toUpperCase() + user.role.slice(1)
-                    )}
-                  </td>
-                  <td className="p-2">
-                    {editingUser === user.email ? (
-                      <button
-                        className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
-                        onClick={() => saveUser(user.email)}
-                      >
-                        Save
-                      </button>
-                    ) : (
-                      <>
-                        <button
-                          className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
-                          onClick={() => startEditing(user)}
+                <React.Fragment key={user.email}>
+                  <tr className="border-b">
+                    <td className="p-2">{index + 1}</td>
+                    <td className="p-2">
+                      {editingUser === user.email ? (
+                        <input
+                          type="text"
+                          name="fullName"
+                          value={editedData.fullName}
+                          onChange={handleChange}
+                          className="border p-1 rounded"
+                        />
+                      ) : (
+                        user.fullName
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {user.email}
+                      {user.lockedUntil && (
+                        <span
+                          className="ml-2 px-2 py-0.5 rounded bg-red-100 text-red-700 text-xs"
+                          title={`Locked until ${new Date(user.lockedUntil).toLocaleString()}`}
                         >
-                          Edit
-                        </button>
+                          Locked
+                        </span>
+                      )}
+                      {user.emailVerified === false && (
+                        <span
+                          className="ml-2 px-2 py-0.5 rounded bg-yellow-100 text-yellow-800 text-xs"
+                          title="Hasn't confirmed this email address yet, so can't be assigned tasks or added to organizations"
+                        >
+                          Unverified
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {editingUser === user.email ? (
+                        <select
+                          name="role"
+                          value={editedData.role}
+                          onChange={handleChange}
+                          className="border p-1 rounded"
+                        >
+                          {roles.map((role) => (
+                            <option key={role.key} value={role.key}>{role.name}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        user.role.charAt(0).toUpperCase() + user.role.slice(1)
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {editingUser === user.email ? (
                         <button
-                          className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
-                          onClick={() => deleteUser(user.email)}
+                          className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                          onClick={() => saveUser(user.email)}
                         >
-                          Delete
+                          Save
                         </button>
-                      </>
-                    )}
-                  </td>
-                </tr>
+                      ) : (
+                        <>
+                          <button
+                            className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                            onClick={() => startEditing(user)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
+                            onClick={() => deleteUser(user.email)}
+                          >
+                            Remove
+                          </button>
+                          <button
+                            className="bg-gray-200 text-gray-800 px-3 py-1 rounded ml-2 hover:bg-gray-300"
+                            onClick={() => setSessionsFor(sessionsFor === user.email ? null : user.email)}
+                          >
+                            Sessions
+                          </button>
+                          {user.twoFactorEnabled && can("security.manage") && (
+                            <button
+                              className="bg-yellow-500 text-white px-3 py-1 rounded ml-2 hover:bg-yellow-600"
+                              onClick={() => resetTwoFactor(user.email)}
+                            >
+                              Reset 2FA
+                            </button>
+                          )}
+                          {user.lockedUntil && can("security.manage") && (
+                            <button
+                              className="bg-green-500 text-white px-3 py-1 rounded ml-2 hover:bg-green-600"
+                              onClick={() => unlock(user.email)}
+                            >
+                              Unlock
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {sessionsFor === user.email && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan={5} className="p-4">
+                        <ActiveSessions
+                          load={loadSessions}
+                          revoke={(id) => revokeUserSession(user.email, id)}
+                          revokeOthers={() => revokeUserSessions(user.email)}
+                          revokeOthersLabel="Sign out everywhere"
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               ))}
             </tbody>
           </table>
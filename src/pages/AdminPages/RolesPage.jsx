@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from "react";
+import { FaTrash, FaEdit } from "react-icons/fa";
+import Sidebar from "../../components/admin/Sidebar";
+import { fetchRoles, fetchPermissionCatalog, createRole, updateRole, deleteRole } from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
+
+const EMPTY_FORM = { key: null, name: "", permissions: [] };
+
+// Lists the organization's roles. Built-in roles are read-only; custom roles can
+// be created, edited and deleted once no member holds them.
+const RolesPage = () => {
+  const [roles, setRoles] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([fetchRoles(), fetchPermissionCatalog()])
+      .then(([loadedRoles, loadedCatalog]) => {
+        setRoles(loadedRoles);
+        setCatalog(loadedCatalog);
+      })
+      .catch((err) => {
+        console.error("Error loading roles:", err);
+        setError("Failed to load roles.");
+      });
+  }, []);
+
+  const togglePermission = (permission) => {
+    setForm((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter((p) => p !== permission)
+        : [...prev.permissions, permission],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return setError("Role name is required.");
+    setError(null);
+    try {
+      if (form.key) {
+        const updated = await updateRole(form.key, { name: form.name, permissions: form.permissions });
+        setRoles((prev) => prev.map((role) => (role.key === updated.key ? updated : role)));
+      } else {
+        const created = await createRole({ name: form.name, permissions: form.permissions });
+        setRoles((prev) => [...prev, created]);
+      }
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error("Error saving role:", err);
+      setError(apiErrorMessage(err, "Failed to save the role."));
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete role "${role.name}"?`)) return;
+    setError(null);
+    try {
+      await deleteRole(role.key);
+      setRoles((prev) => prev.filter((r) => r.key !== role.key));
+      if (form.key === role.key) setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error("Error deleting role:", err);
+      setError(apiErrorMessage(err, "Failed to delete the role."));
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      {/* Sidebar */}
+      <Sidebar />
+
+      {/* Main Content */}
+      <div className="flex-1 p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">Roles</h1>
+
+        {error && <p className="text-red-600 mb-4" role="alert">{error}</p>}
+
+        {/* Role list */}
+        <div className="bg-white p-4 shadow rounded-lg mb-4">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-200 text-left">
+                <th className="p-2">Role</th>
+                <th className="p-2">Permissions</th>
+                <th className="p-2">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {roles.map((role) => (
+                <tr key={role.key} className="border-b align-top">
+                  <td className="p-2">
+                    {role.name} <span className="text-xs text-gray-500">({role.key})</span>
+                    {role.builtIn && <span className="ml-2 text-xs bg-gray-200 px-2 py-0.5 rounded">built-in</span>}
+                  </td>
+                  <td className="p-2 text-sm text-gray-700">{role.permissions.join(", ") || "—"}</td>
+                  <td className="p-2 whitespace-nowrap">
+                    {!role.builtIn && (
+                      <>
+                        <button
+                          className="text-blue-600 hover:text-blue-800 mr-3"
+                          onClick={() => setForm({ key: role.key, name: role.name, permissions: role.permissions })}
+                          aria-label={`Edit ${role.name}`}
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          className="text-red-600 hover:text-red-800"
+                          onClick={() => handleDelete(role)}
+                          aria-label={`Delete ${role.name}`}
+                        >
+                          <FaTrash />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Create / edit form */}
+        <form onSubmit={handleSubmit} className="bg-white p-4 shadow rounded-lg space-y-4">
+          <h2 className="text-lg font-semibold">{form.key ? `Edit role "${form.key}"` : "New role"}</h2>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Role name"
+            className="w-full p-2 border rounded"
+          />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {catalog.map(({ key, description }) => (
+              <label key={key} className="flex items-start gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.permissions.includes(key)}
+                  onChange={() => togglePermission(key)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-medium">{key}</span> — {description}
+                </span>
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+              {form.key ? "Save" : "Create"}
+            </button>
+            {form.key && (
+              <button type="button" onClick={() => setForm(EMPTY_FORM)} className="px-4 py-2 rounded border">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RolesPage;
@@ -1,29 +1,82 @@
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import { useAuth } from "../../contexts/AuthContext";
+import TwoFactorSettings from "../../components/common/TwoFactorSettings";
+import ChangePasswordForm from "../../components/common/ChangePasswordForm";
+import { fetchSecuritySettings, updateSecuritySettings } from "../../api";
+import { apiErrorMessage } from "../../utils/workflow";
+
+// Switches of the password policy, as labelled in the form
+const PASSWORD_RULE_OPTIONS = [
+  { key: "requireUppercase", label: "Require an uppercase letter" },
+  { key: "requireLowercase", label: "Require a lowercase letter" },
+  { key: "requireDigit", label: "Require a digit" },
+  { key: "requireSymbol", label: "Require a symbol" },
+  { key: "blockCommon", label: "Reject common passwords" },
+];
 
 const Settings = () => {
-  // Load stored admin profile data
+  const { user, can } = useAuth();
+  // The admin's picture is kept in this browser; name, email and role come from the account
   const [profile, setProfile] = useState(() => {
     const savedProfile = JSON.parse(localStorage.getItem("adminProfile"));
-    return (
-      savedProfile || {
-        name: "Admin User",
-        email: "admin@example.com",
-        profilePic: "",
-        role: "Admin",
-      }
-    );
+    return { profilePic: savedProfile?.profilePic || "" };
   });
 
   const [imagePreview, setImagePreview] = useState(profile.profilePic);
-  const [password, setPassword] = useState("");
   const [activityLog, setActivityLog] = useState(() => {
     return JSON.parse(localStorage.getItem("adminActivityLog")) || [];
   });
 
-  // Handle input change
-  const handleProfileChange = (e) => {
-    setProfile({ ...profile, [e.target.name]: e.target.value });
+  // Organization-wide sign-in policies
+  const [security, setSecurity] = useState(null);
+  const [securityError, setSecurityError] = useState(null);
+  const [policyDraft, setPolicyDraft] = useState(null);
+  const canManageSecurity = can("security.manage");
+
+  useEffect(() => {
+    if (!canManageSecurity) return;
+    fetchSecuritySettings()
+      .then((settings) => {
+        setSecurity(settings);
+        setPolicyDraft(settings.passwordPolicy);
+      })
+      .catch((err) => console.error("Error fetching security settings:", err));
+  }, [canManageSecurity]);
+
+  const toggleAdminTwoFactor = async (e) => {
+    try {
+      setSecurity(await updateSecuritySettings({ requireAdminTwoFactor: e.target.checked }));
+      setSecurityError(null);
+    } catch (err) {
+      console.error("Error updating security settings:", err);
+      setSecurityError(apiErrorMessage(err, "Failed to update the security settings."));
+    }
+  };
+
+  // When off, people can only join with an invitation
+  const togglePublicSignup = async (e) => {
+    try {
+      setSecurity(await updateSecuritySettings({ allowPublicSignup: e.target.checked }));
+      setSecurityError(null);
+    } catch (err) {
+      console.error("Error updating security settings:", err);
+      setSecurityError(apiErrorMessage(err, "Failed to update the security settings."));
+    }
+  };
+
+  // Applies to passwords set from now on; existing ones keep working
+  const savePasswordPolicy = async (e) => {
+    e.preventDefault();
+    try {
+      const settings = await updateSecuritySettings({ passwordPolicy: policyDraft });
+      setSecurity(settings);
+      setPolicyDraft(settings.passwordPolicy);
+      setSecurityError(null);
+    } catch (err) {
+      console.error("Error updating password policy:", err);
+      setSecurityError(apiErrorMessage(err, "Failed to update the password policy."));
+    }
   };
 
   // Handle image upload
@@ -52,13 +105,6 @@ const Settings = () => {
     window.location.reload(); // Refresh to reflect changes in navbar
   };
 
-  // Change password (dummy for now)
-  const handleChangePassword = () => {
-    if (!password) return alert("Please enter a new password!");
-    alert("Password changed successfully! (This is a dummy feature for now)");
-    setPassword("");
-  };
-
   return (
     <div className="flex min-h-screen bg-gray-100">
       {/* Sidebar */}
@@ -95,38 +141,18 @@ const Settings = () => {
             {/* Profile Details */}
             <div className="space-y-4">
               <div>
-                <label className="block text-sm font-medium">Name</label>
-                <input
-                  type="text"
-                  name="name"
-                  value={profile.name}
-                  onChange={handleProfileChange}
-                  className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-                />
+                <span className="block text-sm font-medium">Name</span>
+                <p className="px-4 py-2 text-gray-800">{user?.fullName}</p>
               </div>
 
               <div>
-                <label className="block text-sm font-medium">Email</label>
-                <input
-                  type="email"
-                  name="email"
-                  value={profile.email}
-                  onChange={handleProfileChange}
-                  className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-                />
+                <span className="block text-sm font-medium">Email</span>
+                <p className="px-4 py-2 text-gray-800">{user?.email}</p>
               </div>
 
               <div>
-                <label className="block text-sm font-medium">Role</label>
-                <select
-                  name="role"
-                  value={profile.role}
-                  onChange={handleProfileChange}
-                  className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-                >
-                  <option value="Admin">Admin</option>
-                  <option value="Super Admin">Super Admin</option>
-                </select>
+                <span className="block text-sm font-medium">Role</span>
+                <p className="px-4 py-2 text-gray-800">{user?.role}</p>
               </div>
             </div>
 
@@ -142,25 +168,82 @@ const Settings = () => {
           {/* Change Password */}
           <div className="bg-white p-6 shadow-lg rounded-lg">
             <h2 className="text-lg font-semibold mb-4">Change Password</h2>
+            <ChangePasswordForm />
+          </div>
+        </div>
 
-            <div>
-              <label className="block text-sm font-medium">New Password</label>
-              <input
-                type="password"
-                name="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-              />
-            </div>
-
-            <button
-              onClick={handleChangePassword}
-              className="mt-4 w-full bg-red-500 text-white py-3 rounded-lg hover:bg-red-600 transition"
-            >
-              Change Password
-            </button>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+          {/* Two-factor authentication */}
+          <div className="bg-white p-6 shadow-lg rounded-lg">
+            <h2 className="text-lg font-semibold mb-4">Two-Factor Authentication</h2>
+            <TwoFactorSettings />
           </div>
+
+          {/* Organization security policy */}
+          {security && (
+            <div className="bg-white p-6 shadow-lg rounded-lg">
+              <h2 className="text-lg font-semibold mb-4">Organization Security</h2>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={security.requireAdminTwoFactor}
+                  onChange={toggleAdminTwoFactor}
+                />
+                Require two-factor authentication for admins
+              </label>
+              {/* Only the default organization takes sign-ups */}
+              {security.allowPublicSignup !== null && (
+                <label className="flex items-center gap-2 mt-2">
+                  <input
+                    type="checkbox"
+                    checked={security.allowPublicSignup}
+                    onChange={togglePublicSignup}
+                  />
+                  Allow anyone to sign up (otherwise by invitation only)
+                </label>
+              )}
+
+              <form onSubmit={savePasswordPolicy} className="mt-6 space-y-3">
+                <h3 className="font-semibold">Password Policy</h3>
+                <label className="flex items-center justify-between gap-2">
+                  Minimum length
+                  <input
+                    type="number"
+                    min={6}
+                    max={64}
+                    value={policyDraft.minLength}
+                    onChange={(e) => setPolicyDraft({ ...policyDraft, minLength: Number(e.target.value) })}
+                    className="w-20 p-1 border rounded"
+                  />
+                </label>
+                {PASSWORD_RULE_OPTIONS.map((option) => (
+                  <label key={option.key} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={policyDraft[option.key]}
+                      onChange={(e) => setPolicyDraft({ ...policyDraft, [option.key]: e.target.checked })}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+                <label className="flex items-center justify-between gap-2">
+                  Recent passwords that can't be reused
+                  <input
+                    type="number"
+                    min={0}
+                    max={12}
+                    value={policyDraft.historyCount}
+                    onChange={(e) => setPolicyDraft({ ...policyDraft, historyCount: Number(e.target.value) })}
+                    className="w-20 p-1 border rounded"
+                  />
+                </label>
+                <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600">
+                  Save Password Policy
+                </button>
+              </form>
+              {securityError && <p className="text-red-600 mt-2" role="alert">{securityError}</p>}
+            </div>
+          )}
         </div>
 
         {/* Activity Log */}
@@ -1,248 +1,264 @@
 /**
  * UserLogPage Component
- * 
- * An administrative component that displays user activity logs with comprehensive
- * information and management capabilities. Implements localStorage-based log storage
- * and retrieval with delete functionality for administrators.
- * 
+ *
+ * An administrative component that displays the organization's audit log as
+ * recorded by the server: logins (including failed ones), logouts, sign-ups and
+ * admin changes, each with the real client IP and user agent.
+ *
+ * The log is append-only and hash-chained: admins can verify the chain, and old
+ * events leave it only through the retention policy's (logged) archival.
+ *
  * Features:
- * - Displays user logs with login time, logout time, JWT token, username, role, IP address
- * - Provides delete functionality for individual log entries
- * - Implements sorting and filtering capabilities
+ * - Server-side pagination, newest events first
+ * - Filtering by action, outcome, date range and a search over email, name or IP
+ * - Chain verification and retention settings
  * - Includes responsive design for all screen sizes
  * - Supports accessibility with proper ARIA attributes
- * 
+ *
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
 import React, { useState, useEffect } from 'react';
-import { FaTrash, FaSpinner, FaExclamationTriangle, FaUserShield, FaSort, FaFilter, FaSignInAlt, FaSignOutAlt } from 'react-icons/fa';
+import {
+  FaSpinner, FaExclamationTriangle, FaUserShield, FaSignInAlt, FaSignOutAlt, FaUserPlus, FaCheckCircle, FaLink
+} from 'react-icons/fa';
 import Sidebar from '../../components/admin/Sidebar';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  fetchAuditEvents,
+  verifyAuditChain,
+  fetchAuditRetention,
+  updateAuditRetention,
+  archiveAuditEvents,
+} from '../../api';
+import { apiErrorMessage } from '../../utils/workflow';
+
+const PAGE_SIZE = 25;
+
+// Actions the server records, for the action filter
+const ACTIONS = [
+  { value: 'auth.login', label: 'Login' },
+  { value: 'auth.logout', label: 'Logout' },
+  { value: 'auth.signup', label: 'Signup' },
+  { value: 'auth.email_verify', label: 'Email verified' },
+  { value: 'auth.switch_org', label: 'Organization switch' },
+  { value: 'auth.refresh_reuse', label: 'Refresh token reused' },
+  { value: 'auth.lockout', label: 'Sign-ins locked' },
+  { value: 'auth.unlock', label: 'Account unlocked' },
+  { value: 'auth.password_change', label: 'Password changed' },
+  { value: 'auth.password_reset_request', label: 'Password reset requested' },
+  { value: 'auth.password_reset', label: 'Password reset' },
+  { value: 'session.revoke', label: 'Sessions revoked' },
+  { value: 'user.add', label: 'Member added' },
+  { value: 'invite.create', label: 'Invitation sent' },
+  { value: 'invite.resend', label: 'Invitation resent' },
+  { value: 'invite.revoke', label: 'Invitation revoked' },
+  { value: 'invite.accept', label: 'Invitation accepted' },
+  { value: 'user.update', label: 'User updated' },
+  { value: 'user.remove', label: 'Member removed' },
+  { value: 'user.approve', label: 'Registration approved' },
+  { value: 'user.reject', label: 'Registration rejected' },
+  { value: 'role.create', label: 'Role created' },
+  { value: 'role.update', label: 'Role updated' },
+  { value: 'role.delete', label: 'Role deleted' },
+  { value: 'org.create', label: 'Organization created' },
+  { value: '2fa.enable', label: 'Two-factor turned on' },
+  { value: '2fa.disable', label: 'Two-factor turned off' },
+  { value: '2fa.recovery_codes', label: 'Recovery codes renewed' },
+  { value: '2fa.reset', label: 'Two-factor reset' },
+  { value: 'security.update', label: 'Security settings changed' },
+  { value: 'audit.retention', label: 'Retention changed' },
+  { value: 'audit.archive', label: 'Events archived' },
+];
+
+const ACTION_LABELS = Object.fromEntries(ACTIONS.map(({ value, label }) => [value, label]));
+
+const EMPTY_FILTERS = { action: '', outcome: '', search: '', from: '', to: '' };
 
 const UserLogPage = () => {
-  // State management with proper initialization
-  const [logs, setLogs] = useState([]);
-  const [filteredLogs, setFilteredLogs] = useState([]);
+  const [result, setResult] = useState({ events: [], total: 0, page: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [sortConfig, setSortConfig] = useState({
-    key: 'loginTime',
-    direction: 'desc'
-  });
-  const [filters, setFilters] = useState({
-    role: 'all',
-    action: 'all',
-    search: ''
-  });
-  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [retention, setRetention] = useState(null);
+  const [retentionInput, setRetentionInput] = useState('');
+  const [retentionMessage, setRetentionMessage] = useState(null);
+  const { can } = useAuth();
+
+  useEffect(() => {
+    fetchAuditRetention()
+      .then((data) => {
+        setRetention(data);
+        setRetentionInput(String(data.days));
+      })
+      .catch((err) => console.error('Error loading audit retention:', err));
+  }, []);
 
   /**
-   * Load user logs from localStorage
+   * Load the current page of audit events whenever the page or filters change
    */
   useEffect(() => {
-    const loadLogs = async () => {
+    let cancelled = false;
+
+    const loadEvents = async () => {
+      setLoading(true);
       try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        // Get logs from localStorage or initialize with mock data
-        const storedLogs = localStorage.getItem('userLogs');
-        
-        if (storedLogs) {
-          const parsedLogs = JSON.parse(storedLogs);
-          setLogs(parsedLogs);
-          setFilteredLogs(parsedLogs);
-        } else {
-          // Initialize with mock data if no logs exist
-          const mockLogs = [
-            {
-              id: '1',
-              userId: 'admin-123',
-              username: 'admin@example.com',
-              role: 'admin',
-              action: 'login',
-              loginTime: new Date(Date.now() - 3600000).toISOString(),
-              logoutTime: null,
-              ipAddress: '192.168.1.1',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '2',
-              userId: 'user-456',
-              username: 'user@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 7200000).toISOString(),
-              logoutTime: new Date(Date.now() - 3600000).toISOString(),
-              ipAddress: '192.168.1.2',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '3',
-              userId: 'user-789',
-              username: 'test@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 86400000).toISOString(),
-              logoutTime: new Date(Date.now() - 82800000).toISOString(),
-              ipAddress: '192.168.1.3',
-              tokenName: 'eyJhbGciOi...'
-            }
-          ];
-          
-          // Store mock logs in localStorage
-          localStorage.setItem('userLogs', JSON.stringify(mockLogs));
-          
-          setLogs(mockLogs);
-          setFilteredLogs(mockLogs);
+        // Only send the filters that are set; dates cover whole days
+        const params = { page, limit: PAGE_SIZE };
+        if (filters.action) params.action = filters.action;
+        if (filters.outcome) params.outcome = filters.outcome;
+        if (filters.search.trim()) params.search = filters.search.trim();
+        if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+        if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+
+        const data = await fetchAuditEvents(params);
+        if (!cancelled) {
+          setResult(data);
+          setError(null);
         }
-        
-        setError(null);
       } catch (err) {
-        console.error('Error loading user logs:', err);
-        setError('Failed to load user logs. Please try again later.');
+        console.error('Error loading audit events:', err);
+        if (!cancelled) setError(apiErrorMessage(err, 'Failed to load user logs. Please try again later.'));
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
-    loadLogs();
-  }, []);
+    loadEvents();
+    return () => {
+      cancelled = true;
+    };
+  }, [page, filters]);
+
+  /**
+   * Handle filter changes; any change starts again from the first page
+   *
+   * @param {string} filterType - Type of filter to change
+   * @param {string} value - New filter value
+   */
+  const handleFilterChange = (filterType, value) => {
+    setFilters({ ...filters, [filterType]: value });
+    setPage(1);
+  };
 
   /**
-   * Apply sorting to logs
-   * 
-   * @param {string} key - The property to sort by
+   * Walk the whole hash chain, archive included
    */
-  const handleSort = (key) => {
-    let direction = 'asc';
-    
-    if (sortConfig.key === key && sortConfig.direction === 'asc') {
-      direction = 'desc';
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      setVerification(await verifyAuditChain(true));
+    } catch (err) {
+      console.error('Error verifying audit chain:', err);
+      setVerification({ error: apiErrorMessage(err, 'Failed to verify the audit log.') });
+    } finally {
+      setVerifying(false);
     }
-    
-    setSortConfig({ key, direction });
-    
-    const sortedLogs = [...filteredLogs].sort((a, b) => {
-      if (a[key] === null) return 1;
-      if (b[key] === null) return -1;
-      
-      if (a[key] < b[key]) {
-        return direction === 'asc' ? -1 : 1;
-      }
-      if (a[key] > b[key]) {
-        return direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-    
-    setFilteredLogs(sortedLogs);
   };
 
   /**
-   * Apply filters to logs
-   * 
-   * @param {Object} newFilters - Updated filter settings
+   * Save the retention policy
+   *
+   * @param {Event} e - Form submission event
    */
-  const applyFilters = (newFilters) => {
-    let result = [...logs];
-    
-    // Apply role filter
-    if (newFilters.role !== 'all') {
-      result = result.filter(log => log.role === newFilters.role);
-    }
-    
-    // Apply action filter
-    if (newFilters.action !== 'all') {
-      result = result.filter(log => log.action === newFilters.action);
-    }
-    
-    // Apply search filter
-    if (newFilters.search.trim()) {
-      const searchTerm = newFilters.search.toLowerCase().trim();
-      result = result.filter(log => 
-        log.username.toLowerCase().includes(searchTerm) ||
-        log.userId.toLowerCase().includes(searchTerm) ||
-        log.ipAddress.toLowerCase().includes(searchTerm)
-      );
+  const handleRetentionSave = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await updateAuditRetention(Number(retentionInput));
+      setRetention(data);
+      setRetentionMessage(`Events are kept for ${data.days} days.`);
+    } catch (err) {
+      console.error('Error saving audit retention:', err);
+      setRetentionMessage(apiErrorMessage(err, 'Failed to save the retention policy.'));
     }
-    
-    // Apply current sort
-    result.sort((a, b) => {
-      if (a[sortConfig.key] === null) return 1;
-      if (b[sortConfig.key] === null) return -1;
-      
-      if (a[sortConfig.key] < b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? -1 : 1;
-      }
-      if (a[sortConfig.key] > b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-    
-    setFilteredLogs(result);
   };
 
   /**
-   * Handle filter changes
-   * 
-   * @param {string} filterType - Type of filter to change
-   * @param {string} value - New filter value
+   * Archive events past the retention now
    */
-  const handleFilterChange = (filterType, value) => {
-    const newFilters = {
-      ...filters,
-      [filterType]: value
-    };
-    
-    setFilters(newFilters);
-    applyFilters(newFilters);
+  const handleArchive = async () => {
+    try {
+      const { archived } = await archiveAuditEvents();
+      setRetentionMessage(archived > 0 ? `Archived ${archived} events.` : 'No events are past the retention.');
+      if (archived > 0) setFilters({ ...filters });
+    } catch (err) {
+      console.error('Error archiving audit events:', err);
+      setRetentionMessage(apiErrorMessage(err, 'Failed to archive events.'));
+    }
   };
 
   /**
    * Get action icon and color
-   * 
-   * @param {string} action - Action type
-   * @returns {Object} Icon and color classes
+   *
+   * @param {Object} event - Audit event
+   * @returns {Object} Icon, text and color classes
    */
-  const getActionDisplay = (action) => {
-    if (action === 'login') {
+  const getActionDisplay = (event) => {
+    const text = ACTION_LABELS[event.action] || event.action;
+    if (event.outcome === 'failure') {
+      return {
+        icon: <FaExclamationTriangle className="text-red-500" />,
+        text: `${text} failed`,
+        bgColor: 'bg-red-100 text-red-800'
+      };
+    }
+    if (event.action === 'auth.login') {
       return {
         icon: <FaSignInAlt className="text-green-500" />,
-        text: 'Login',
+        text,
         bgColor: 'bg-green-100 text-green-800'
       };
-    } else if (action === 'logout') {
+    } else if (event.action === 'auth.logout') {
       return {
-        icon: <FaSignOutAlt className="text-red-500" />,
-        text: 'Logout',
-        bgColor: 'bg-red-100 text-red-800'
+        icon: <FaSignOutAlt className="text-gray-500" />,
+        text,
+        bgColor: 'bg-gray-100 text-gray-800'
       };
-    } else if (action === 'signup') {
+    } else if (event.action === 'auth.signup') {
       return {
-        icon: <FaUserShield className="text-blue-500" />,
-        text: 'Signup',
+        icon: <FaUserPlus className="text-blue-500" />,
+        text,
         bgColor: 'bg-blue-100 text-blue-800'
       };
     }
     return {
-      icon: <FaUserShield className="text-gray-500" />,
-      text: action,
-      bgColor: 'bg-gray-100 text-gray-800'
+      icon: <FaUserShield className="text-purple-500" />,
+      text,
+      bgColor: 'bg-purple-100 text-purple-800'
     };
   };
 
+  /**
+   * Summarize the action-specific details of an event
+   *
+   * @param {Object} details - Event details
+   * @returns {string} e.g. "role: user → manager"
+   */
+  const formatDetails = (details = {}) => {
+    if (details.changes) {
+      return Object.entries(details.changes)
+        .map(([field, { from, to }]) => `${field}: ${from} → ${to}`)
+        .join(', ');
+    }
+    return Object.entries(details)
+      .filter(([key]) => key !== 'email')
+      .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+      .join(', ');
+  };
+
   /**
    * Format date for display
-   * 
+   *
    * @param {string} dateString - ISO date string
    * @returns {string} Formatted date string
    */
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
-    
+
     try {
       return new Date(dateString).toLocaleString();
     } catch (err) {
@@ -251,59 +267,6 @@ const UserLogPage = () => {
     }
   };
 
-  /**
-   * Delete a log entry
-   * 
-   * @param {string} logId - ID of the log to delete
-   */
-  const handleDelete = (logId) => {
-    // If not confirming, show confirmation first
-    if (deleteConfirm !== logId) {
-      setDeleteConfirm(logId);
-      return;
-    }
-    
-    // User confirmed deletion
-    const updatedLogs = logs.filter(log => log.id !== logId);
-    
-    // Update state
-    setLogs(updatedLogs);
-    setFilteredLogs(filteredLogs.filter(log => log.id !== logId));
-    
-    // Update localStorage
-    localStorage.setItem('userLogs', JSON.stringify(updatedLogs));
-    
-    // Reset confirmation state
-    setDeleteConfirm(null);
-  };
-
-  /**
-   * Cancel delete confirmation
-   */
-  const cancelDelete = () => {
-    setDeleteConfirm(null);
-  };
-
-  // Loading state
-  if (loading) {
-    return (
-      <div className="p-6 flex justify-center items-center" aria-live="polite" role="status">
-        <FaSpinner className="animate-spin text-blue-500 text-2xl" aria-hidden="true" />
-        <span className="ml-2">Loading user logs...</span>
-      </div>
-    );
-  }
-
-  // Error state
-  if (error) {
-    return (
-      <div className="p-6 text-red-500 flex items-center" aria-live="assertive" role="alert">
-        <FaExclamationTriangle className="mr-2" aria-hidden="true" />
-        <span>{error}</span>
-      </div>
-    );
-  }
-
   return (
     <div className="flex min-h-screen bg-gray-100">
     <Sidebar />
@@ -312,7 +275,57 @@ const UserLogPage = () => {
         <FaUserShield className="mr-2" aria-hidden="true" />
         User Activity Logs
       </h2>
-      
+
+      {/* Integrity and retention */}
+      <div className="mb-6 p-4 border rounded-lg flex flex-wrap items-center gap-4 text-sm">
+        <button
+          onClick={handleVerify}
+          disabled={verifying}
+          className="flex items-center px-3 py-1 rounded bg-gray-800 text-white hover:bg-gray-700 disabled:opacity-50"
+        >
+          <FaLink className="mr-2" aria-hidden="true" />
+          {verifying ? 'Verifying...' : 'Verify log integrity'}
+        </button>
+        {verification?.ok && (
+          <span className="flex items-center text-green-700" role="status">
+            <FaCheckCircle className="mr-1" aria-hidden="true" />
+            Chain intact ({verification.checked} events checked)
+          </span>
+        )}
+        {verification && verification.ok === false && (
+          <span className="flex items-center text-red-700" role="alert">
+            <FaExclamationTriangle className="mr-1" aria-hidden="true" />
+            Broken at event #{verification.broken.seq}: {verification.broken.reason}
+          </span>
+        )}
+        {verification?.error && <span className="text-red-700" role="alert">{verification.error}</span>}
+
+        {retention && (
+          <form onSubmit={handleRetentionSave} className="flex items-center gap-2 md:ml-auto">
+            <label htmlFor="retention-days" className="text-gray-700">Keep events for</label>
+            <input
+              id="retention-days"
+              type="number"
+              min="30"
+              value={retentionInput}
+              onChange={(e) => setRetentionInput(e.target.value)}
+              disabled={!can('audit.manage')}
+              className="w-20 rounded-md border-gray-300 shadow-sm sm:text-sm"
+            />
+            <span className="text-gray-700">days, then archive</span>
+            {can('audit.manage') && (
+              <>
+                <button type="submit" className="px-3 py-1 rounded border hover:bg-gray-50">Save</button>
+                <button type="button" onClick={handleArchive} className="px-3 py-1 rounded border hover:bg-gray-50">
+                  Archive now
+                </button>
+              </>
+            )}
+          </form>
+        )}
+        {retentionMessage && <span className="w-full text-gray-600">{retentionMessage}</span>}
+      </div>
+
       <div className="mb-6 space-y-4 md:space-y-0 md:flex md:space-x-4">
         {/* Search input */}
         <div className="md:flex-1">
@@ -323,30 +336,12 @@ const UserLogPage = () => {
             id="log-search"
             type="text"
             className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-            placeholder="Search by username, user ID, or IP"
+            placeholder="Search by email, name or IP"
             value={filters.search}
             onChange={(e) => handleFilterChange('search', e.target.value)}
             aria-label="Search logs"
           />
         </div>
-        
-        {/* Role filter */}
-        <div className="md:w-48">
-          <label htmlFor="role-filter" className="block text-sm font-medium text-gray-700 mb-1">
-            Filter by Role
-          </label>
-          <select
-            id="role-filter"
-            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-            value={filters.role}
-            onChange={(e) => handleFilterChange('role', e.target.value)}
-            aria-label="Filter logs by role"
-          >
-            <option value="all">All Roles</option>
-            <option value="admin">Admin</option>
-            <option value="user">User</option>
-          </select>
-        </div>
 
         {/* Action filter */}
         <div className="md:w-48">
@@ -360,156 +355,158 @@ const UserLogPage = () => {
             onChange={(e) => handleFilterChange('action', e.target.value)}
             aria-label="Filter logs by action"
           >
-            <option value="all">All Actions</option>
-            <option value="login">Login</option>
-            <option value="logout">Logout</option>
-            <option value="signup">Signup</option>
+            <option value="">All Actions</option>
+            {ACTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
           </select>
         </div>
+
+        {/* Outcome filter */}
+        <div className="md:w-40">
+          <label htmlFor="outcome-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            Outcome
+          </label>
+          <select
+            id="outcome-filter"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.outcome}
+            onChange={(e) => handleFilterChange('outcome', e.target.value)}
+            aria-label="Filter logs by outcome"
+          >
+            <option value="">All</option>
+            <option value="success">Success</option>
+            <option value="failure">Failure</option>
+          </select>
+        </div>
+
+        {/* Date range */}
+        <div className="md:w-40">
+          <label htmlFor="from-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            From
+          </label>
+          <input
+            id="from-filter"
+            type="date"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.from}
+            onChange={(e) => handleFilterChange('from', e.target.value)}
+          />
+        </div>
+        <div className="md:w-40">
+          <label htmlFor="to-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            To
+          </label>
+          <input
+            id="to-filter"
+            type="date"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.to}
+            onChange={(e) => handleFilterChange('to', e.target.value)}
+          />
+        </div>
       </div>
-      
+
       {/* Results count */}
-      <div className="mb-4 text-sm text-gray-500">
-        Showing {filteredLogs.length} of {logs.length} logs
+      <div className="mb-4 text-sm text-gray-500 flex items-center">
+        {loading && <FaSpinner className="animate-spin text-blue-500 mr-2" aria-hidden="true" />}
+        {result.total} events
       </div>
-      
+
+      {/* Error state */}
+      {error && (
+        <div className="mb-4 text-red-500 flex items-center" aria-live="assertive" role="alert">
+          <FaExclamationTriangle className="mr-2" aria-hidden="true" />
+          <span>{error}</span>
+        </div>
+      )}
+
       {/* Log table */}
       <div className="overflow-x-auto">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('username')}
-              >
-                <div className="flex items-center">
-                  Username
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('role')}
-              >
-                <div className="flex items-center">
-                  Role
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('loginTime')}
-              >
-                <div className="flex items-center">
-                  Login Time
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('logoutTime')}
-              >
-                <div className="flex items-center">
-                  Logout Time
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
-              >
-                Token
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
-              >
-                IP Address
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider"
-              >
-                Actions
-              </th>
+              {['Time', 'User', 'Action', 'Target', 'Details', 'IP Address', 'Device'].map((heading) => (
+                <th
+                  key={heading}
+                  scope="col"
+                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  {heading}
+                </th>
+              ))}
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {filteredLogs.length === 0 ? (
+            {result.events.length === 0 ? (
               <tr>
                 <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
-                  No logs match your filters
+                  {loading ? 'Loading user logs...' : 'No logs match your filters'}
                 </td>
               </tr>
             ) : (
-              filteredLogs.map((log) => (
-                <tr key={log.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900">{log.username}</div>
-                    <div className="text-xs text-gray-500">{log.userId}</div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                      log.role === 'admin' 
-                        ? 'bg-purple-100 text-purple-800' 
-                        : 'bg-blue-100 text-blue-800'
-                    }`}>
-                      {log.role}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(log.loginTime)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(log.logoutTime)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    <span className="font-mono">{log.tokenName}</span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {log.ipAddress}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    {deleteConfirm === log.id ? (
-                      <div className="flex justify-end space-x-2">
-                        <button
-                          onClick={() => handleDelete(log.id)}
-                          className="text-red-600 hover:text-red-900"
-                          aria-label={`Confirm delete log for ${log.username}`}
-                        >
-                          Confirm
-                        </button>
-                        <button
-                          onClick={cancelDelete}
-                          className="text-gray-600 hover:text-gray-900"
-                          aria-label="Cancel delete"
-                        >
-                          Cancel
-                        </button>
+              result.events.map((event) => {
+                const { icon, text, bgColor } = getActionDisplay(event);
+                return (
+                  <tr key={event._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDate(event.createdAt)}
+                      <div className="text-xs text-gray-400 font-mono" title={event.hash}>#{event.seq}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">
+                        {event.actor?.email || event.email || 'Unknown'}
                       </div>
-                    ) : (
-                      <button
-                        onClick={() => handleDelete(log.id)}
-                        className="text-red-600 hover:text-red-900"
-                        aria-label={`Delete log for ${log.username}`}
-                      >
-                        <FaTrash aria-hidden="true" />
-                      </button>
-                    )}
-                  </td>
-                </tr>
-              ))
+                      <div className="text-xs text-gray-500">{event.actor?.fullName}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex items-center gap-1 text-xs leading-5 font-semibold rounded-full ${bgColor}`}>
+                        {icon} {text}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {event.target?.email || event.details?.email || '—'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {formatDetails(event.details) || '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {event.ip || 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 text-xs text-gray-500 max-w-xs truncate" title={event.userAgent || ''}>
+                      {event.userAgent || 'N/A'}
+                    </td>
+                  </tr>
+                );
+              })
             )}
           </tbody>
         </table>
       </div>
+
+      {/* Pagination */}
+      <div className="mt-4 flex items-center justify-between text-sm">
+        <button
+          onClick={() => setPage(page - 1)}
+          disabled={page <= 1 || loading}
+          className="px-3 py-1 rounded border disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span className="text-gray-500">
+          Page {result.page} of {result.pages}
+        </span>
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={page >= result.pages || loading}
+          className="px-3 py-1 rounded border disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
     </div>
     </div>
   );
 };
 
-export default UserLogPage;
\ No newline at end of file
+export default UserLogPage;
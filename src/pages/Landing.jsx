@@ -5,7 +5,7 @@ import { useAuth } from "../contexts/AuthContext";
 
 const Landing = () => {
   const navigate = useNavigate();
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, homePath, logout } = useAuth();
   const [activeFAQ, setActiveFAQ] = useState(null);
 
   const toggleFAQ = (index) => {
@@ -20,16 +20,11 @@ const Landing = () => {
   };
 
   const handleDashboardAccess = () => {
-    const userRole = localStorage.getItem("userRole");
-    const dashboardPath = userRole === "admin" ? "/admin/dashboard" : "/user/dashboard";
-    navigate(dashboardPath);
+    navigate(homePath());
   };
 
   const handleLogout = () => {
-    localStorage.removeItem("token");
-    localStorage.removeItem("userRole");
-    localStorage.removeItem("userId");
-    localStorage.removeItem("email");
+    logout();
     navigate("/login");
   };
 
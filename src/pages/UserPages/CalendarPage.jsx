@@ -7,6 +7,7 @@ import getDay from "date-fns/getDay";
 import enUS from "date-fns/locale/en-US";
 import "react-big-calendar/lib/css/react-big-calendar.css";
 import UserSidebar from "./UserSidebar";
+import { useTasks } from "../../hooks/useTasks";
 
 const locales = { "en-US": enUS };
 
@@ -19,22 +20,23 @@ const localizer = dateFnsLocalizer({
 });
 
 const CalendarPage = () => {
+  const { tasks } = useTasks();
   const [events, setEvents] = useState([]);
   const [currentDate, setCurrentDate] = useState(new Date());
 
-  // Fetch tasks from localStorage
+  // Turn task due dates into calendar deadlines
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    
-    const taskEvents = storedTasks.map((task) => ({
-      title: task.title,
-      start: new Date(task.deadline), 
-      end: new Date(task.deadline), 
-      type: "deadline",
-    }));
+    const taskEvents = tasks
+      .filter((task) => task.dueDate)
+      .map((task) => ({
+        title: task.title,
+        start: new Date(task.dueDate),
+        end: new Date(task.dueDate),
+        type: "deadline",
+      }));
 
     setEvents(taskEvents);
-  }, []);
+  }, [tasks]);
 
   const handleSelectSlot = ({ start, end }) => {
     const title = prompt("Enter event title:");
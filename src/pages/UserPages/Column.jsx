@@ -1,12 +1,34 @@
 import React from "react";
+import { useDroppable } from "@dnd-kit/core";
+
+// Registered as a drop target so empty columns still accept cards. In swimlane
+// mode each lane gets its own compact cell without a header.
+const Column = ({ id, data, title, count, wipLimit, compact = false, children }) => {
+  const { setNodeRef, isOver } = useDroppable({ id, data });
+  const overLimit = wipLimit && count > wipLimit;
+  const atLimit = wipLimit && count >= wipLimit;
 
-const Column = ({ title, children }) => {
   return (
     <div
-      className="bg-gray-200 p-4 rounded-lg min-h-[500px] flex flex-col transition-all duration-200 hover:bg-gray-300 hover:shadow-lg"
+      ref={setNodeRef}
+      className={`p-4 rounded-lg ${compact ? "min-h-[120px]" : "min-h-[500px]"} flex flex-col transition-all duration-200 hover:shadow-lg ${
+        overLimit ? "bg-red-100 hover:bg-red-200" : "bg-gray-200 hover:bg-gray-300"
+      } ${isOver ? "ring-2 ring-blue-400" : ""}`}
     >
-      <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
-      <div className="flex-1 space-y-2 mt-2">{children}</div>
+      {!compact && (
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+          <span
+            className={`text-sm font-medium px-2 py-0.5 rounded ${
+              atLimit ? "bg-red-500 text-white" : "bg-white text-gray-700"
+            }`}
+            title={wipLimit ? "Cards / WIP limit" : "Cards"}
+          >
+            {wipLimit ? `${count} / ${wipLimit}` : count}
+          </span>
+        </div>
+      )}
+      <div className={`flex-1 space-y-2 ${compact ? "" : "mt-2"}`}>{children}</div>
     </div>
   );
 };
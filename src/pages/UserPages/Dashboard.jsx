@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useState, useRef, useMemo } from "react";
 import { DndContext, closestCorners } from "@dnd-kit/core";
 import { SortableContext, verticalListSortingStrategy } from "@dnd-kit/sortable";
 import { Bar } from "react-chartjs-2";
@@ -9,21 +9,28 @@ import UserSidebar from "./UserSidebar";
 import Column from "./Column";
 import SortableItem from "./SortableItem";
 import notificationSound from "./notification.mp3";
+import { useTasks } from "../../hooks/useTasks";
+import { useBoard } from "../../hooks/useBoard";
+import { useProjects } from "../../hooks/useProjects";
+import BoardSettings from "../../components/tasks/BoardSettings";
+import { CATEGORY_LABELS, apiErrorMessage } from "../../utils/workflow";
+import { LANE_MODES, buildLanes, laneKeysFor, laneChanges } from "../../utils/swimlanes";
 
+// Filters narrow the board to the statuses of one workflow category
 const FILTERS = [
   { label: "All", value: "all" },
-  { label: "To Do", value: "todo" },
-  { label: "In Progress", value: "inprogress" },
-  { label: "Completed", value: "completed" },
+  ...Object.entries(CATEGORY_LABELS).map(([value, label]) => ({ label, value })),
 ];
 
 const UserDashboard = () => {
-  const [tasks, setTasks] = useState({
-    "To Do": [],
-    "In Progress": [],
-    Completed: [],
-  });
+  const { tasks: taskList, loading, moveTaskTo } = useTasks();
+  const { currentProject } = useProjects();
+  // A project's own board, otherwise the user's personal board
+  const { board, saveWorkflow } = useBoard(currentProject?.board || "default");
   const [filter, setFilter] = useState("all");
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [laneMode, setLaneMode] = useState(localStorage.getItem("swimlanes") || "none");
+  const [collapsedLanes, setCollapsedLanes] = useState([]);
   const [notes, setNotes] = useState(localStorage.getItem("notes") || "");
   const audioRef = useRef(new Audio(notificationSound));
 
@@ -32,21 +39,52 @@ const UserDashboard = () => {
     window.scrollTo(0, 0);
   }, []);
 
+  const statuses = useMemo(() => board?.statuses || [], [board]);
+
+  // One column per workflow status, in the order the board defines them. Cards
+  // follow their saved rank; never-ordered cards go last, oldest first.
+  const tasks = useMemo(() => {
+    const columns = Object.fromEntries(statuses.map((status) => [status.key, []]));
+    taskList
+      .filter((task) => board && task.board === board.id)
+      .forEach((task) => columns[task.status]?.push(task));
+    Object.values(columns).forEach((cards) =>
+      cards.sort((a, b) => {
+        if (a.rank && b.rank) return a.rank < b.rank ? -1 : 1;
+        if (a.rank || b.rank) return a.rank ? -1 : 1;
+        return new Date(a.createdAt) - new Date(b.createdAt);
+      })
+    );
+    return columns;
+  }, [taskList, statuses, board]);
+
+  // Deadline reminders fire once, after the first load from the server
+  const deadlinesCheckedRef = useRef(false);
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const categorizedTasks = {
-      "To Do": storedTasks.filter((task) => task.progress <= 40),
-      "In Progress": storedTasks.filter((task) => task.progress > 40 && task.progress <= 80),
-      Completed: storedTasks.filter((task) => task.progress > 80),
-    };
-    setTasks(categorizedTasks);
-    checkDeadlines(storedTasks);
-  }, []);
+    if (loading || deadlinesCheckedRef.current) return;
+    deadlinesCheckedRef.current = true;
+    checkDeadlines(taskList);
+  }, [loading, taskList]);
 
   useEffect(() => {
     localStorage.setItem("notes", notes);
   }, [notes]);
 
+  useEffect(() => {
+    localStorage.setItem("swimlanes", laneMode);
+    setCollapsedLanes([]);
+  }, [laneMode]);
+
+  const boardTasks = useMemo(() => Object.values(tasks).flat(), [tasks]);
+  const lanes = useMemo(() => buildLanes(boardTasks, laneMode), [boardTasks, laneMode]);
+
+  // Cards of one column that belong to a lane, in rank order
+  const cellTasks = (laneKey, columnKey) =>
+    tasks[columnKey].filter((task) => laneKeysFor(task, laneMode).includes(laneKey));
+
+  const toggleLane = (laneKey) =>
+    setCollapsedLanes((prev) => (prev.includes(laneKey) ? prev.filter((key) => key !== laneKey) : [...prev, laneKey]));
+
   const checkDeadlines = (tasks) => {
     const today = new Date().toISOString().split("T")[0];
     const tomorrow = new Date();
@@ -54,9 +92,10 @@ const UserDashboard = () => {
     const tomorrowStr = tomorrow.toISOString().split("T")[0];
 
     tasks.forEach((task) => {
-      if (task.deadline === today) {
+      const deadline = task.dueDate?.split("T")[0];
+      if (deadline === today) {
         showNotification(`🚨 Task Due Today: "${task.title}"`, "bg-red-500 text-white");
-      } else if (task.deadline === tomorrowStr) {
+      } else if (deadline === tomorrowStr) {
         showNotification(`⏳ Task Due Tomorrow: "${task.title}"`, "bg-yellow-500 text-black");
       }
     });
@@ -72,52 +111,77 @@ const UserDashboard = () => {
     audioRef.current.play();
   };
 
-  const handleDragEnd = (event) => {
+  // Cards and cells carry { lane, status, task? } so a drop knows where it landed
+  const handleDragEnd = async (event) => {
     const { active, over } = event;
     if (!over || active.id === over.id) return;
 
-    const sourceColumn = Object.keys(tasks).find((column) =>
-      tasks[column].some((task) => task.id === active.id)
-    );
-    const targetColumn = Object.keys(tasks).find((column) => tasks[column].some((task) => task.id === over.id)) || over.id;
+    const source = active.data.current;
+    const target = over.data.current;
+    if (!source?.task || !target || !tasks[target.status]) return;
 
-    if (!sourceColumn || !targetColumn || sourceColumn === targetColumn) return;
+    const moved = source.task;
+    const targetColumn = target.status;
 
-    setTasks((prevTasks) => {
-      const updatedTasks = { ...prevTasks };
-      const movedTask = updatedTasks[sourceColumn].find((task) => task.id === active.id);
-      updatedTasks[sourceColumn] = updatedTasks[sourceColumn].filter((task) => task.id !== active.id);
-      updatedTasks[targetColumn] = [...(updatedTasks[targetColumn] || []), movedTask];
+    // Dropped on a card: take its place. Dropped on the cell itself: go last.
+    const cell = cellTasks(target.lane, targetColumn);
+    const others = cell.filter((task) => task.id !== moved.id);
+    const overIndex = target.task ? cell.findIndex((task) => task.id === target.task.id) : -1;
+    const index = overIndex === -1 ? others.length : overIndex;
+    const prevId = others[index - 1]?.id ?? null;
+    const nextId = others[index]?.id ?? null;
+    const changes = laneChanges(moved, laneMode, source.lane, target.lane);
 
-      return updatedTasks;
-    });
+    if (source.status === targetColumn) {
+      const currentIndex = cell.findIndex((task) => task.id === moved.id);
+      if (currentIndex === index && Object.keys(changes).length === 0) return;
+    } else {
+      const column = statuses.find((status) => status.key === targetColumn);
+      if (column?.wipLimit && tasks[targetColumn].length >= column.wipLimit && board.wipEnforcement !== "block") {
+        toast.warn(`"${column.name}" is over its WIP limit of ${column.wipLimit}.`);
+      }
+    }
 
-    localStorage.setItem("tasks", JSON.stringify([...tasks["To Do"], ...tasks["In Progress"], ...tasks["Completed"]]));
+    // The server enforces the board's allowed transitions and blocking WIP limits
+    try {
+      await moveTaskTo(moved.id, { status: targetColumn, prevId, nextId, ...changes });
+    } catch (err) {
+      console.error("Error moving task:", err);
+      toast.error(apiErrorMessage(err, "Failed to move task."));
+    }
   };
 
   // Task Analytics Chart Data (Bar Graph)
   const chartData = {
-    labels: ["To Do", "In Progress", "Completed"],
+    labels: statuses.map((status) => status.name),
     datasets: [
       {
         label: "Number of Tasks",
-        data: [
-          tasks["To Do"].length,
-          tasks["In Progress"].length,
-          tasks.Completed.length,
-        ],
-        backgroundColor: ["#FF6384", "#FFCE56", "#36A2EB"],
+        data: statuses.map((status) => tasks[status.key].length),
+        backgroundColor: statuses.map((status) => status.color),
       },
     ],
   };
 
   // Filtered columns logic
-  const getFilteredColumns = () => {
-    if (filter === "all") return Object.keys(tasks);
-    if (filter === "todo") return ["To Do"];
-    if (filter === "inprogress") return ["In Progress"];
-    if (filter === "completed") return ["Completed"];
-    return Object.keys(tasks);
+  const getFilteredColumns = () =>
+    statuses.filter((status) => filter === "all" || status.category === filter);
+
+  // A card can sit in several label lanes, so sortable ids are scoped to the lane
+  const renderCards = (laneKey, columnKey) => {
+    const cards = cellTasks(laneKey, columnKey);
+    return (
+      <SortableContext items={cards.map((task) => `${laneKey}/${task.id}`)} strategy={verticalListSortingStrategy}>
+        {cards.map((task) => (
+          <SortableItem
+            key={task.id}
+            id={`${laneKey}/${task.id}`}
+            data={{ lane: laneKey, status: columnKey, task }}
+            task={task}
+          />
+        ))}
+      </SortableContext>
+    );
   };
 
   return (
@@ -145,22 +209,101 @@ const UserDashboard = () => {
               {f.label}
             </button>
           ))}
+          <select
+            value={laneMode}
+            onChange={(e) => setLaneMode(e.target.value)}
+            className="px-4 py-2 rounded-lg font-semibold border bg-white text-gray-700 border-gray-300"
+            aria-label="Swimlanes"
+          >
+            {LANE_MODES.map((mode) => (
+              <option key={mode.value} value={mode.value}>
+                {mode.value === "none" ? mode.label : `Lanes: ${mode.label}`}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setSettingsOpen(true)}
+            disabled={!board}
+            className="px-4 py-2 rounded-lg font-semibold border bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+          >
+            Columns
+          </button>
         </div>
 
+        <BoardSettings isOpen={settingsOpen} board={board} onClose={() => setSettingsOpen(false)} onSave={saveWorkflow} />
+
         {/* Kanban Board */}
         <div className="glassmorphism p-4 rounded-xl shadow-lg bg-gradient-to-br from-white/30 to-white/10 backdrop-blur-lg border border-white/20">
           <DndContext collisionDetection={closestCorners} onDragEnd={handleDragEnd}>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {getFilteredColumns().map((columnKey) => (
-                <Column key={columnKey} title={columnKey} id={columnKey} className="w-[280px]">
-                  <SortableContext items={tasks[columnKey].map((task) => task.id)} strategy={verticalListSortingStrategy}>
-                    {tasks[columnKey].map((task) => (
-                      <SortableItem key={task.id} id={task.id} task={task} />
-                    ))}
-                  </SortableContext>
-                </Column>
-              ))}
-            </div>
+            {laneMode === "none" ? (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                {getFilteredColumns().map(({ key: columnKey, name, wipLimit }) => (
+                  <Column
+                    key={columnKey}
+                    id={columnKey}
+                    data={{ lane: "all", status: columnKey }}
+                    title={name}
+                    count={tasks[columnKey].length}
+                    wipLimit={wipLimit}
+                  >
+                    {renderCards("all", columnKey)}
+                  </Column>
+                ))}
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {/* Column headers with board-wide counts, shared by every lane */}
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {getFilteredColumns().map(({ key: columnKey, name, wipLimit }) => (
+                    <div key={columnKey} className="flex items-center justify-between px-4">
+                      <h2 className="text-lg font-semibold text-gray-800">{name}</h2>
+                      <span
+                        className={`text-sm font-medium px-2 py-0.5 rounded ${
+                          wipLimit && tasks[columnKey].length >= wipLimit ? "bg-red-500 text-white" : "bg-white text-gray-700"
+                        }`}
+                      >
+                        {wipLimit ? `${tasks[columnKey].length} / ${wipLimit}` : tasks[columnKey].length}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+
+                {lanes.map((lane) => {
+                  const collapsed = collapsedLanes.includes(lane.key);
+                  const laneCount = getFilteredColumns().reduce(
+                    (sum, { key: columnKey }) => sum + cellTasks(lane.key, columnKey).length,
+                    0
+                  );
+                  return (
+                    <section key={lane.key} className="bg-white/40 rounded-lg p-2">
+                      <button
+                        onClick={() => toggleLane(lane.key)}
+                        className="w-full flex items-center gap-2 px-2 py-1 font-semibold text-gray-800"
+                        aria-expanded={!collapsed}
+                      >
+                        <span>{collapsed ? "▸" : "▾"}</span>
+                        <span>{lane.title}</span>
+                        <span className="text-sm font-medium px-2 py-0.5 rounded bg-white text-gray-700">{laneCount}</span>
+                      </button>
+                      {!collapsed && (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 mt-2">
+                          {getFilteredColumns().map(({ key: columnKey }) => (
+                            <Column
+                              key={columnKey}
+                              id={`${lane.key}/${columnKey}`}
+                              data={{ lane: lane.key, status: columnKey }}
+                              compact
+                            >
+                              {renderCards(lane.key, columnKey)}
+                            </Column>
+                          ))}
+                        </div>
+                      )}
+                    </section>
+                  );
+                })}
+              </div>
+            )}
           </DndContext>
         </div>
 
@@ -1,18 +1,21 @@
 import React, { useEffect, useState } from "react";
 import UserSidebar from "./UserSidebar"; 
+import { useTasks } from "../../hooks/useTasks";
+import NotificationFeed from "../../components/common/NotificationFeed";
 
 const NotificationsPage = () => {
+  const { tasks } = useTasks();
   const [notifications, setNotifications] = useState([]);
 
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
     let newNotifications = [];
 
-    storedTasks.forEach((task) => {
-      const taskDate = new Date(task.deadline);
+    tasks.forEach((task) => {
+      if (!task.dueDate) return;
+      const taskDate = new Date(task.dueDate);
       taskDate.setHours(0, 0, 0, 0);
 
       // 🔴 Deadline is today
@@ -29,7 +32,7 @@ const NotificationsPage = () => {
     });
 
     setNotifications(newNotifications);
-  }, []);
+  }, [tasks]);
 
   return (
     <div className="flex min-h-screen bg-gray-100">
@@ -41,6 +44,11 @@ const NotificationsPage = () => {
         <div className="bg-white p-6 rounded-lg shadow-md w-full max-w-3xl">
           <h2 className="text-2xl font-bold mb-4 text-center">📢 Notifications</h2>
 
+          {/* Account notifications from the server, then upcoming deadlines */}
+          <div className="mb-3">
+            <NotificationFeed />
+          </div>
+
           {notifications.length === 0 ? (
             <p className="text-gray-500 text-center">No new notifications</p>
           ) : (
@@ -1,23 +1,20 @@
 import React, { useState } from "react";
 import UserSidebar from "./UserSidebar";
+import ActiveSessions from "../../components/common/ActiveSessions";
+import TwoFactorSettings from "../../components/common/TwoFactorSettings";
+import ChangePasswordForm from "../../components/common/ChangePasswordForm";
+import { fetchMySessions, revokeMySession, revokeMyOtherSessions } from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+
+// Personal details kept in this browser only. Name and email belong to the account.
+const LOCAL_FIELDS = ["phone", "address", "dob", "role", "linkedin", "github", "profilePic"];
 
 const ProfilePage = () => {
-  // Load stored profile data
+  const { user } = useAuth();
+  // Load stored profile data, leaving out any name or email saved by older versions
   const [profile, setProfile] = useState(() => {
-    const savedProfile = JSON.parse(localStorage.getItem("userProfile"));
-    return (
-      savedProfile || {
-        name: "",
-        email: "",
-        phone: "",
-        address: "",
-        dob: "",
-        role: "",
-        linkedin: "",
-        github: "",
-        profilePic: "",
-      }
-    );
+    const savedProfile = JSON.parse(localStorage.getItem("userProfile")) || {};
+    return Object.fromEntries(LOCAL_FIELDS.map((field) => [field, savedProfile[field] || ""]));
   });
 
   const [imagePreview, setImagePreview] = useState(profile.profilePic);
@@ -75,28 +72,14 @@ const ProfilePage = () => {
 
           {/* Profile Details */}
           <div className="space-y-5">
-            {/* Name */}
+            {/* Name and email, from the account */}
             <div>
-              <label className="block text-lg font-medium text-gray-700">Name</label>
-              <input
-                type="text"
-                name="name"
-                value={profile.name}
-                onChange={handleChange}
-                className="w-full px-4 py-2 border rounded-lg text-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-              />
+              <span className="block text-lg font-medium text-gray-700">Name</span>
+              <p className="px-4 py-2 text-lg text-gray-800">{user?.fullName}</p>
             </div>
-
-            {/* Email */}
             <div>
-              <label className="block text-lg font-medium text-gray-700">Email</label>
-              <input
-                type="email"
-                name="email"
-                value={profile.email}
-                onChange={handleChange}
-                className="w-full px-4 py-2 border rounded-lg text-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-              />
+              <span className="block text-lg font-medium text-gray-700">Email</span>
+              <p className="px-4 py-2 text-lg text-gray-800">{user?.email}</p>
             </div>
 
             {/* Phone Number */}
@@ -184,6 +167,24 @@ const ProfilePage = () => {
               Save Profile
             </button>
           </div>
+
+          {/* Change password */}
+          <div className="mt-8">
+            <h3 className="text-2xl font-bold mb-4 text-gray-800">Change Password</h3>
+            <ChangePasswordForm />
+          </div>
+
+          {/* Two-factor authentication */}
+          <div className="mt-8">
+            <h3 className="text-2xl font-bold mb-4 text-gray-800">Two-Factor Authentication</h3>
+            <TwoFactorSettings />
+          </div>
+
+          {/* Sessions */}
+          <div className="mt-8">
+            <h3 className="text-2xl font-bold mb-4 text-gray-800">Sessions</h3>
+            <ActiveSessions load={fetchMySessions} revoke={revokeMySession} revokeOthers={revokeMyOtherSessions} />
+          </div>
         </div>
       </div>
     </div>
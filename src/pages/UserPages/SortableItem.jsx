@@ -1,6 +1,7 @@
 import React from "react";
 import { useSortable } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
+import { formatDate } from "../../utils/dateFormatter";
 
 const priorityColors = {
   High: "bg-red-100 hover:bg-red-300",
@@ -8,8 +9,8 @@ const priorityColors = {
   Low: "bg-green-100 hover:bg-green-300",
 };
 
-const SortableItem = ({ id, task }) => {
-  const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id });
+const SortableItem = ({ id, data, task }) => {
+  const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id, data });
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -28,7 +29,14 @@ const SortableItem = ({ id, task }) => {
     >
       <p className="font-semibold">{task.title}</p>
       <p className="text-sm text-gray-700">{task.description}</p> {/* Description instead of priority */}
-      <p className="text-xs text-gray-600">Deadline: {task.deadline}</p>
+      <p className="text-xs text-gray-600">Deadline: {task.dueDate ? formatDate(task.dueDate) : "None"}</p>
+      {task.labels?.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1">
+          {task.labels.map((label) => (
+            <span key={label} className="text-xs px-2 py-0.5 rounded-full bg-white/70 text-gray-700">{label}</span>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
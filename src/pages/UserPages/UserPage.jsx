@@ -1,69 +1,62 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import UserSidebar from "./UserSidebar";
+import { useTasks } from "../../hooks/useTasks";
+import { formatDate } from "../../utils/dateFormatter";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
 const UserPage = () => {
-  const [tasks, setTasks] = useState([]);
-  const [loggedInUser, setLoggedInUser] = useState(""); // ✅ Store logged-in user
+  const { tasks, setTasks, addTask, editTask, removeTask } = useTasks();
   const [newTask, setNewTask] = useState({
     title: "",
     description: "",
     priority: "Medium",
-    deadline: "",
+    dueDate: "",
     progress: 0,
+    labels: "",
   });
 
-  useEffect(() => {
-    // ✅ Fetch logged-in user from localStorage
-    const storedUser = JSON.parse(localStorage.getItem("loggedInUser"));
-    setLoggedInUser(storedUser?.name || "Unknown User");
-
-    // ✅ Fetch stored tasks
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
-  }, []);
-
   // Handle Task Creation
-  const handleCreateTask = (e) => {
+  const handleCreateTask = async (e) => {
     e.preventDefault();
     if (!newTask.title.trim() || !newTask.description.trim()) return;
 
-    const taskId = Date.now().toString();
-    
-    // ✅ Assign task to logged-in user
-    const newTaskItem = { 
-      id: taskId, 
-      ...newTask, 
-      assignedTo: loggedInUser // ✅ Store assigned user
-    };
-
-    const updatedTasks = [...tasks, newTaskItem];
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
-
-    toast.success("Task added successfully!", { icon: "✅" });
-
-    setNewTask({ title: "", description: "", priority: "Medium", deadline: "", progress: 0 });
+    try {
+      // ✅ The server assigns the task to the logged-in user
+      await addTask({ ...newTask, labels: newTask.labels.split(",") });
+      toast.success("Task added successfully!", { icon: "✅" });
+      setNewTask({ title: "", description: "", priority: "Medium", dueDate: "", progress: 0, labels: "" });
+    } catch (err) {
+      console.error("Error creating task:", err);
+      toast.error("Failed to create task.");
+    }
   };
 
   // Handle Task Deletion
-  const handleDeleteTask = (taskId) => {
-    const updatedTasks = tasks.filter((task) => task.id !== taskId);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
-
-    toast.error("Task removed successfully!", { icon: "🗑️" });
+  const handleDeleteTask = async (taskId) => {
+    try {
+      await removeTask(taskId);
+      toast.error("Task removed successfully!", { icon: "🗑️" });
+    } catch (err) {
+      console.error("Error deleting task:", err);
+      toast.error("Failed to delete task.");
+    }
   };
 
-  // Handle Progress Update
+  // Move the slider locally; the value is saved once the user lets go
   const updateProgress = (taskId, progress) => {
-    const updatedTasks = tasks.map((task) =>
-      task.id === taskId ? { ...task, progress: parseInt(progress) } : task
+    setTasks((prev) =>
+      prev.map((task) => (task.id === taskId ? { ...task, progress: parseInt(progress) } : task))
     );
+  };
 
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  const saveProgress = async (taskId, progress) => {
+    try {
+      await editTask(taskId, { progress: parseInt(progress) });
+    } catch (err) {
+      console.error("Error updating progress:", err);
+      toast.error("Failed to save progress.");
+    }
   };
 
   // Function to get priority color
@@ -114,6 +107,17 @@ const UserPage = () => {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Labels</label>
+              <input
+                type="text"
+                placeholder="Comma separated, e.g. frontend, bug"
+                className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+                value={newTask.labels}
+                onChange={(e) => setNewTask({ ...newTask, labels: e.target.value })}
+              />
+            </div>
+
             <div className="flex gap-4">
               <div className="w-1/2">
                 <label className="block text-sm font-medium text-gray-700">Priority</label>
@@ -133,8 +137,8 @@ const UserPage = () => {
                 <input
                   type="date"
                   className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-                  value={newTask.deadline}
-                  onChange={(e) => setNewTask({ ...newTask, deadline: e.target.value })}
+                  value={newTask.dueDate}
+                  onChange={(e) => setNewTask({ ...newTask, dueDate: e.target.value })}
                   required
                 />
               </div>
@@ -163,12 +167,20 @@ const UserPage = () => {
                   Priority: {task.priority}
                 </span>
 
+                {task.labels?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {task.labels.map((label) => (
+                      <span key={label} className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">{label}</span>
+                    ))}
+                  </div>
+                )}
+
                 <p className="text-sm text-gray-700 mt-1">
-                  <span className="font-semibold">Assigned To:</span> {task.assignedTo}
+                  <span className="font-semibold">Assigned To:</span> {task.assignee?.fullName || "Unassigned"}
                 </p>
 
                 <p className="text-sm text-gray-700 mt-1">
-                  <span className="font-semibold">Deadline:</span> {task.deadline}
+                  <span className="font-semibold">Deadline:</span> {task.dueDate ? formatDate(task.dueDate) : "None"}
                 </p>
 
                 {/* Task Progress */}
@@ -180,6 +192,8 @@ const UserPage = () => {
                     max="100"
                     value={task.progress}
                     onChange={(e) => updateProgress(task.id, e.target.value)}
+                    onPointerUp={(e) => saveProgress(task.id, e.target.value)}
+                    onKeyUp={(e) => saveProgress(task.id, e.target.value)}
                     className="w-full mt-2 accent-blue-600"
                   />
                   <span className="text-sm font-medium text-gray-700">{task.progress}% Completed</span>
@@ -1,9 +1,15 @@
-import React from "react";
+import React, { useState } from "react";
 import { Link, useLocation } from "react-router-dom";
-import { FaChartBar, FaTasks, FaCalendarAlt, FaBell, FaUser } from "react-icons/fa";
+import { FaChartBar, FaTasks, FaCalendarAlt, FaBell, FaUser, FaPlus, FaCog } from "react-icons/fa";
+import { useProjects } from "../../hooks/useProjects";
+import { ALL_PROJECTS, PERSONAL } from "../../utils/projects";
+import ProjectModal from "../../components/user/ProjectModal";
 
 const UserSidebar = () => {
   const location = useLocation();
+  const { projects, currentProjectId, currentProject, setCurrentProjectId } = useProjects();
+  // null: closed, "new": creating, otherwise the project being edited
+  const [editing, setEditing] = useState(null);
 
   // Sidebar links with icons
   const menuItems = [
@@ -18,6 +24,36 @@ const UserSidebar = () => {
     <div className="w-64 min-h-screen p-6 bg-gray-900 text-white glassmorphism border-r border-gray-700">
       <h2 className="text-2xl font-extrabold text-center text-gray-100 tracking-wide mb-6">🚀 User Panel</h2>
 
+      {/* Project switcher: scopes every task page to one project */}
+      <div className="mb-6">
+        <label htmlFor="project-switcher" className="block text-sm text-gray-400 mb-1">Project</label>
+        <div className="flex items-center gap-2">
+          {currentProject && (
+            <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: currentProject.color }} />
+          )}
+          <select
+            id="project-switcher"
+            value={currentProjectId}
+            onChange={(e) => setCurrentProjectId(e.target.value)}
+            className="flex-1 min-w-0 p-2 rounded bg-gray-800 border border-gray-700 text-white"
+          >
+            <option value={ALL_PROJECTS}>All tasks</option>
+            <option value={PERSONAL}>Personal</option>
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>{project.name}</option>
+            ))}
+          </select>
+          {currentProject && (
+            <button onClick={() => setEditing(currentProject)} className="p-2 hover:text-blue-400" aria-label="Project settings">
+              <FaCog />
+            </button>
+          )}
+          <button onClick={() => setEditing("new")} className="p-2 hover:text-blue-400" aria-label="New project">
+            <FaPlus />
+          </button>
+        </div>
+      </div>
+
       <ul className="space-y-3">
         {menuItems.map(({ path, label, icon }) => (
           <li key={path}>
@@ -35,6 +71,12 @@ const UserSidebar = () => {
           </li>
         ))}
       </ul>
+
+      <ProjectModal
+        isOpen={editing !== null}
+        project={editing === "new" ? null : projects.find((project) => project.id === editing?.id) || null}
+        onClose={() => setEditing(null)}
+      />
     </div>
   );
 };
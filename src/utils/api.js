@@ -1,3 +1,120 @@
+import axios from "axios";
+
+export const BACKEND_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+/**
+ * Set VITE_AUTH_MODE=cookie when the server runs with AUTH_MODE=cookie: tokens
+ * then live in HttpOnly cookies scripts can't read, and only the CSRF token is
+ * kept here, in memory.
+ */
+export const COOKIE_AUTH = import.meta.env.VITE_AUTH_MODE === "cookie";
+
+const SAFE_METHODS = ["get", "head", "options"];
+
+let csrfToken = null;
+
+/**
+ * Shared axios instance for the TaskFlow backend.
+ * Attaches the stored JWT (or, with cookies, the CSRF token) to every request
+ * so callers don't have to.
+ */
+export const api = axios.create({ baseURL: BACKEND_URL, withCredentials: COOKIE_AUTH });
+
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem("token");
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  if (csrfToken && !SAFE_METHODS.includes(config.method)) {
+    config.headers["X-CSRF-Token"] = csrfToken;
+  }
+  return config;
+});
+
+/** Dispatched on window when the session can't be refreshed any more */
+export const AUTH_EXPIRED_EVENT = "auth:expired";
+
+/**
+ * Stores the tokens of a session: a short-lived access token and the refresh
+ * token that renews it (each refresh token works once). With cookies the server
+ * sends just the CSRF token.
+ * @param {{ token?: string, refreshToken?: string, csrfToken?: string }} tokens - Tokens returned by the server
+ */
+export const storeTokens = ({ token, refreshToken, csrfToken: csrf }) => {
+  if (token) localStorage.setItem("token", token);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+  if (csrf) csrfToken = csrf;
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  csrfToken = null;
+};
+
+// Whether there may be a session to use: stored tokens, or cookies we can't see
+export const hasSession = () => COOKIE_AUTH || !!localStorage.getItem("refreshToken");
+
+// Requests failing while a refresh runs wait for it instead of starting another;
+// presenting the same refresh token twice would end the session
+let pendingRefresh = null;
+
+// With cookies the browser sends the refresh token itself, along with the CSRF
+// token, which has to be fetched first after a page reload
+const requestRefresh = async () => {
+  if (!COOKIE_AUTH) {
+    return axios.post(`${BACKEND_URL}/api/auth/refresh`, { refreshToken: localStorage.getItem("refreshToken") });
+  }
+  if (!csrfToken) {
+    const response = await axios.get(`${BACKEND_URL}/api/auth/csrf`, { withCredentials: true });
+    csrfToken = response.data.csrfToken;
+  }
+  return axios.post(`${BACKEND_URL}/api/auth/refresh`, {}, {
+    withCredentials: true,
+    headers: { "X-CSRF-Token": csrfToken },
+  });
+};
+
+const refreshTokens = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = requestRefresh()
+      .then((response) => storeTokens(response.data))
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
+
+/**
+ * Renews an expired access token and retries the request once. When the session
+ * itself is over, clears the tokens and announces it with AUTH_EXPIRED_EVENT.
+ */
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.retried || !hasSession()) {
+      throw error;
+    }
+    config.retried = true;
+
+    // Another tab may have refreshed already; then the stored token is newer
+    if (COOKIE_AUTH || config.headers.Authorization === `Bearer ${localStorage.getItem("token")}`) {
+      try {
+        await refreshTokens();
+      } catch (refreshError) {
+        if (refreshError.response?.status === 401) {
+          clearTokens();
+          window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+        }
+        throw error;
+      }
+    }
+    return api(config);
+  }
+);
+
 export const fetchData = async (url) => {
   const response = await fetch(url);
   return response.json();
@@ -0,0 +1,137 @@
+/**
+ * Legacy task migration helpers
+ *
+ * Before the tasks API existed every page wrote its own shape into
+ * localStorage.tasks:
+ * - UserPage:  { id, title, description, priority: "High", deadline, progress, assignedTo }
+ * - TaskList:  { _id, title, description, priority: "high", status: "complete", dueDate }
+ * - ManageTasks additionally set status: "Completed" on UserPage records
+ *
+ * These helpers detect those records and turn them into the canonical task
+ * accepted by POST /api/tasks/import, noting every field that was changed.
+ */
+
+export const LEGACY_TASKS_KEY = "tasks";
+
+const PRIORITIES = ["High", "Medium", "Low"];
+const COMPLETE_STATUSES = ["complete", "completed", "done"];
+
+/**
+ * Reads the legacy key without throwing on corrupt JSON.
+ * @returns {Array|null} Stored records, or null when there is nothing to migrate
+ */
+export const readLegacyTasks = () => {
+  const raw = localStorage.getItem(LEGACY_TASKS_KEY);
+  if (!raw) return null;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) && parsed.length > 0 ? parsed : null;
+  } catch (err) {
+    console.error("Legacy tasks are not valid JSON:", err);
+    return null;
+  }
+};
+
+export const clearLegacyTasks = () => localStorage.removeItem(LEGACY_TASKS_KEY);
+
+const normalizeDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Converts a single legacy record into the canonical task schema.
+ *
+ * @param {Object} record - Record as stored in localStorage
+ * @returns {{ task?: Object, notes: string[], reason?: string }}
+ *   `task` when the record can be imported, otherwise `reason` explains why not
+ */
+export const normalizeLegacyTask = (record) => {
+  const notes = [];
+
+  if (!record || typeof record !== "object") {
+    return { notes, reason: "Not a task object" };
+  }
+
+  const title = typeof record.title === "string" ? record.title.trim() : "";
+  if (!title) {
+    return { notes, reason: "Missing title" };
+  }
+
+  const legacyId = record.id ?? record._id ?? null;
+  if (legacyId === null) notes.push("No legacy id; re-running the import may duplicate it");
+
+  // Priority: TaskList stored lowercase values
+  let priority = "Medium";
+  if (record.priority) {
+    const match = PRIORITIES.find((p) => p.toLowerCase() === String(record.priority).toLowerCase());
+    if (match) {
+      if (match !== record.priority) notes.push(`priority "${record.priority}" → "${match}"`);
+      priority = match;
+    } else {
+      notes.push(`unknown priority "${record.priority}" → "Medium"`);
+    }
+  }
+
+  // Due date: UserPage used `deadline`, TaskList used `dueDate`
+  const rawDate = record.dueDate ?? record.deadline;
+  if (record.dueDate === undefined && record.deadline !== undefined) notes.push("deadline → dueDate");
+  let dueDate = normalizeDate(rawDate);
+  if (dueDate === undefined) {
+    notes.push(`unparseable date "${rawDate}" dropped`);
+    dueDate = null;
+  }
+
+  // Status and progress: either one may be missing depending on the source page
+  const statusDone = COMPLETE_STATUSES.includes(String(record.status || "").toLowerCase());
+  let progress = Number.parseInt(record.progress, 10);
+  if (Number.isNaN(progress)) {
+    progress = statusDone ? 100 : 0;
+    notes.push(`progress derived from status (${progress}%)`);
+  }
+  progress = Math.min(100, Math.max(0, progress));
+  const status = statusDone || progress === 100 ? "complete" : "incomplete";
+  if (record.status && record.status !== status) notes.push(`status "${record.status}" → "${status}"`);
+
+  if (record.assignedTo) notes.push(`assignee "${record.assignedTo}" replaced by you`);
+
+  return {
+    notes,
+    task: {
+      legacyId: legacyId === null ? null : String(legacyId),
+      title,
+      description: typeof record.description === "string" ? record.description : "",
+      priority,
+      status,
+      progress,
+      dueDate,
+    },
+  };
+};
+
+/**
+ * Normalizes every legacy record, splitting them into importable tasks and
+ * client-side rejects. Records are keyed by their position in the stored array.
+ *
+ * @param {Array} records - Records read from localStorage
+ * @returns {{ tasks: Object[], mapped: Object[], skipped: Object[] }}
+ */
+export const prepareLegacyImport = (records) => {
+  const tasks = [];
+  const mapped = [];
+  const skipped = [];
+
+  records.forEach((record, index) => {
+    const { task, notes, reason } = normalizeLegacyTask(record);
+    if (task) {
+      mapped.push({ index, title: task.title, notes, batchIndex: tasks.length });
+      tasks.push(task);
+    } else {
+      skipped.push({ index, title: record?.title || "(untitled)", reason });
+    }
+  });
+
+  return { tasks, mapped, skipped };
+};
@@ -0,0 +1,55 @@
+// Client-side view of the server's password policy (server/src/utils/passwordPolicy.js).
+// The policy itself comes from the server; the rules here only drive the
+// strength meters. The server checks them again, along with what only it can:
+// common passwords and the account's recent ones.
+
+const CHARACTER_RULES = [
+  { key: "requireUppercase", pattern: /[A-Z]/, label: "An uppercase letter" },
+  { key: "requireLowercase", pattern: /[a-z]/, label: "A lowercase letter" },
+  { key: "requireDigit", pattern: /[0-9]/, label: "A digit" },
+  { key: "requireSymbol", pattern: /[^A-Za-z0-9]/, label: "A symbol" },
+];
+
+const STRENGTH_LEVELS = [
+  { label: "Too weak", color: "red" },
+  { label: "Weak", color: "red" },
+  { label: "Fair", color: "yellow" },
+  { label: "Good", color: "blue" },
+  { label: "Strong", color: "green" },
+];
+
+/**
+ * The rules of a policy a password can be checked against as it is typed.
+ * @param {string} password - Password being typed
+ * @param {Object} policy - Policy from the server
+ * @returns {{ key: string, label: string, met: boolean }[]}
+ */
+export const passwordRules = (password, policy) => [
+  { key: "minLength", label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength },
+  ...CHARACTER_RULES.filter((rule) => policy[rule.key]).map((rule) => ({
+    key: rule.key,
+    label: rule.label,
+    met: rule.pattern.test(password),
+  })),
+];
+
+/**
+ * How hard a password is to guess, from 0 to 4. Passwords that break a rule
+ * score 1 at most.
+ * @param {string} password - Password being typed
+ * @param {Object} policy - Policy from the server
+ * @returns {{ score: number, label: string, color: string }}
+ */
+export const passwordStrength = (password, policy) => {
+  const classes = CHARACTER_RULES.filter((rule) => rule.pattern.test(password)).length;
+  let score = 0;
+  if (password.length >= policy.minLength) score += 1;
+  if (password.length >= policy.minLength + 4) score += 1;
+  if (classes >= 3) score += 1;
+  if (classes === 4 || password.length >= 16) score += 1;
+  if (passwordRules(password, policy).some((rule) => !rule.met)) score = Math.min(score, 1);
+  return { score, ...STRENGTH_LEVELS[score] };
+};
+
+// Whether a password meets every rule the client can check
+export const meetsPolicy = (password, policy) => passwordRules(password, policy).every((rule) => rule.met);
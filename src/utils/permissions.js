@@ -0,0 +1,14 @@
+// Permissions come from the server with the signed-in user (GET /api/auth/me,
+// see AuthContext). They only decide what the UI offers; the API enforces them
+// on every request.
+
+// Holders of this permission land in the admin portal
+export const ADMIN_PORTAL_PERMISSION = "user.view";
+
+/**
+ * Dashboard a user with the given permissions starts on.
+ * @param {string[]} permissions - Permissions granted by the user's role
+ * @returns {string} Route path
+ */
+export const homePathFor = (permissions) =>
+  (permissions || []).includes(ADMIN_PORTAL_PERMISSION) ? "/admin/dashboard" : "/user/dashboard";
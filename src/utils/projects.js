@@ -0,0 +1,3 @@
+// Values of the sidebar project switcher besides a project id
+export const ALL_PROJECTS = "";
+export const PERSONAL = "personal";
@@ -0,0 +1,87 @@
+/**
+ * Session timeline helpers
+ *
+ * Sessions come from GET /admin/sessions as { startedAt, endedAt, endReason, ... };
+ * open sessions have no endedAt and run until now.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export const END_REASON_LABELS = {
+  logout: "Logged out",
+  expiry: "Expired",
+  revoked: "Revoked",
+  switch: "Switched organization",
+  password_change: "Password changed",
+};
+
+const interval = (session, now) => ({
+  start: new Date(session.startedAt).getTime(),
+  end: session.endedAt ? new Date(session.endedAt).getTime() : now,
+});
+
+/**
+ * Human-readable duration, e.g. "2h 05m" or "12m".
+ * @param {number} ms - Duration in milliseconds
+ */
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / MINUTE_MS);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+};
+
+/**
+ * Puts overlapping sessions on separate rows so concurrent ones are visible.
+ * Each session takes the first row that is free when it starts.
+ *
+ * @param {Object[]} sessions - Sessions sorted by start
+ * @param {number} [now] - Timestamp open sessions run until
+ * @returns {{ rows: Object[][], maxConcurrent: number }}
+ */
+export const layoutSessions = (sessions, now = Date.now()) => {
+  const rows = [];
+  const rowEnds = [];
+  sessions.forEach((session) => {
+    const { start, end } = interval(session, now);
+    let row = rowEnds.findIndex((rowEnd) => rowEnd <= start);
+    if (row === -1) {
+      row = rows.length;
+      rows.push([]);
+    }
+    rows[row].push(session);
+    rowEnds[row] = end;
+  });
+  return { rows, maxConcurrent: rows.length };
+};
+
+/**
+ * Periods inside the range when the user had no session at all.
+ *
+ * @param {Object[]} sessions - Sessions sorted by start
+ * @param {number} rangeStart - Timestamp
+ * @param {number} rangeEnd - Timestamp
+ * @param {number} [now] - Timestamp open sessions run until
+ * @returns {{ start: number, end: number }[]}
+ */
+export const findGaps = (sessions, rangeStart, rangeEnd, now = Date.now()) => {
+  const gaps = [];
+  let covered = rangeStart;
+  sessions.forEach((session) => {
+    const { start, end } = interval(session, now);
+    if (start > covered) gaps.push({ start: covered, end: Math.min(start, rangeEnd) });
+    covered = Math.max(covered, end);
+  });
+  if (covered < rangeEnd) gaps.push({ start: covered, end: rangeEnd });
+  return gaps.filter((gap) => gap.end > gap.start);
+};
+
+/**
+ * Left offset and width of a session bar, in percent of the range.
+ */
+export const barPosition = (session, rangeStart, rangeEnd, now = Date.now()) => {
+  const { start, end } = interval(session, now);
+  const span = rangeEnd - rangeStart;
+  const left = Math.max(start, rangeStart) - rangeStart;
+  const right = Math.min(end, rangeEnd) - rangeStart;
+  return { left: (left / span) * 100, width: Math.max(((right - left) / span) * 100, 0.2) };
+};
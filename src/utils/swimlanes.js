@@ -0,0 +1,77 @@
+/**
+ * Swimlane helpers for the Kanban board
+ *
+ * A lane mode groups cards into rows by one task field. Every mode knows which
+ * lanes a task belongs to and which field changes a drop into another lane
+ * sends to the server (POST /api/tasks/:id/move accepts the same fields).
+ */
+
+export const PRIORITIES = ["High", "Medium", "Low"];
+
+// Key of the lane holding cards with no value for the grouped field
+export const NO_LANE = "none";
+
+export const LANE_MODES = [
+  { value: "none", label: "No swimlanes" },
+  { value: "assignee", label: "Assignee" },
+  { value: "priority", label: "Priority" },
+  { value: "label", label: "Label" },
+];
+
+const assigneeId = (task) => task.assignee?._id || task.assignee?.id || null;
+
+// Lane keys a task is shown in. A task with several labels appears in each of them.
+export const laneKeysFor = (task, mode) => {
+  if (mode === "assignee") return [assigneeId(task) || NO_LANE];
+  if (mode === "priority") return [task.priority];
+  if (mode === "label") return task.labels?.length ? task.labels : [NO_LANE];
+  return ["all"];
+};
+
+/**
+ * Builds the lanes for a set of tasks, in display order.
+ *
+ * @param {Object[]} tasks - Tasks on the board
+ * @param {string} mode - One of LANE_MODES
+ * @returns {{ key: string, title: string }[]}
+ */
+export const buildLanes = (tasks, mode) => {
+  if (mode === "priority") return PRIORITIES.map((priority) => ({ key: priority, title: priority }));
+
+  if (mode === "assignee") {
+    const people = new Map();
+    tasks.forEach((task) => {
+      const id = assigneeId(task);
+      if (id && !people.has(id)) people.set(id, task.assignee.fullName || task.assignee.email);
+    });
+    return [
+      ...[...people].sort((a, b) => a[1].localeCompare(b[1])).map(([key, title]) => ({ key, title })),
+      { key: NO_LANE, title: "Unassigned" },
+    ];
+  }
+
+  if (mode === "label") {
+    const labels = [...new Set(tasks.flatMap((task) => task.labels || []))].sort((a, b) => a.localeCompare(b));
+    return [...labels.map((label) => ({ key: label, title: label })), { key: NO_LANE, title: "No label" }];
+  }
+
+  return [{ key: "all", title: "" }];
+};
+
+/**
+ * Field updates for dropping a card from one lane into another.
+ *
+ * @returns {Object} Fields to send with the move; empty when the lane is unchanged
+ */
+export const laneChanges = (task, mode, fromLane, toLane) => {
+  if (fromLane === toLane) return {};
+
+  if (mode === "assignee") return { assignee: toLane === NO_LANE ? null : toLane };
+  if (mode === "priority") return { priority: toLane };
+  if (mode === "label") {
+    if (toLane === NO_LANE) return { labels: [] };
+    const kept = (task.labels || []).filter((label) => label !== fromLane);
+    return { labels: [...kept, toLane] };
+  }
+  return {};
+};
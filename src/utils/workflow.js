@@ -0,0 +1,27 @@
+// Client-side view of the server's workflow categories. Every board status
+// belongs to one of these, and tasks carry the category of their status.
+
+export const CATEGORY_LABELS = {
+  todo: "To Do",
+  in_progress: "In Progress",
+  done: "Completed",
+};
+
+export const CATEGORY_COLORS = {
+  todo: "#FF6384",
+  in_progress: "#FFCE56",
+  done: "#36A2EB",
+};
+
+export const isDone = (task) => task.statusCategory === "done";
+
+export const countByCategory = (tasks) =>
+  Object.keys(CATEGORY_LABELS).reduce((counts, category) => {
+    counts[category] = tasks.filter((task) => task.statusCategory === category).length;
+    return counts;
+  }, {});
+
+/**
+ * Reads the server's error message from an axios error, with a fallback.
+ */
+export const apiErrorMessage = (err, fallback) => err?.response?.data?.message || fallback;